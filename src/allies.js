@@ -0,0 +1,313 @@
+// Battlezone - Allied Wingmen
+//
+// Friendly AI tanks that fight on the players' side. They drive and check
+// line of sight like enemy tanks (AllyTank extends EnemyTank) but go after
+// the enemies, and take simple orders from the players:
+//
+//   follow  keep formation behind the player who gave the order
+//   hold    stay where they are, shooting whatever comes in range
+//   attack  go after the enemy the player's turret is pointed at
+//
+// Friendly fire (off by default) decides whether players and wingmen can
+// hit each other. Co-op players can always hit each other, as before.
+
+const Allies = {
+    STORAGE_KEY: 'battlezone.allies',
+
+    DEFAULTS: { count: 0, friendlyFire: false },
+
+    // Choices the menu cycles through
+    COUNTS: [0, 1, 2, 3],
+
+    ORDERS: ['follow', 'hold', 'attack'],
+
+    // One-shot inputs that give each order (see player.input)
+    ORDER_INPUTS: { orderFollow: 'follow', orderHold: 'hold', orderAttack: 'attack' },
+
+    normalize: function (settings = {}) {
+        const count = Number(settings.count);
+        return {
+            count: Allies.COUNTS.includes(count) ? count : Allies.DEFAULTS.count,
+            friendlyFire: !!settings.friendlyFire
+        };
+    },
+
+    // The menu steps 0, 1, 2, 3, 0...
+    nextCount: function (count) {
+        return Allies.COUNTS[(Allies.COUNTS.indexOf(count) + 1) % Allies.COUNTS.length];
+    },
+
+    isAllyId: function (id) {
+        return typeof id === 'string' && id.startsWith('ally_');
+    },
+
+    // Players, their missiles and the wingmen are all on one side
+    isFriendlyId: function (id) {
+        return Allies.isAllyId(id) || id === 'player' || id === 'player2' ||
+            id === 'player_guided' || id === 'player2_guided';
+    },
+
+    // Whether a shot from ownerId may hit targetId
+    canHit: function (ownerId, targetId, friendlyFire) {
+        if (friendlyFire) return true;
+        if (!Allies.isAllyId(ownerId) && !Allies.isAllyId(targetId)) return true;
+        return !(Allies.isFriendlyId(ownerId) && Allies.isFriendlyId(targetId));
+    },
+
+    load: function () {
+        if (typeof localStorage === 'undefined') return { ...Allies.DEFAULTS };
+
+        try {
+            return Allies.normalize(JSON.parse(localStorage.getItem(Allies.STORAGE_KEY) || '{}'));
+        } catch (e) {
+            console.warn('Could not read wingmen settings:', e);
+            return { ...Allies.DEFAULTS };
+        }
+    },
+
+    save: function (settings) {
+        if (typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(Allies.STORAGE_KEY, JSON.stringify(settings));
+            return true;
+        } catch (e) {
+            console.warn('Could not save wingmen settings:', e);
+            return false;
+        }
+    }
+};
+
+// State written to save games (leader and attack target are saved by id)
+const ALLY_SAVE_FIELDS = [...ENEMY_SAVE_FIELDS, 'slot', 'order', 'holdPosition', 'leaderId', 'orderTargetId'];
+
+const ALLY_RANGE = 55;          // Enemies closer than this are engaged
+const ALLY_ATTACK_RANGE = 25;   // How close an attack order drives before firing
+const FORMATION_DISTANCE = 10;  // Behind the leader
+const FORMATION_SPACING = 7;    // Side to side between wingmen
+const ARRIVE_DISTANCE = 4;
+
+class AllyTank extends EnemyTank {
+    constructor(config = {}) {
+        super({
+            maxSpeed: 10,
+            turnSpeed: 1.8,
+            shootCooldown: 3,
+            accuracy: 0.9,
+            hitPoints: 100, // As tough as a player
+            color: [0.15, 0.45, 0.5], // Teal - clearly not the enemy
+            ...config
+        });
+
+        this.slot = config.slot || 0; // Place in the formation
+        this.takesCover = false;      // Wingmen stick to their orders
+        this.points = 0;
+        this.shotColor = [0.3, 0.9, 1];
+
+        this.order = 'follow';
+        this.leader = config.leader || null;
+        this.holdPosition = null;
+        this.orderTarget = null;
+    }
+
+    setOrder(order, leader, target = null) {
+        this.order = order;
+        this.leader = leader;
+        this.orderTarget = order === 'attack' ? target : null;
+        this.holdPosition = order === 'hold' ? [...this.position] : null;
+        this.moveTimer = 0;
+        this.repathTimer = 0;
+    }
+
+    // The ordered target, else the nearest enemy in range (null for none)
+    pickTarget(enemies) {
+        if (this.order === 'attack' && this.orderTarget && this.orderTarget.alive) {
+            return this.orderTarget;
+        }
+
+        let best = null;
+        let bestDist = ALLY_RANGE;
+        for (const enemy of enemies) {
+            if (!enemy.alive) continue;
+
+            const dist = Utils.distance2D(this.position[0], this.position[2], enemy.position[0], enemy.position[2]);
+            if (dist < bestDist) {
+                best = enemy;
+                bestDist = dist;
+            }
+        }
+        return best;
+    }
+
+    updateAI(target, level, terrain = null, navGrid = null) {
+        const engaging = !!(target && target.alive);
+        this.hasLineOfSight = engaging && (!terrain || this.checkLineOfSight(target.position, terrain));
+
+        // Drive to where the order wants us, stop once there
+        const { position, radius } = this.getGoal(target);
+        const dx = position[0] - this.position[0];
+        const dz = position[2] - this.position[2];
+        if (Math.sqrt(dx * dx + dz * dz) > radius) {
+            if (navGrid) {
+                this.steerTo(position, navGrid);
+            } else {
+                this.targetRotation = Math.atan2(dx, dz);
+            }
+            this.state = 'pursue';
+        } else {
+            this.state = 'wait';
+        }
+
+        // Face the target while stopped, and turn to fire whenever the gun is ready
+        if (engaging && (this.state === 'wait' || this.shootTimer <= 0)) {
+            const angleToTarget = Math.atan2(target.position[0] - this.position[0], target.position[2] - this.position[2]);
+            this.targetRotation = angleToTarget;
+
+            if (this.shootTimer <= 0 && Math.abs(Utils.normalizeAngle(angleToTarget - this.rotation)) < 0.3 && this.hasLineOfSight) {
+                this.state = 'shoot';
+                this.shouldShoot = true;
+                this.shootTimer = this.shootCooldown;
+            }
+        }
+    }
+
+    // { position, radius } to drive to
+    getGoal(target) {
+        if (this.order === 'hold' && this.holdPosition) {
+            return { position: this.holdPosition, radius: ARRIVE_DISTANCE };
+        }
+        if (this.order === 'attack' && target && target.alive) {
+            return { position: target.position, radius: ALLY_ATTACK_RANGE };
+        }
+
+        // Follow: a slot in a V behind the leader; with no leader alive, stay put
+        const leader = this.leader;
+        if (!leader || !leader.alive) {
+            return { position: this.position, radius: ARRIVE_DISTANCE };
+        }
+
+        const side = this.slot % 2 === 0 ? -1 : 1;
+        const row = Math.floor(this.slot / 2) + 1;
+        const back = Utils.angleToVector(leader.rotation + Math.PI);
+        const right = Utils.angleToVector(leader.rotation - Math.PI / 2);
+        return {
+            position: [
+                leader.position[0] + back[0] * FORMATION_DISTANCE * row + right[0] * side * FORMATION_SPACING * row,
+                0,
+                leader.position[2] + back[2] * FORMATION_DISTANCE * row + right[2] * side * FORMATION_SPACING * row
+            ],
+            radius: ARRIVE_DISTANCE
+        };
+    }
+
+    serialize() {
+        const data = Utils.copyFields({}, this, ALLY_SAVE_FIELDS);
+        data.leaderId = this.leader ? this.leader.id : null;
+        data.orderTargetId = this.orderTarget ? this.orderTarget.id : null;
+        return data;
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, ALLY_SAVE_FIELDS);
+    }
+}
+
+// The wingmen on the field. They join at the start of each level and
+// don't come back when destroyed until the next one.
+class AllyManager {
+    constructor() {
+        this.allies = [];
+        this.count = 0;
+    }
+
+    setCount(count) {
+        this.count = count;
+    }
+
+    // Line the wingmen up behind the first player
+    reset(terrain, players) {
+        this.clear();
+
+        const leader = players[0];
+        for (let slot = 0; slot < this.count; slot++) {
+            const ally = new AllyTank({ id: `ally_${slot}`, slot: slot, leader: leader, rotation: leader.rotation });
+            const goal = ally.getGoal(null).position;
+            const taken = [...players.map(p => p.position), ...this.allies.map(a => a.position)];
+            ally.position = terrain.getZoneSpawnPosition([{ position: [goal[0], goal[2]], radius: 4 }], taken, 5);
+            this.allies.push(ally);
+        }
+    }
+
+    // Enemies are what they shoot at; players and each other are only in the way
+    update(deltaTime, players, enemies, terrain, obstacles, physics, level, navGrid = null) {
+        const living = players.filter(p => p.alive);
+
+        for (const ally of this.allies) {
+            if (!ally.alive) continue;
+
+            ally.update(
+                deltaTime, enemies, terrain, obstacles,
+                [...living, ...this.allies.filter(a => a !== ally && a.alive)],
+                physics, level, navGrid
+            );
+        }
+    }
+
+    // Every living wingman takes the order
+    giveOrder(order, leader, target = null) {
+        const living = this.getAlive();
+        for (const ally of living) {
+            ally.setOrder(order, leader, target);
+        }
+        return living.length;
+    }
+
+    getAlliesNeedingToShoot() {
+        const shooters = [];
+        for (const ally of this.allies) {
+            if (ally.alive && ally.shouldShoot) {
+                shooters.push(ally);
+                ally.shouldShoot = false;
+            }
+        }
+        return shooters;
+    }
+
+    getAlive() {
+        return this.allies.filter(a => a.alive);
+    }
+
+    removeDead() {
+        this.allies = this.allies.filter(a => a.alive);
+    }
+
+    clear() {
+        this.allies = [];
+    }
+
+    serialize() {
+        return {
+            count: this.count,
+            allies: this.allies.filter(a => a.alive).map(a => a.serialize())
+        };
+    }
+
+    // Leaders and attack targets are looked up again by id
+    deserialize(data, entities = []) {
+        const find = (id) => entities.find(e => e.id === id) || null;
+
+        this.count = data.count;
+        this.allies = data.allies.map(saved => {
+            const ally = new AllyTank({ id: saved.id });
+            ally.deserialize(saved);
+            ally.leader = find(saved.leaderId);
+            ally.orderTarget = find(saved.orderTargetId);
+            return ally;
+        });
+    }
+}
+
+// Make available globally
+window.Allies = Allies;
+window.AllyTank = AllyTank;
+window.AllyManager = AllyManager;
@@ -0,0 +1,66 @@
+// Battlezone - Hit Points and Directional Armor
+//
+// Every tank has hit points, and each projectile type does its own damage.
+// Armor then scales the damage by the face the shot hits: thick at the
+// front, thin at the back. The face is worked out from the way the shot was
+// travelling against the way the hull points (the turret doesn't count).
+// The UFO is round, so it has no faces.
+
+const Armor = {
+    // Damage multiplier for each face
+    FACES: { front: 0.75, side: 1, rear: 1.5 },
+
+    FRONT_ARC: Math.PI / 4,     // Shots from within 45 degrees of dead ahead
+    REAR_ARC: Math.PI * 3 / 4,  // ...or of dead astern
+
+    // Damage by projectile type when the shot doesn't set its own
+    DAMAGE: { normal: 40, ballistic: 40, guided: 80 },
+
+    // Below this much health tanks start to smoke
+    SMOKE_HEALTH: 0.6,
+
+    getProjectileDamage: function (type) {
+        return Armor.DAMAGE[type] || Armor.DAMAGE.normal;
+    },
+
+    // 'front', 'side' or 'rear' - where the projectile hits the entity
+    getFace: function (entity, projectile) {
+        // Back along the shot's path, or from the shot to the tank if it isn't moving
+        let dx = -projectile.velocity[0];
+        let dz = -projectile.velocity[2];
+        if (dx === 0 && dz === 0) {
+            dx = projectile.position[0] - entity.position[0];
+            dz = projectile.position[2] - entity.position[2];
+        }
+
+        const offset = Math.abs(Utils.normalizeAngle(Math.atan2(dx, dz) - entity.rotation));
+        if (offset < Armor.FRONT_ARC) return 'front';
+        if (offset > Armor.REAR_ARC) return 'rear';
+        return 'side';
+    },
+
+    // { damage, face } a projectile does to an entity (face is null for the UFO)
+    getHit: function (entity, projectile) {
+        const face = entity instanceof UFO ? null : Armor.getFace(entity, projectile);
+        return {
+            damage: projectile.damage * (face ? Armor.FACES[face] : 1),
+            face: face
+        };
+    },
+
+    // 0..1 of full health
+    getHealth: function (entity) {
+        if (!entity.alive) return 0;
+        if (!entity.maxHitPoints) return 1;
+        return Utils.clamp(entity.hitPoints / entity.maxHitPoints, 0, 1);
+    },
+
+    // The entity's color, darker the more damaged it is (down to half)
+    getDamagedColor: function (entity) {
+        const shade = 0.5 + 0.5 * Armor.getHealth(entity);
+        return entity.color.map(c => c * shade);
+    }
+};
+
+// Make available globally
+window.Armor = Armor;
@@ -175,8 +175,8 @@ const Collision = {
         if (dist < 0.001) {
             // Entities at same position, push in random direction
             return {
-                x: Math.random() - 0.5,
-                z: Math.random() - 0.5
+                x: Random.next() - 0.5,
+                z: Random.next() - 0.5
             };
         }
 
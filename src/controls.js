@@ -0,0 +1,173 @@
+// Battlezone - Controls (rebindable key bindings)
+//
+// Each player has a key map of action name -> KeyboardEvent.code (null when
+// unbound). Held actions share their names with player.input; the default
+// maps are the keyMap each player class is constructed with.
+
+const Controls = {
+    STORAGE_KEY: 'battlezone.controls',
+    MOUSE_STORAGE_KEY: 'battlezone.mouse',
+
+    // Mouse aim settings (Player 1 only)
+    MOUSE_DEFAULTS: { enabled: false, sensitivity: 1, invertY: false },
+    SENSITIVITY_RANGE: [0.25, 3],
+
+    // Actions in menu order. toggleView isn't a tank input, it switches the camera.
+    ACTIONS: [
+        { name: 'forward', label: 'FORWARD' },
+        { name: 'backward', label: 'REVERSE' },
+        { name: 'left', label: 'TURN LEFT' },
+        { name: 'right', label: 'TURN RIGHT' },
+        { name: 'turretUp', label: 'AIM UP' },
+        { name: 'turretDown', label: 'AIM DOWN' },
+        { name: 'shoot', label: 'FIRE' },
+        { name: 'missile', label: 'MISSILE' },
+        { name: 'toggleView', label: 'TOGGLE VIEW' },
+        { name: 'orderFollow', label: 'WINGMEN: FOLLOW' },
+        { name: 'orderHold', label: 'WINGMEN: HOLD' },
+        { name: 'orderAttack', label: 'WINGMEN: ATTACK' }
+    ],
+
+    // Keys the game itself answers to (start, pause, sound, menus)
+    RESERVED: ['Enter', 'Escape', 'KeyP', 'KeyM', 'Backspace', 'Delete'],
+
+    getDefaults: function () {
+        return [{ ...new Player().keyMap }, { ...new Player2().keyMap }];
+    },
+
+    // Action bound to a key, or null
+    findAction: function (keyMap, code) {
+        for (const action in keyMap) {
+            if (keyMap[action] === code) return action;
+        }
+        return null;
+    },
+
+    // Every key bound more than once, across all players:
+    // [{ code, uses: [{ player, action }, ...] }]
+    findConflicts: function (keyMaps) {
+        const uses = {};
+        keyMaps.forEach((keyMap, player) => {
+            for (const action in keyMap) {
+                const code = keyMap[action];
+                if (!code) continue;
+                uses[code] = uses[code] || [];
+                uses[code].push({ player: player, action: action });
+            }
+        });
+
+        return Object.keys(uses)
+            .filter(code => uses[code].length > 1)
+            .map(code => ({ code: code, uses: uses[code] }));
+    },
+
+    // Point one action at a key. Whatever used the key before is unbound and
+    // returned so the menu can say what moved.
+    bind: function (keyMaps, player, action, code) {
+        if (Controls.RESERVED.includes(code)) {
+            throw new Error(`${Controls.keyLabel(code)} is reserved`);
+        }
+
+        let displaced = null;
+        keyMaps.forEach((keyMap, index) => {
+            const previous = Controls.findAction(keyMap, code);
+            if (previous && !(index === player && previous === action)) {
+                keyMap[previous] = null;
+                displaced = { player: index, action: previous };
+            }
+        });
+
+        keyMaps[player][action] = code;
+        return displaced;
+    },
+
+    // Short name for the menu: KeyW -> W, ArrowUp -> UP, Space -> SPACE
+    keyLabel: function (code) {
+        if (!code) return '---';
+        return code
+            .replace(/^Key|^Digit/, '')
+            .replace(/^Arrow/, '')
+            .replace(/^Numpad/, 'NUM ')
+            .toUpperCase();
+    },
+
+    getActionLabel: function (action) {
+        const entry = Controls.ACTIONS.find(a => a.name === action);
+        return entry ? entry.label : action;
+    },
+
+    // Saved maps laid over the defaults; conflicting saves are thrown away
+    load: function () {
+        const defaults = Controls.getDefaults();
+        if (typeof localStorage === 'undefined') return defaults;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(Controls.STORAGE_KEY) || 'null');
+            if (!Array.isArray(saved)) return defaults;
+
+            const keyMaps = defaults.map((keyMap, i) => {
+                const merged = { ...keyMap };
+                for (const action in keyMap) {
+                    if (saved[i] && saved[i][action] !== undefined) {
+                        merged[action] = saved[i][action];
+                    }
+                }
+                return merged;
+            });
+
+            if (Controls.findConflicts(keyMaps).length > 0) {
+                console.warn('Saved controls conflict, using defaults');
+                return defaults;
+            }
+            return keyMaps;
+        } catch (e) {
+            console.warn('Could not read saved controls:', e);
+            return defaults;
+        }
+    },
+
+    save: function (keyMaps) {
+        if (typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(Controls.STORAGE_KEY, JSON.stringify(keyMaps));
+            return true;
+        } catch (e) {
+            console.warn('Could not save controls:', e);
+            return false;
+        }
+    },
+
+    loadMouse: function () {
+        const defaults = { ...Controls.MOUSE_DEFAULTS };
+        if (typeof localStorage === 'undefined') return defaults;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(Controls.MOUSE_STORAGE_KEY) || '{}');
+            const [min, max] = Controls.SENSITIVITY_RANGE;
+            return {
+                enabled: saved.enabled === true,
+                sensitivity: typeof saved.sensitivity === 'number' ? Utils.clamp(saved.sensitivity, min, max) : defaults.sensitivity,
+                invertY: saved.invertY === true
+            };
+        } catch (e) {
+            console.warn('Could not read mouse settings:', e);
+            return defaults;
+        }
+    },
+
+    saveMouse: function (settings) {
+        if (typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(Controls.MOUSE_STORAGE_KEY, JSON.stringify(settings));
+            return true;
+        } catch (e) {
+            console.warn('Could not save mouse settings:', e);
+            return false;
+        }
+    }
+};
+
+// Make available globally
+window.Controls = Controls;
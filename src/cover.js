@@ -0,0 +1,83 @@
+// Battlezone - Cover Positions
+//
+// Enemy tanks duck behind obstacles and mountains between shots. A cover
+// spot is just behind something that stops shells, on the far side from
+// the threat; its peek spot is round the side of the same thing, where
+// there's a clear shot. Tanks wait in cover while they reload, drive out
+// to the peek spot to fire and go back again (see EnemyTank.updateCover).
+
+const COVER_SEARCH_RADIUS = 35;     // How far a tank will go for cover
+const COVER_MIN_THREAT_GAP = 10;    // Cover the threat is nearly on top of is no cover
+const COVER_GAP = 1;                // Room between the tank and the navigation grid's blocked cells
+const COVER_SPACING = 7;            // Spots this close to one already taken are full
+const PEEK_ANGLES = [0.9, -0.9, 1.4, -1.4]; // Round the side of the cover, tried in order
+
+const Cover = {
+    // Everything that stops a shell, as circles: radius for blocking shots,
+    // standoff for where a tank can sit next to it
+    getBlockers: function (terrain) {
+        const obstacles = terrain.obstacles.map(o => ({
+            x: o.position[0],
+            z: o.position[2],
+            // Projectiles hit a cube's box, or a pyramid's wider base
+            radius: o.type === 'pyramid' ? Math.max(o.size[0], o.size[2]) : Math.max(o.size[0], o.size[2]) / 2,
+            standoff: Math.max(o.size[0], o.size[2]) * 0.8 + NAV_CLEARANCE + COVER_GAP
+        }));
+        const mountains = terrain.mountains.map(m => ({
+            x: m.position[0],
+            z: m.position[2],
+            radius: 8 * m.scale,
+            standoff: 8 * m.scale + NAV_CLEARANCE + COVER_GAP
+        }));
+        return [...obstacles, ...mountains];
+    },
+
+    // Whether something stands between two points
+    isLineBlocked: function (from, to, terrain, blockers = Cover.getBlockers(terrain)) {
+        return blockers.some(b => Collision.lineVsCircle(from[0], from[2], to[0], to[2], b.x, b.z, b.radius) !== null);
+    },
+
+    // { position, peek } nearest the entity that hides it from the threat and
+    // isn't one of the taken spots, or null
+    find: function (entity, threat, terrain, navGrid = null, taken = []) {
+        const blockers = Cover.getBlockers(terrain);
+        const usable = (spot) => terrain.isInBounds(spot[0], spot[2], NAV_BOUNDS_MARGIN) &&
+            !(navGrid && navGrid.isBlocked(spot[0], spot[2]));
+        const free = (spot) => !taken.some(t => Utils.distance2D(spot[0], spot[2], t[0], t[2]) < COVER_SPACING);
+
+        let best = null;
+        let bestDist = COVER_SEARCH_RADIUS;
+
+        for (const blocker of blockers) {
+            const dx = blocker.x - threat.position[0];
+            const dz = blocker.z - threat.position[2];
+            const threatDist = Math.sqrt(dx * dx + dz * dz);
+            if (threatDist < blocker.standoff + COVER_MIN_THREAT_GAP) continue;
+
+            // Straight behind it, seen from the threat
+            const away = Math.atan2(dx, dz);
+            const around = (angle) => {
+                const dir = Utils.angleToVector(away + angle);
+                return [blocker.x + dir[0] * blocker.standoff, 0, blocker.z + dir[2] * blocker.standoff];
+            };
+
+            const spot = around(0);
+            const dist = Utils.distance2D(entity.position[0], entity.position[2], spot[0], spot[2]);
+            if (dist >= bestDist || !usable(spot) || !free(spot)) continue;
+            if (!Cover.isLineBlocked(threat.position, spot, terrain, blockers)) continue;
+
+            // ...and somewhere round the side to shoot from
+            const peek = PEEK_ANGLES.map(around).find(p => usable(p) &&
+                !Cover.isLineBlocked(threat.position, p, terrain, blockers));
+            if (!peek) continue;
+
+            best = { position: spot, peek: peek };
+            bestDist = dist;
+        }
+
+        return best;
+    }
+};
+
+// Make available globally
+window.Cover = Cover;
@@ -0,0 +1,278 @@
+// Battlezone - Difficulty Presets and Custom Difficulties
+//
+// Enemy stats are curves over the level number:
+//
+//   value = clamp(base + perLevel * (level - 1), min, max)    // min/max may be null
+//
+// A difficulty is those curves plus a few flat settings:
+//
+//   {
+//     "name": "Custom",
+//     "enemySpeed":        { "base": 5.5, "perLevel": 0.5, "min": null, "max": null },
+//     "enemyFireInterval": { "base": 4.6, "perLevel": -0.4, "min": 1, "max": null },   // seconds between shots
+//     "enemyAccuracy":     { "base": 0.85, "perLevel": 0.02, "min": null, "max": 0.95 }, // 1 = perfect aim
+//     "enemyLead":         { "base": 0.5, "perLevel": 0.1, "min": null, "max": 1 },      // 1 = shoots where you'll be
+//     "enemyPlayerBias":   { "base": 0.5, "perLevel": 0.1, "min": null, "max": 0.9 },  // chance to head for the player
+//     "enemyTeamwork":     { "base": 0.3, "perLevel": 0.15, "min": null, "max": 1 },  // share of tanks fighting as a squad
+//     "startingLives": 5,
+//     "ufoSpawnLevel": 1,       // first level a UFO may appear
+//     "ufoFrequency": 1,        // multiplies the level's UFO chance
+//     "powerupInterval": 1,     // multiplies the level's power-up spawn interval
+//     "enemyCap": null          // most enemies at once, null = whatever the level says
+//   }
+
+const Difficulty = {
+    STORAGE_KEY: 'battlezone.difficulty',
+    CODE_PREFIX: 'BZD1-',
+
+    CURVES: ['enemySpeed', 'enemyFireInterval', 'enemyAccuracy', 'enemyLead', 'enemyPlayerBias', 'enemyTeamwork'],
+
+    // Hard bounds so a typo can't produce a broken game
+    LIMITS: {
+        enemySpeed: [0, 30],
+        enemyFireInterval: [0.25, 60],
+        enemyAccuracy: [0, 1],
+        enemyLead: [0, 1],
+        enemyPlayerBias: [0, 1],
+        enemyTeamwork: [0, 1]
+    },
+
+    // Widest aiming error (radians off the aim) at accuracy 0, at middle
+    // distance (see targeting.js)
+    MAX_AIM_ERROR: 0.5,
+
+    PRESETS: {
+        easy: {
+            name: 'Easy',
+            enemySpeed: { base: 4.5, perLevel: 0.5, min: null, max: null },
+            enemyFireInterval: { base: 3.6, perLevel: -0.4, min: 1, max: null },
+            enemyAccuracy: { base: 0.7, perLevel: 0.03, min: null, max: 0.85 },
+            enemyLead: { base: 0, perLevel: 0.1, min: null, max: 0.5 },
+            enemyPlayerBias: { base: 0.5, perLevel: 0.1, min: null, max: 0.9 },
+            enemyTeamwork: { base: 0, perLevel: 0.1, min: null, max: 0.5 },
+            startingLives: 10,
+            ufoSpawnLevel: 1,
+            ufoFrequency: 1,
+            powerupInterval: 1,
+            enemyCap: null
+        },
+        medium: {
+            name: 'Medium',
+            enemySpeed: { base: 5.5, perLevel: 0.5, min: null, max: null },
+            enemyFireInterval: { base: 4.6, perLevel: -0.4, min: 1, max: null },
+            enemyAccuracy: { base: 0.85, perLevel: 0.02, min: null, max: 0.95 },
+            enemyLead: { base: 0.5, perLevel: 0.1, min: null, max: 1 },
+            enemyPlayerBias: { base: 0.5, perLevel: 0.1, min: null, max: 0.9 },
+            enemyTeamwork: { base: 0.3, perLevel: 0.15, min: null, max: 1 },
+            startingLives: 5,
+            ufoSpawnLevel: 1,
+            ufoFrequency: 1,
+            powerupInterval: 1,
+            enemyCap: null
+        },
+        hard: {
+            name: 'Hard',
+            enemySpeed: { base: 8.5, perLevel: 0.5, min: null, max: null },
+            enemyFireInterval: { base: 2.6, perLevel: -0.4, min: 1, max: null },
+            enemyAccuracy: { base: 0.92, perLevel: 0.02, min: null, max: 1 },
+            enemyLead: { base: 1, perLevel: 0, min: null, max: null },
+            enemyPlayerBias: { base: 0.8, perLevel: 0.1, min: null, max: 0.9 },
+            enemyTeamwork: { base: 0.7, perLevel: 0.1, min: null, max: 1 },
+            startingLives: 3,
+            ufoSpawnLevel: 1,
+            ufoFrequency: 1,
+            powerupInterval: 1,
+            enemyCap: null
+        }
+    },
+
+    // Value of one curve at a 1-based level
+    evaluate: function (curve, level, limits = [-Infinity, Infinity]) {
+        let value = curve.base + curve.perLevel * (level - 1);
+        if (curve.min !== null) value = Math.max(curve.min, value);
+        if (curve.max !== null) value = Math.min(curve.max, value);
+        return Utils.clamp(value, limits[0], limits[1]);
+    },
+
+    // Every curve evaluated for one level
+    forLevel: function (settings, level) {
+        const stats = {};
+        for (const name of Difficulty.CURVES) {
+            stats[name] = Difficulty.evaluate(settings[name], level, Difficulty.LIMITS[name]);
+        }
+        return stats;
+    },
+
+    // Apply the enemy cap to a level's "enemies" section
+    adjustEnemies: function (enemies, settings) {
+        if (settings.enemyCap === null) return enemies;
+        return {
+            ...enemies,
+            initial: Math.min(enemies.initial, settings.enemyCap),
+            max: Math.min(enemies.max, settings.enemyCap)
+        };
+    },
+
+    // Stretch or shrink a level's power-up timing
+    adjustPowerups: function (powerups, settings) {
+        if (settings.powerupInterval === 1) return powerups;
+        return { ...powerups, spawnInterval: powerups.spawnInterval * settings.powerupInterval };
+    },
+
+    get: function (name) {
+        return Difficulty.clone(Difficulty.PRESETS[name] || Difficulty.PRESETS.medium);
+    },
+
+    clone: function (settings) {
+        return JSON.parse(JSON.stringify(settings));
+    },
+
+    // Curves for the flat level 1 values older saves stored, scaling with the
+    // level the way the built-in presets were converted (their old Easy,
+    // Medium and Hard come out exactly as the presets above)
+    upgradeFlat: function (settings) {
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const curves = {};
+
+        if (isNumber(settings.enemyMaxSpeed)) {
+            curves.enemySpeed = { base: settings.enemyMaxSpeed + 0.5, perLevel: 0.5, min: null, max: null };
+        }
+        if (isNumber(settings.enemyShootCooldown)) {
+            curves.enemyFireInterval = { base: settings.enemyShootCooldown - 0.4, perLevel: -0.4, min: 1, max: null };
+        }
+        if (isNumber(settings.enemyPlayerBias)) {
+            curves.enemyPlayerBias = { base: settings.enemyPlayerBias + 0.1, perLevel: 0.1, min: null, max: 0.9 };
+        }
+        return curves;
+    },
+
+    // Fill gaps from Medium and check everything is a usable number. Also
+    // upgrades the flat settings older saves stored (see upgradeFlat).
+    normalize: function (settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Difficulty is empty or not an object');
+        }
+
+        const d = Difficulty.PRESETS.medium;
+        const result = {
+            name: String(settings.name || 'Custom').slice(0, 24),
+            startingLives: settings.startingLives ?? d.startingLives,
+            ufoSpawnLevel: settings.ufoSpawnLevel ?? d.ufoSpawnLevel,
+            ufoFrequency: settings.ufoFrequency ?? d.ufoFrequency,
+            powerupInterval: settings.powerupInterval ?? d.powerupInterval,
+            enemyCap: settings.enemyCap ?? null
+        };
+        const upgraded = Difficulty.upgradeFlat(settings);
+        for (const name of Difficulty.CURVES) {
+            const curve = typeof settings[name] === 'object' ? settings[name] : null;
+            result[name] = { ...d[name], ...upgraded[name], ...curve };
+        }
+
+        Difficulty.validate(result);
+        return result;
+    },
+
+    validate: function (settings) {
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        for (const name of Difficulty.CURVES) {
+            const curve = settings[name];
+            if (!isNumber(curve.base) || !isNumber(curve.perLevel)) {
+                throw new Error(`${name} needs a numeric base and perLevel`);
+            }
+            for (const bound of ['min', 'max']) {
+                if (curve[bound] !== null && !isNumber(curve[bound])) {
+                    throw new Error(`${name}.${bound} must be a number or null`);
+                }
+            }
+        }
+
+        if (!Number.isInteger(settings.startingLives) || settings.startingLives < 1) {
+            throw new Error('startingLives must be a whole number of at least 1');
+        }
+        if (!Number.isInteger(settings.ufoSpawnLevel) || settings.ufoSpawnLevel < 1) {
+            throw new Error('ufoSpawnLevel must be a level number');
+        }
+        if (!isNumber(settings.ufoFrequency) || settings.ufoFrequency < 0) {
+            throw new Error('ufoFrequency must be 0 or more');
+        }
+        if (!isNumber(settings.powerupInterval) || settings.powerupInterval <= 0) {
+            throw new Error('powerupInterval must be more than 0');
+        }
+        if (settings.enemyCap !== null && (!Number.isInteger(settings.enemyCap) || settings.enemyCap < 1)) {
+            throw new Error('enemyCap must be a whole number of at least 1, or null');
+        }
+    },
+
+    // Share codes are the settings as base64 JSON behind a version prefix
+    // Base64 of the JSON as UTF-8 - btoa() alone only takes Latin-1, and names can be anything
+    encode: function (settings) {
+        const bytes = new TextEncoder().encode(JSON.stringify(settings));
+        return Difficulty.CODE_PREFIX + btoa(String.fromCharCode(...bytes));
+    },
+
+    decode: function (code) {
+        const text = String(code).replace(/\s+/g, '');
+        if (!text.startsWith(Difficulty.CODE_PREFIX)) {
+            throw new Error('Not a difficulty code');
+        }
+
+        let settings;
+        try {
+            const bytes = Uint8Array.from(atob(text.slice(Difficulty.CODE_PREFIX.length)), c => c.charCodeAt(0));
+            settings = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error('Difficulty code is damaged');
+        }
+        return Difficulty.normalize(settings);
+    },
+
+    // Saved custom difficulties, keyed by name. Storage can be unavailable
+    // (headless, private mode, quota).
+    loadPresets: function () {
+        if (typeof localStorage === 'undefined') return {};
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(Difficulty.STORAGE_KEY) || '{}');
+            const presets = {};
+            for (const name in saved) {
+                try {
+                    presets[name] = Difficulty.normalize(saved[name]);
+                } catch (e) {
+                    console.warn(`Skipping saved difficulty "${name}":`, e);
+                }
+            }
+            return presets;
+        } catch (e) {
+            console.warn('Could not read saved difficulties:', e);
+            return {};
+        }
+    },
+
+    storePresets: function (presets) {
+        if (typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(Difficulty.STORAGE_KEY, JSON.stringify(presets));
+            return true;
+        } catch (e) {
+            console.warn('Could not save difficulties:', e);
+            return false;
+        }
+    },
+
+    savePreset: function (settings) {
+        const presets = Difficulty.loadPresets();
+        presets[settings.name] = settings;
+        return Difficulty.storePresets(presets);
+    },
+
+    deletePreset: function (name) {
+        const presets = Difficulty.loadPresets();
+        delete presets[name];
+        return Difficulty.storePresets(presets);
+    }
+};
+
+// Make available globally
+window.Difficulty = Difficulty;
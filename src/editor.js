@@ -0,0 +1,550 @@
+// Battlezone - Map Editor
+//
+// Top-down editing of the current Terrain: place, move, rotate and scale
+// obstacles and mountains, paint the heightmap and mark spawn zones. Maps are
+// Terrain.exportLayout() data, so they can be played directly or pasted into a
+// level's "terrain" section.
+
+const MAP_STORAGE_KEY = 'battlezone.map';
+
+const EditorTool = {
+    SELECT: 'select',
+    CUBE: 'cube',
+    PYRAMID: 'pyramid',
+    MOUNTAIN: 'mountain',
+    RAISE: 'raise',
+    LOWER: 'lower',
+    PLAYER_SPAWN: 'playerSpawn',
+    ENEMY_SPAWN: 'enemySpawn'
+};
+
+class MapEditor {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.tool = EditorTool.SELECT;
+        this.name = 'Custom Map';
+
+        // Camera looks straight down; zoom is half the visible height in world units
+        this.camera = { x: 0, z: 0, zoom: 110 };
+        this.panSpeed = 60;
+
+        this.cursor = null; // World [x, z] under the mouse
+        this.selected = null; // { kind, item }
+        this.dragging = false;
+        this.painting = false;
+        this.brushRadius = 12;
+        this.brushStrength = 4; // Elevation units per second
+        this.terrainDirty = false;
+        this.keys = {};
+    }
+
+    setupInput(canvas) {
+        this.canvas = canvas;
+
+        canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+            this.painting = false;
+        });
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.active) return;
+            e.preventDefault();
+            this.camera.zoom = Utils.clamp(this.camera.zoom * (e.deltaY > 0 ? 1.1 : 0.9), 20, 150);
+        }, { passive: false });
+
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.setTool(e.target.dataset.tool);
+            });
+        });
+
+        document.querySelectorAll('.editor-action').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.runAction(e.target.dataset.action);
+            });
+        });
+
+        const pngInput = document.getElementById('editor-png-input');
+        if (pngInput) {
+            pngInput.addEventListener('change', () => {
+                const file = pngInput.files[0];
+                pngInput.value = '';
+                if (!file) return;
+
+                HeightMapImage.readFile(file)
+                    .then(image => this.importHeightMap(image))
+                    .catch(err => {
+                        console.warn('Could not import heightmap:', err);
+                        this.game.ui.showStatus('INVALID HEIGHTMAP IMAGE', 2000);
+                    });
+            });
+        }
+
+        const importInput = document.getElementById('editor-import-input');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (!file) return;
+
+                Utils.readJSONFile(file)
+                    .then(map => this.loadMap(map))
+                    .catch(err => {
+                        console.warn('Could not import map:', err);
+                        this.game.ui.showStatus('INVALID MAP FILE', 2000);
+                    });
+            });
+        }
+    }
+
+    open() {
+        this.active = true;
+        this.selected = null;
+        this.game.ui.setEditorVisible(true);
+        this.game.ui.setEditorTool(this.tool);
+        this.game.ui.showStatus('MAP EDITOR', 1500);
+    }
+
+    close() {
+        this.active = false;
+        this.dragging = false;
+        this.painting = false;
+        this.keys = {};
+        this.game.ui.setEditorVisible(false);
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.game.ui.setEditorTool(tool);
+
+        if ((tool === EditorTool.RAISE || tool === EditorTool.LOWER) && !this.game.terrain.heightMap) {
+            this.game.ui.showStatus('HEIGHTMAP NEEDS 3D GAMEPLAY', 2000);
+        }
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'new': this.newMap(); break;
+            case 'random': this.randomMap(); break;
+            case 'save': this.saveToStorage(); break;
+            case 'load': this.loadFromStorage(); break;
+            case 'export': Utils.downloadJSON(this.getMap(), 'battlezone-map.json'); break;
+            case 'import': document.getElementById('editor-import-input').click(); break;
+            case 'importPng': document.getElementById('editor-png-input').click(); break;
+            case 'exportPng': HeightMapImage.download(this.game.terrain, 'battlezone-heightmap.png'); break;
+            case 'playtest': this.game.playtest(this.getMap()); break;
+            case 'exit': this.game.closeEditor(); break;
+        }
+    }
+
+    // Map data in the format Terrain.generate() accepts
+    getMap() {
+        return { version: 1, name: this.name, ...this.game.terrain.exportLayout() };
+    }
+
+    // Checked like a level pack's terrain first, so a bad file leaves the
+    // current map alone and says what's wrong with it
+    loadMap(map) {
+        try {
+            Levels.validateTerrain(map, 'Map');
+        } catch (e) {
+            console.warn('Could not load map:', e);
+            this.game.ui.showStatus(e.message.toUpperCase(), 3000);
+            return false;
+        }
+
+        this.game.terrain.generate(map);
+        this.name = map.name || 'Custom Map';
+        this.selected = null;
+        this.terrainChanged();
+        this.game.ui.showStatus(`LOADED ${this.name.toUpperCase()}`, 1500);
+        return true;
+    }
+
+    // Grayscale image from an external tool, resampled onto the heightmap
+    importHeightMap(image) {
+        if (!this.game.terrain.use3DGameplay) {
+            this.game.ui.showStatus('HEIGHTMAP NEEDS 3D GAMEPLAY', 2000);
+            return;
+        }
+
+        this.game.terrain.loadHeightMapImage(image);
+        this.terrainChanged();
+        this.game.ui.showStatus(`HEIGHTMAP ${image.width}x${image.height} IMPORTED`, 1500);
+    }
+
+    // Flat, empty arena
+    newMap() {
+        const terrain = this.game.terrain;
+        this.loadMap({
+            name: 'Custom Map',
+            heightMapSize: terrain.heightMapSize,
+            heightMap: terrain.heightMap ? new Array(terrain.heightMapSize * terrain.heightMapSize).fill(0) : null,
+            mountains: [],
+            obstacles: []
+        });
+    }
+
+    // Start from a generated battlefield
+    randomMap() {
+        this.game.terrain.generate();
+        this.selected = null;
+        this.terrainChanged();
+    }
+
+    saveToStorage() {
+        try {
+            localStorage.setItem(MAP_STORAGE_KEY, JSON.stringify(this.getMap()));
+            this.game.ui.showStatus('MAP SAVED', 1500);
+        } catch (e) {
+            console.warn('Could not save map:', e);
+            this.game.ui.showStatus('MAP COULD NOT BE SAVED', 2000);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const json = localStorage.getItem(MAP_STORAGE_KEY);
+            if (!json) {
+                this.game.ui.showStatus('NO SAVED MAP', 1500);
+                return;
+            }
+            this.loadMap(JSON.parse(json));
+        } catch (e) {
+            console.warn('Could not load map:', e);
+            this.game.ui.showStatus('MAP COULD NOT BE LOADED', 2000);
+        }
+    }
+
+    // Rebuild the ground mesh and re-colour after the map changed
+    terrainChanged() {
+        this.terrainDirty = true;
+        this.game.applyThemeColors();
+    }
+
+    handleKeyDown(e) {
+        this.keys[e.code] = true;
+
+        switch (e.code) {
+            case 'Escape':
+                this.game.closeEditor();
+                break;
+            case 'KeyQ':
+                this.rotateSelected(-Math.PI / 12);
+                break;
+            case 'KeyE':
+                this.rotateSelected(Math.PI / 12);
+                break;
+            case 'Equal':
+            case 'NumpadAdd':
+                this.scaleSelected(1.1);
+                break;
+            case 'Minus':
+            case 'NumpadSubtract':
+                this.scaleSelected(1 / 1.1);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelected();
+                break;
+            case 'BracketLeft':
+                this.brushRadius = Math.max(4, this.brushRadius - 2);
+                this.game.ui.showStatus(`BRUSH ${this.brushRadius}`, 800);
+                break;
+            case 'BracketRight':
+                this.brushRadius = Math.min(40, this.brushRadius + 2);
+                this.game.ui.showStatus(`BRUSH ${this.brushRadius}`, 800);
+                break;
+        }
+    }
+
+    handleKeyUp(e) {
+        this.keys[e.code] = false;
+    }
+
+    // Canvas pixel -> world [x, z] on the ground plane
+    screenToWorld(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ndcX = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        const ndcY = 1 - ((e.clientY - rect.top) / rect.height) * 2;
+        const aspect = rect.width / rect.height;
+
+        return [
+            this.camera.x + ndcX * this.camera.zoom * aspect,
+            this.camera.z - ndcY * this.camera.zoom
+        ];
+    }
+
+    handleMouseDown(e) {
+        if (!this.active || e.button !== 0) return;
+
+        const point = this.screenToWorld(e);
+        this.cursor = point;
+
+        switch (this.tool) {
+            case EditorTool.SELECT:
+                this.selected = this.pick(point);
+                this.dragging = this.selected !== null;
+                break;
+            case EditorTool.CUBE:
+            case EditorTool.PYRAMID:
+                this.selected = { kind: 'obstacle', item: this.addObstacle(this.tool, point) };
+                this.dragging = true;
+                break;
+            case EditorTool.MOUNTAIN:
+                this.selected = { kind: 'mountain', item: this.addMountain(point) };
+                this.dragging = true;
+                break;
+            case EditorTool.PLAYER_SPAWN:
+            case EditorTool.ENEMY_SPAWN: {
+                const kind = this.tool === EditorTool.PLAYER_SPAWN ? 'player' : 'enemy';
+                const zone = { position: [point[0], point[1]], radius: 10 };
+                this.game.terrain.spawnZones[kind].push(zone);
+                this.selected = { kind: kind + 'Zone', item: zone };
+                this.dragging = true;
+                break;
+            }
+            case EditorTool.RAISE:
+            case EditorTool.LOWER:
+                this.painting = true;
+                break;
+        }
+    }
+
+    handleMouseMove(e) {
+        if (!this.active) return;
+
+        this.cursor = this.screenToWorld(e);
+        if (this.dragging && this.selected) {
+            this.moveSelected(this.cursor);
+        }
+    }
+
+    addObstacle(type, point) {
+        const terrain = this.game.terrain;
+        const size = type === 'pyramid' ? [4, 6, 4] : [4, 4, 4];
+        const obstacle = {
+            id: `obstacle_${terrain.obstacles.length}`,
+            position: [point[0], terrain.getHeightAt(point[0], point[1]), point[1]],
+            rotation: 0,
+            type: type,
+            size: size,
+            color: [0.4, 0.35, 0.3],
+            collisionRadius: 4 * 0.7
+        };
+        terrain.obstacles.push(obstacle);
+        this.game.applyThemeColors();
+        return obstacle;
+    }
+
+    addMountain(point) {
+        const terrain = this.game.terrain;
+        const mountain = {
+            position: [point[0], terrain.getHeightAt(point[0], point[1]), point[1]],
+            scale: 1,
+            rotation: 0,
+            color: [0.3, 0.35, 0.25]
+        };
+        terrain.mountains.push(mountain);
+        this.game.applyThemeColors();
+        return mountain;
+    }
+
+    // Closest piece under the point: obstacles first, then zones, then mountains
+    pick(point) {
+        const terrain = this.game.terrain;
+        const within = (x, z, radius) => Utils.distance2D(point[0], point[1], x, z) <= radius;
+
+        for (const obstacle of terrain.obstacles) {
+            if (within(obstacle.position[0], obstacle.position[2], Math.max(obstacle.collisionRadius, 2))) {
+                return { kind: 'obstacle', item: obstacle };
+            }
+        }
+        for (const kind of ['player', 'enemy']) {
+            for (const zone of terrain.spawnZones[kind]) {
+                if (within(zone.position[0], zone.position[1], zone.radius)) {
+                    return { kind: kind + 'Zone', item: zone };
+                }
+            }
+        }
+        for (const mountain of terrain.mountains) {
+            if (within(mountain.position[0], mountain.position[2], 8 * mountain.scale)) {
+                return { kind: 'mountain', item: mountain };
+            }
+        }
+        return null;
+    }
+
+    moveSelected(point) {
+        const { kind, item } = this.selected;
+
+        if (kind === 'obstacle' || kind === 'mountain') {
+            item.position[0] = point[0];
+            item.position[2] = point[1];
+            item.position[1] = this.game.terrain.getHeightAt(point[0], point[1]);
+        } else {
+            item.position[0] = point[0];
+            item.position[1] = point[1];
+        }
+    }
+
+    rotateSelected(angle) {
+        if (!this.selected || this.selected.kind.endsWith('Zone')) return;
+        const item = this.selected.item;
+        item.rotation = Utils.normalizeAngle(item.rotation + angle);
+    }
+
+    scaleSelected(factor) {
+        if (!this.selected) return;
+        const { kind, item } = this.selected;
+
+        if (kind === 'obstacle') {
+            item.size = item.size.map(s => Utils.clamp(s * factor, 1, 30));
+            item.collisionRadius = Math.max(item.size[0], item.size[2]) * 0.7;
+        } else if (kind === 'mountain') {
+            item.scale = Utils.clamp(item.scale * factor, 0.3, 4);
+        } else {
+            item.radius = Utils.clamp(item.radius * factor, 3, 60);
+        }
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+        const { kind, item } = this.selected;
+        const terrain = this.game.terrain;
+
+        const list = kind === 'obstacle' ? terrain.obstacles :
+            kind === 'mountain' ? terrain.mountains :
+                terrain.spawnZones[kind === 'playerZone' ? 'player' : 'enemy'];
+
+        const index = list.indexOf(item);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+        this.selected = null;
+    }
+
+    // Raise or lower the heightmap under the brush, softer toward its edge
+    paint(deltaTime) {
+        const terrain = this.game.terrain;
+        if (!terrain.heightMap || !this.cursor) return;
+
+        const size = terrain.heightMapSize;
+        const direction = this.tool === EditorTool.RAISE ? 1 : -1;
+
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                const worldX = (x / size - 0.5) * terrain.size;
+                const worldZ = (z / size - 0.5) * terrain.size;
+                const dist = Utils.distance2D(worldX, worldZ, this.cursor[0], this.cursor[1]);
+                if (dist > this.brushRadius) continue;
+
+                const falloff = 1 - Utils.smoothstep(0, this.brushRadius, dist);
+                const index = z * size + x;
+                terrain.heightMap[index] = Utils.clamp(
+                    terrain.heightMap[index] + direction * this.brushStrength * falloff * deltaTime,
+                    0, terrain.maxElevation
+                );
+            }
+        }
+
+        terrain.snapToGround();
+        this.terrainDirty = true;
+    }
+
+    update(deltaTime) {
+        // Pan with arrows / WASD
+        const pan = this.panSpeed * (this.camera.zoom / 110) * deltaTime;
+        if (this.keys.ArrowLeft || this.keys.KeyA) this.camera.x -= pan;
+        if (this.keys.ArrowRight || this.keys.KeyD) this.camera.x += pan;
+        if (this.keys.ArrowUp || this.keys.KeyW) this.camera.z -= pan;
+        if (this.keys.ArrowDown || this.keys.KeyS) this.camera.z += pan;
+
+        if (this.painting) {
+            this.paint(deltaTime);
+        }
+
+        // Rebuild the ground mesh at most once per frame
+        if (this.terrainDirty) {
+            this.terrainDirty = false;
+            if (this.game.terrain.use3DGameplay) {
+                this.game.renderer.setTerrain(this.game.terrain);
+            }
+        }
+
+        this.game.ui.drawMapOverview(this.game.terrain, this.selected, this.camera);
+    }
+
+    // Orthographic camera looking straight down, north (-Z) up
+    getCamera(aspect) {
+        const viewMatrix = mat4.create();
+        mat4.lookAt(viewMatrix,
+            [this.camera.x, 200, this.camera.z],
+            [this.camera.x, 0, this.camera.z],
+            [0, 0, -1]);
+
+        const projectionMatrix = mat4.create();
+        const zoom = this.camera.zoom;
+        mat4.ortho(projectionMatrix, -zoom * aspect, zoom * aspect, -zoom, zoom, 1, 400);
+
+        return { viewMatrix, projectionMatrix };
+    }
+
+    // Spawn zones, brush and selection outlines drawn over the scene
+    renderOverlay(viewMatrix, projectionMatrix) {
+        const renderer = this.game.renderer;
+        const terrain = this.game.terrain;
+
+        renderer.useProgram(renderer.programs.line);
+        renderer.setUniforms({
+            uViewMatrix: viewMatrix,
+            uProjectionMatrix: projectionMatrix
+        });
+
+        const circle = (x, z, radius, color) => {
+            const positions = [];
+            const segments = 32;
+            const y = terrain.getHeightAt(x, z) + 0.5;
+
+            for (let i = 0; i < segments; i++) {
+                const a0 = (i / segments) * Math.PI * 2;
+                const a1 = ((i + 1) / segments) * Math.PI * 2;
+                positions.push(
+                    x + Math.cos(a0) * radius, y, z + Math.sin(a0) * radius,
+                    x + Math.cos(a1) * radius, y, z + Math.sin(a1) * radius
+                );
+            }
+            renderer.drawLines(positions, color, mat4.create());
+        };
+
+        for (const zone of terrain.spawnZones.player) {
+            circle(zone.position[0], zone.position[1], zone.radius, [0, 1, 0]);
+        }
+        for (const zone of terrain.spawnZones.enemy) {
+            circle(zone.position[0], zone.position[1], zone.radius, [1, 0.2, 0.2]);
+        }
+
+        if (this.selected) {
+            const { kind, item } = this.selected;
+            if (kind === 'obstacle') {
+                circle(item.position[0], item.position[2], item.collisionRadius + 1, [1, 1, 0]);
+            } else if (kind === 'mountain') {
+                circle(item.position[0], item.position[2], 8 * item.scale, [1, 1, 0]);
+            } else {
+                circle(item.position[0], item.position[1], item.radius + 1, [1, 1, 0]);
+            }
+        }
+
+        if (this.cursor && (this.tool === EditorTool.RAISE || this.tool === EditorTool.LOWER)) {
+            circle(this.cursor[0], this.cursor[1], this.brushRadius, [0.6, 0.8, 1]);
+        }
+    }
+}
+
+// Make available globally
+window.EditorTool = EditorTool;
+window.MapEditor = MapEditor;
@@ -1,16 +1,96 @@
 // Battlezone - Enemy Tank AI
 
+// State written to save games
+const ENEMY_SAVE_FIELDS = [
+    'id', 'type', 'hitPoints', 'maxHitPoints', 'position', 'rotation', 'velocity', 'maxSpeed', 'turnSpeed', 'currentSpeed',
+    'targetRotation', 'moveTimer', 'moveDuration', 'state', 'playerBias',
+    'alive', 'shootTimer', 'shootCooldown', 'accuracy', 'lead', 'color', 'points',
+    'path', 'pathGoal', 'repathTimer', 'flankSide', 'wanderGoal',
+    'squadRole', 'squadBearing', 'squadRange',
+    'coverSpot', 'peekSpot', 'coverState', 'coverTimer', 'wantCover'
+];
+
+const UFO_SAVE_FIELDS = [
+    'id', 'position', 'rotation', 'speed', 'alive', 'hitPoints', 'maxHitPoints', 'shootTimer', 'shootCooldown',
+    'moveAngle', 'bobPhase', 'accuracy', 'lead', 'points'
+];
+
+// How much closer a player looks when their turret is pointed at the enemy
+const THREAT_AIM_ANGLE = 0.35;
+const THREAT_DISTANCE_SCALE = 0.6;
+
+// Route following on the navigation grid (see navigation.js)
+const REPATH_INTERVAL = 1;      // Seconds between route updates
+const REPATH_DISTANCE = 8;      // Replan early once the goal has moved this far
+const WAYPOINT_RADIUS = 3;      // Close enough to move on to the next waypoint
+const FLANK_DISTANCE = 20;      // How far out to the target's side flankers swing
+const FLANK_REACHED = 8;        // Then they turn in
+const SEPARATION_RADIUS = 7;    // Tanks closer than this steer apart
+const WANDER_DISTANCE = 25;     // How far off wandering tanks pick somewhere to go
+
+// Fighting from cover (see cover.js)
+const COVER_TIME = 10;          // Seconds a tank keeps to cover before pressing on again
+const COVER_ARRIVE = 2.5;
+
+const SHELL_SPEED = 35;
+
+// Projectile settings for a cannon shell fired from entity along direction
+function cannonShot(entity, direction, useBallistics) {
+    return {
+        position: [
+            entity.position[0] + direction[0] * 2.5,
+            entity.position[1] + 1.2,
+            entity.position[2] + direction[2] * 2.5
+        ],
+        velocity: [
+            direction[0] * SHELL_SPEED,
+            direction[1] * SHELL_SPEED,
+            direction[2] * SHELL_SPEED
+        ],
+        type: useBallistics ? 'ballistic' : 'normal'
+    };
+}
+
+// Which player an enemy goes after: the nearest living one, counting players
+// who are aiming at it as closer. With nobody alive it keeps the first player,
+// whose alive flag the AI already checks.
+function chooseTarget(entity, players) {
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const player of players) {
+        if (!player.alive) continue;
+
+        const dx = entity.position[0] - player.position[0];
+        const dz = entity.position[2] - player.position[2];
+        let score = Math.sqrt(dx * dx + dz * dz);
+
+        const aim = player.getTurretRotation ? player.getTurretRotation() : player.rotation;
+        if (Math.abs(Utils.normalizeAngle(Math.atan2(dx, dz) - aim)) < THREAT_AIM_ANGLE) {
+            score *= THREAT_DISTANCE_SCALE;
+        }
+
+        if (score < bestScore) {
+            best = player;
+            bestScore = score;
+        }
+    }
+
+    return best || players[0];
+}
+
 class EnemyTank {
     constructor(config = {}) {
         this.id = config.id || `enemy_${Date.now()}_${Math.random()}`;
+        this.type = 'tank'; // Roster type (see enemytypes.js)
         this.position = config.position ? [...config.position] : [0, 0, 0];
-        this.rotation = config.rotation || Math.random() * Math.PI * 2;
+        this.rotation = config.rotation || Random.next() * Math.PI * 2;
         this.velocity = [0, 0, 0];
 
         // Tank properties - made easier
         this.collisionRadius = 2.0;
         this.height = 2.5;
-        this.maxSpeed = config.maxSpeed || 5;  // Slower enemies (was 8)
+        this.maxSpeed = config.maxSpeed ?? 5;  // Slower enemies (was 8)
         this.turnSpeed = config.turnSpeed || 1.2; // Slower turning
         this.currentSpeed = 0;
 
@@ -18,13 +98,38 @@ class EnemyTank {
         this.targetRotation = this.rotation;
         this.moveTimer = 0;
         this.moveDuration = Utils.random(2, 5);
-        this.state = 'wander'; // wander, pursue, shoot
-        this.playerBias = config.playerBias || 0.4; // Less tendency toward player (was 0.6)
+        this.state = 'wander'; // wander, pursue, shoot, wait
+        this.playerBias = config.playerBias ?? 0.4; // Less tendency toward player (was 0.6)
+
+        // Route to the current goal as [[x, z], ...] waypoints
+        this.path = [];
+        this.pathGoal = null;
+        this.repathTimer = 0;
+        this.flankSide = 0; // -1 / 1 swing round the target's left / right, 0 goes straight in
+        this.wanderGoal = null;
+
+        // Cover to fight from, once there's a reason to look for some
+        this.takesCover = true;
+        this.coverSpot = null;
+        this.peekSpot = null;
+        this.coverState = null;   // hide or peek
+        this.coverTimer = 0;
+        this.wantCover = false;   // Fired or got hit - look for cover next tick
+
+        // Orders from the squad (see squad.js); the coordinator sets these every tick
+        this.joinsSquads = true;
+        this.preferredRole = null;  // bait, flanker or suppressor - else any
+        this.clearSquad();
 
         // Combat - shoot less often
         this.alive = true;
+        this.maxHitPoints = config.hitPoints || 30; // A shell kills one even head on (see armor.js)
+        this.hitPoints = this.maxHitPoints;
+        this.fireRange = config.fireRange || Infinity;
         this.shootTimer = Utils.random(4, 7); // Longer initial delay
-        this.shootCooldown = config.shootCooldown || 5; // Shoot less often (was 3)
+        this.shootCooldown = config.shootCooldown ?? 5; // Shoot less often (was 3)
+        this.accuracy = config.accuracy ?? 1; // 1 = dead-on aim
+        this.lead = config.lead ?? 1;         // 1 = allows for all of the target's movement (see targeting.js)
         this.invulnerable = false;
 
         // Visual - Dark maroon/red (clearly enemy)
@@ -32,15 +137,27 @@ class EnemyTank {
         this.points = config.points || 100;
     }
 
-    update(deltaTime, player, terrain, obstacles, otherEnemies, physics, level = 1) {
+    // Without a navGrid tanks drive straight at things and turn away when they bump
+    update(deltaTime, players, terrain, obstacles, otherEnemies, physics, level = 1, navGrid = null) {
         if (!this.alive) return;
 
         // Update timers
         this.moveTimer += deltaTime;
         this.shootTimer -= deltaTime;
+        this.repathTimer -= deltaTime;
+        this.coverTimer -= deltaTime;
+
+        // Picked fresh every tick; the game aims this tank's shots at it too
+        this.target = this.pickTarget(players);
+        this.others = otherEnemies; // Whose cover is taken
 
         // AI state machine
-        this.updateAI(player, level, terrain);
+        this.updateAI(this.target, level, terrain, navGrid);
+
+        // Keep clear of the other tanks along the way
+        if (navGrid && this.state === 'pursue' && this.shootTimer > 0) {
+            this.targetRotation = this.steerAround(otherEnemies);
+        }
 
         // Rotate toward target rotation
         const rotDiff = Utils.normalizeAngle(this.targetRotation - this.rotation);
@@ -57,9 +174,9 @@ class EnemyTank {
         // Move forward
         const oldPosition = [...this.position];
 
-        if (this.state !== 'shoot') {
+        if (this.state !== 'shoot' && this.state !== 'wait') {
             const forward = Utils.angleToVector(this.rotation);
-            const speed = this.maxSpeed * (0.5 + Math.random() * 0.5);
+            const speed = this.maxSpeed * (0.5 + Random.next() * 0.5);
 
             this.position[0] += forward[0] * speed * deltaTime;
             this.position[2] += forward[2] * speed * deltaTime;
@@ -99,9 +216,7 @@ class EnemyTank {
                     this.position[0] += 1;
                 }
 
-                // Turn away
-                this.targetRotation = this.rotation + Math.PI / 2 + Math.random() * Math.PI;
-                this.moveTimer = 0;
+                this.bounceOff(navGrid);
             }
         }
 
@@ -131,14 +246,15 @@ class EnemyTank {
                     this.position[0] += 1;
                 }
 
-                this.targetRotation = this.rotation + Math.PI / 2 + Math.random() * Math.PI;
-                this.moveTimer = 0;
+                this.bounceOff(navGrid);
                 break;
             }
         }
 
         // Check player collision
-        if (player.alive) {
+        for (const player of players) {
+            if (!player.alive) continue;
+
             if (Collision.circleVsCircle(
                 this.position[0], this.position[2], this.collisionRadius,
                 player.position[0], player.position[2], player.collisionRadius
@@ -147,6 +263,7 @@ class EnemyTank {
                 this.position[2] = oldPosition[2];
                 this.targetRotation = this.rotation + Math.PI;
                 this.moveTimer = 0;
+                break;
             }
         }
 
@@ -168,54 +285,88 @@ class EnemyTank {
 
         // Keep in bounds
         terrain.clampToBounds(this.position, 15);
+
+        // How it actually moved, for anyone leading their shots at it
+        this.velocity[0] = (this.position[0] - oldPosition[0]) / deltaTime;
+        this.velocity[2] = (this.position[2] - oldPosition[2]) / deltaTime;
+    }
+
+    pickTarget(players) {
+        return chooseTarget(this, players);
     }
 
-    updateAI(player, level, terrain = null) {
+    updateAI(player, level, terrain = null, navGrid = null) {
         if (!player.alive) {
             this.state = 'wander';
         }
 
-        // Level modifies behavior
-        const levelBias = Math.min(0.9, this.playerBias + level * 0.05);
-        const shootInterval = Math.max(1, this.shootCooldown - level * 0.2);
-
         // Check line of sight to player (for shooting)
         this.hasLineOfSight = true;
         if (terrain && player.alive) {
             this.hasLineOfSight = this.checkLineOfSight(player.position, terrain);
         }
 
-        // Check if it's time to change direction
-        if (this.moveTimer >= this.moveDuration) {
+        // Find, keep or give up cover
+        this.updateCover(player, terrain, navGrid);
+
+        // Check if it's time to change direction (squad members have their orders, tanks in cover their spot)
+        if (this.moveTimer >= this.moveDuration && !this.squadRole && !this.coverSpot) {
             this.moveTimer = 0;
             this.moveDuration = Utils.random(2, 5);
 
             // Decide new direction
-            if (player.alive && Math.random() < levelBias) {
-                // Move toward player
-                const toPlayer = [
-                    player.position[0] - this.position[0],
-                    player.position[2] - this.position[2]
-                ];
-                this.targetRotation = Math.atan2(toPlayer[0], toPlayer[1]);
-
-                // Add some randomness
-                this.targetRotation += Utils.random(-0.5, 0.5);
+            if (player.alive && Random.next() < this.playerBias) {
+                if (navGrid) {
+                    // Route in head-on or round one side (steered below)
+                    this.flankSide = Utils.randomInt(-1, 1);
+                    this.repathTimer = 0;
+                } else {
+                    // Move toward player
+                    const toPlayer = [
+                        player.position[0] - this.position[0],
+                        player.position[2] - this.position[2]
+                    ];
+                    this.targetRotation = Math.atan2(toPlayer[0], toPlayer[1]);
+
+                    // Add some randomness
+                    this.targetRotation += Utils.random(-0.5, 0.5);
+                }
                 this.state = 'pursue';
+            } else if (navGrid) {
+                this.wanderGoal = this.pickWanderGoal(terrain);
+                this.repathTimer = 0;
+                this.state = 'wander';
             } else {
                 // Random direction
-                this.targetRotation = Math.random() * Math.PI * 2;
+                this.targetRotation = Random.next() * Math.PI * 2;
                 this.state = 'wander';
             }
         }
 
-        // Shooting logic
-        if (player.alive && this.shootTimer <= 0) {
+        // Routes lead around whatever is in the way
+        if (this.coverSpot) {
+            this.steerForCover(player, navGrid);
+        } else if (this.squadRole && player.alive) {
+            this.followSquadOrders(player, navGrid);
+        } else if (navGrid && this.state === 'pursue' && player.alive) {
+            this.steerTo(this.getPursuitGoal(player), navGrid);
+        } else if (navGrid && this.state === 'wander') {
+            const goal = this.wanderGoal;
+            if (!goal || Utils.distance2D(this.position[0], this.position[2], goal[0], goal[2]) < WAYPOINT_RADIUS) {
+                this.wanderGoal = this.pickWanderGoal(terrain);
+            }
+            this.steerTo(this.wanderGoal, navGrid);
+        }
+
+        // Shooting logic (a tank on a route only turns to fire once it can see the target)
+        const toPlayer = [
+            player.position[0] - this.position[0],
+            player.position[2] - this.position[2]
+        ];
+        const inRange = Math.sqrt(toPlayer[0] * toPlayer[0] + toPlayer[1] * toPlayer[1]) <= this.fireRange;
+
+        if (player.alive && this.shootTimer <= 0 && inRange && (this.hasLineOfSight || !navGrid)) {
             // Calculate angle to player
-            const toPlayer = [
-                player.position[0] - this.position[0],
-                player.position[2] - this.position[2]
-            ];
             const angleToPlayer = Math.atan2(toPlayer[0], toPlayer[1]);
             const angleDiff = Math.abs(Utils.normalizeAngle(angleToPlayer - this.rotation));
 
@@ -223,16 +374,202 @@ class EnemyTank {
             this.targetRotation = angleToPlayer;
 
             if (angleDiff < 0.3) {
-                // Check line of sight - don't fire if mountain blocks
-                if (this.hasLineOfSight) {
+                // Check line of sight - don't fire if mountain blocks, or hold for the squad's volley
+                if (this.hasLineOfSight && !this.holdFire) {
                     this.state = 'shoot';
                     this.shouldShoot = true;
-                    this.shootTimer = shootInterval;
+                    this.shootTimer = this.shootCooldown;
+
+                    // Back into cover to reload (squads only spare their suppressors)
+                    if (!this.squadRole || this.squadRole === 'suppressor') {
+                        this.wantCover = this.takesCover;
+                    }
                 }
             }
         }
     }
 
+    // Look for cover when there's reason to, and give it up once it's no
+    // good any more: the time's up, the target has gone or can see in
+    updateCover(target, terrain, navGrid) {
+        if (!target.alive || !terrain) {
+            this.leaveCover();
+            return;
+        }
+
+        if (this.wantCover) {
+            this.wantCover = false;
+            this.coverTimer = COVER_TIME;
+            this.moveToCover(target, terrain, navGrid);
+        }
+
+        if (!this.coverSpot) return;
+
+        if (this.coverTimer <= 0) {
+            this.leaveCover();
+        } else if (this.coverState === 'hide' && !Cover.isLineBlocked(target.position, this.coverSpot, terrain)) {
+            // The target moved round - somewhere else, or out if there's nowhere
+            this.moveToCover(target, terrain, navGrid);
+        } else if (this.coverState === 'hide' && this.shootTimer <= 0) {
+            // Reloaded - out for a shot
+            this.coverState = 'peek';
+            this.repathTimer = 0;
+        }
+    }
+
+    moveToCover(target, terrain, navGrid) {
+        const taken = (this.others || []).filter(e => e.alive && e.coverSpot).map(e => e.coverSpot);
+        const cover = Cover.find(this, target, terrain, navGrid, taken);
+        if (!cover) {
+            this.leaveCover();
+            return;
+        }
+
+        this.coverSpot = cover.position;
+        this.peekSpot = cover.peek;
+        this.coverState = 'hide';
+        this.repathTimer = 0;
+    }
+
+    // Drive to the cover (or the peek spot), then wait there facing the target
+    steerForCover(target, navGrid) {
+        const goal = this.coverState === 'peek' ? this.peekSpot : this.coverSpot;
+
+        if (Utils.distance2D(this.position[0], this.position[2], goal[0], goal[2]) < COVER_ARRIVE) {
+            this.targetRotation = Math.atan2(target.position[0] - this.position[0], target.position[2] - this.position[2]);
+            this.state = 'wait';
+        } else if (navGrid) {
+            this.steerTo(goal, navGrid);
+            this.state = 'pursue';
+        } else {
+            this.targetRotation = Math.atan2(goal[0] - this.position[0], goal[2] - this.position[2]);
+            this.state = 'pursue';
+        }
+    }
+
+    leaveCover() {
+        this.coverSpot = null;
+        this.peekSpot = null;
+        this.coverState = null;
+    }
+
+    // Drive down the squad lane to the goal, or wait there facing the target
+    followSquadOrders(target, navGrid) {
+        const goal = this.squadGoal;
+        const arrived = !goal || Utils.distance2D(this.position[0], this.position[2], goal[0], goal[2]) < WAYPOINT_RADIUS;
+
+        if (this.squadWait || arrived) {
+            this.targetRotation = Math.atan2(target.position[0] - this.position[0], target.position[2] - this.position[2]);
+            this.state = 'wait';
+        } else if (navGrid) {
+            this.steerTo(goal, navGrid);
+            this.state = 'pursue';
+        } else {
+            this.targetRotation = Math.atan2(goal[0] - this.position[0], goal[2] - this.position[2]);
+            this.state = 'pursue';
+        }
+    }
+
+    // Not in a squad (or just left one)
+    clearSquad() {
+        this.squadRole = null;     // bait, flanker or suppressor
+        this.squadBearing = 0;     // Lane, as an angle off the target's nose
+        this.squadRange = 0;       // How far out along it
+        this.squadGoal = null;
+        this.squadWait = false;
+        this.holdFire = false;
+    }
+
+    // Beside the target while flanking, otherwise the target itself
+    getPursuitGoal(target) {
+        if (this.flankSide !== 0) {
+            const right = Utils.angleToVector(target.rotation - Math.PI / 2);
+            const goal = [
+                target.position[0] + right[0] * this.flankSide * FLANK_DISTANCE,
+                0,
+                target.position[2] + right[2] * this.flankSide * FLANK_DISTANCE
+            ];
+            if (Utils.distance2D(this.position[0], this.position[2], goal[0], goal[2]) > FLANK_REACHED) {
+                return goal;
+            }
+
+            // Round the side - now close in
+            this.flankSide = 0;
+        }
+        return target.position;
+    }
+
+    // Turn toward the next waypoint on a route to goal, replanning every
+    // REPATH_INTERVAL or sooner when the goal moves off
+    steerTo(goal, navGrid) {
+        const moved = !this.pathGoal ||
+            Utils.distance2D(this.pathGoal[0], this.pathGoal[1], goal[0], goal[2]) > REPATH_DISTANCE;
+
+        if (this.repathTimer <= 0 || moved) {
+            this.path = navGrid.findPath(this.position, goal);
+            this.pathGoal = [goal[0], goal[2]];
+            this.repathTimer = REPATH_INTERVAL;
+        }
+
+        // Move on past waypoints already reached (the last one is the goal)
+        while (this.path.length > 1 &&
+            Utils.distance2D(this.position[0], this.position[2], this.path[0][0], this.path[0][1]) < WAYPOINT_RADIUS) {
+            this.path.shift();
+        }
+
+        const next = this.path.length > 0 ? this.path[0] : [goal[0], goal[2]];
+        const dx = next[0] - this.position[0];
+        const dz = next[1] - this.position[2];
+        if (dx * dx + dz * dz > 0.25) {
+            this.targetRotation = Math.atan2(dx, dz);
+        }
+    }
+
+    // The heading to targetRotation, bent away from tanks close by
+    steerAround(others) {
+        const heading = Utils.angleToVector(this.targetRotation);
+        let x = heading[0];
+        let z = heading[2];
+
+        for (const other of others) {
+            if (other === this || !other.alive) continue;
+
+            const dx = this.position[0] - other.position[0];
+            const dz = this.position[2] - other.position[2];
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist > 0 && dist < SEPARATION_RADIUS) {
+                // Stronger the closer they are
+                const push = (1 - dist / SEPARATION_RADIUS) / dist;
+                x += dx * push;
+                z += dz * push;
+            }
+        }
+        return Math.atan2(x, z);
+    }
+
+    // Somewhere off in a random direction, kept on the battlefield
+    pickWanderGoal(terrain) {
+        const dir = Utils.angleToVector(Random.next() * Math.PI * 2);
+        const goal = [
+            this.position[0] + dir[0] * WANDER_DISTANCE,
+            0,
+            this.position[2] + dir[2] * WANDER_DISTANCE
+        ];
+        if (terrain) terrain.clampToBounds(goal, 20);
+        return goal;
+    }
+
+    // Bumped into the terrain: plan a new route, or without one just turn away
+    bounceOff(navGrid) {
+        if (navGrid) {
+            this.repathTimer = 0;
+            return;
+        }
+
+        this.targetRotation = this.rotation + Math.PI / 2 + Random.next() * Math.PI;
+        this.moveTimer = 0;
+    }
+
     // Check if there's a clear line of sight to target (no mountains blocking)
     checkLineOfSight(targetPos, terrain) {
         const dx = targetPos[0] - this.position[0];
@@ -261,21 +598,26 @@ class EnemyTank {
         return true; // Clear line of sight
     }
 
-    getShootDirection(player) {
+    // With physics the shell falls under gravity (ballistic mode), so it's
+    // lobbed at the aim point instead of fired straight
+    getShootDirection(player, physics = null) {
         if (!player) return Utils.angleToVector(this.rotation);
 
-        // Aim at player
-        const dir = [
-            player.position[0] - this.position[0],
-            player.position[1] - this.position[1] + 0.5, // Aim slightly up at player center
-            player.position[2] - this.position[2]
-        ];
+        // Aim where the player will be when the shell gets there (see targeting.js)
+        const aimPoint = Targeting.getAimPoint(this.position, player, SHELL_SPEED, this.lead, physics);
+        aimPoint[1] += 0.5; // Aim slightly up at player center
+
+        const dir = physics ?
+            physics.calculateBallisticShot(this.position, aimPoint, SHELL_SPEED) :
+            [aimPoint[0] - this.position[0], aimPoint[1] - this.position[1], aimPoint[2] - this.position[2]];
 
         const len = Math.sqrt(dir[0] * dir[0] + dir[1] * dir[1] + dir[2] * dir[2]);
         if (len > 0) {
             // Normalize
             const normDir = [dir[0] / len, dir[1] / len, dir[2] / len];
 
+            this.applyAimError(normDir, Utils.distance2D(this.position[0], this.position[2], aimPoint[0], aimPoint[2]));
+
             // Limit downward angle to prevent shooting self/ground immediately
             // If aiming too steeply down (y < -0.3), flatten it a bit
             if (normDir[1] < -0.3) {
@@ -292,16 +634,47 @@ class EnemyTank {
         return Utils.angleToVector(this.rotation);
     }
 
-    takeDamage() {
+    // Less accurate tanks miss by more, and by more still further out (turns vector in place)
+    applyAimError(vector, distance) {
+        return Targeting.applyError(vector, this.accuracy, distance);
+    }
+
+    // Projectile settings for a shot at target; the game fires it
+    getShot(target, physics, useBallistics) {
+        return cannonShot(this, this.getShootDirection(target, useBallistics ? physics : null), useBallistics);
+    }
+
+    // True once the tank is destroyed
+    takeDamage(amount = this.maxHitPoints) {
+        // Already destroyed by another hit this tick
+        if (!this.alive) return false;
         if (this.invulnerable) return false;
+
+        this.hitPoints -= amount;
+        if (this.hitPoints > 0) {
+            // Hurt - get out of the line of fire (the bait stays out to draw it)
+            this.wantCover = this.takesCover && this.squadRole !== 'bait';
+            return false;
+        }
+
+        this.hitPoints = 0;
         this.alive = false;
         return true;
     }
 
-    getModelMatrix() {
+    serialize() {
+        return Utils.copyFields({}, this, ENEMY_SAVE_FIELDS);
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, ENEMY_SAVE_FIELDS);
+    }
+
+    getModelMatrix(alpha = 1) {
         const matrix = mat4.create();
-        mat4.translate(matrix, matrix, this.position);
-        mat4.rotateY(matrix, matrix, this.rotation);
+        const { position, rotation } = Utils.getRenderTransform(this, alpha);
+        mat4.translate(matrix, matrix, position);
+        mat4.rotateY(matrix, matrix, rotation);
         return matrix;
     }
 }
@@ -319,22 +692,28 @@ class UFO {
         this.speed = config.speed || 4;  // SLOWED from 12 to 4
 
         this.alive = true;
+        this.maxHitPoints = 40;
+        this.hitPoints = this.maxHitPoints;
         this.shootTimer = Utils.random(5, 8);  // Slower shooting
         this.shootCooldown = 6;  // Longer cooldown
+        this.accuracy = config.accuracy ?? 1;
+        this.lead = config.lead ?? 1;
 
         this.color = [0.7, 0.7, 0.9]; // Lighter metallic color
         this.points = 500;
 
         // Movement pattern - slower
-        this.moveAngle = Math.random() * Math.PI * 2;
-        this.bobPhase = Math.random() * Math.PI * 2;
+        this.moveAngle = Random.next() * Math.PI * 2;
+        this.bobPhase = Random.next() * Math.PI * 2;
     }
 
-    update(deltaTime, player, terrain) {
+    update(deltaTime, players, terrain) {
         if (!this.alive) return;
 
         // Update shooting
         this.shootTimer -= deltaTime;
+        this.target = chooseTarget(this, players);
+        const player = this.target;
 
         // Rotate slowly
         this.rotation += deltaTime * 0.3;
@@ -348,6 +727,8 @@ class UFO {
 
         this.position[0] += moveX * this.speed * deltaTime;
         this.position[2] += moveZ * this.speed * deltaTime;
+        this.velocity[0] = moveX * this.speed;
+        this.velocity[2] = moveZ * this.speed;
 
         // Bob up and down gently
         this.position[1] = 12 + Math.sin(this.bobPhase) * 2;  // Lower and gentler
@@ -362,27 +743,49 @@ class UFO {
         }
     }
 
+    // Leads and misses like the tanks (see targeting.js)
     getShootDirection(player) {
+        const aimPoint = Targeting.getAimPoint(this.position, player, SHELL_SPEED, this.lead);
         const dir = [
-            player.position[0] - this.position[0],
-            player.position[1] + 1 - this.position[1],
-            player.position[2] - this.position[2]
+            aimPoint[0] - this.position[0],
+            aimPoint[1] + 1 - this.position[1],
+            aimPoint[2] - this.position[2]
         ];
 
         const len = Math.sqrt(dir[0] * dir[0] + dir[1] * dir[1] + dir[2] * dir[2]);
+        const normDir = [dir[0] / len, dir[1] / len, dir[2] / len];
 
-        return [dir[0] / len, dir[1] / len, dir[2] / len];
+        return Targeting.applyError(normDir, this.accuracy, Utils.distance2D(this.position[0], this.position[2], aimPoint[0], aimPoint[2]));
     }
 
-    takeDamage() {
+    getShot(target, physics, useBallistics) {
+        return cannonShot(this, this.getShootDirection(target), useBallistics);
+    }
+
+    takeDamage(amount = this.maxHitPoints) {
+        if (!this.alive) return false;
+
+        this.hitPoints -= amount;
+        if (this.hitPoints > 0) return false;
+
+        this.hitPoints = 0;
         this.alive = false;
         return true;
     }
 
-    getModelMatrix() {
+    serialize() {
+        return Utils.copyFields({}, this, UFO_SAVE_FIELDS);
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, UFO_SAVE_FIELDS);
+    }
+
+    getModelMatrix(alpha = 1) {
         const matrix = mat4.create();
-        mat4.translate(matrix, matrix, this.position);
-        mat4.rotateY(matrix, matrix, this.rotation);
+        const { position, rotation } = Utils.getRenderTransform(this, alpha);
+        mat4.translate(matrix, matrix, position);
+        mat4.rotateY(matrix, matrix, rotation);
         mat4.scale(matrix, matrix, [2, 0.5, 2]);
         return matrix;
     }
@@ -396,97 +799,112 @@ class EnemyManager {
         this.maxEnemies = 5;
         this.spawnTimer = 0;
         this.spawnInterval = 5;
+        this.roster = [{ type: 'tank', weight: 1 }];
+        this.squads = new SquadCoordinator();
 
-        // Difficulty settings (can be overridden)
-        this.difficultySettings = {
-            enemyMaxSpeed: 5,
-            enemyShootCooldown: 5,
-            enemyPlayerBias: 0.4,
-            ufoSpawnLevel: 3
-        };
+        // Difficulty settings (see difficulty.js)
+        this.difficultySettings = Difficulty.get('medium');
     }
 
     // Set difficulty from game settings
     setDifficulty(settings) {
-        this.difficultySettings = {
-            enemyMaxSpeed: settings.enemyMaxSpeed || 5,
-            enemyShootCooldown: settings.enemyShootCooldown || 5,
-            enemyPlayerBias: settings.enemyPlayerBias || 0.4,
-            ufoSpawnLevel: settings.ufoSpawnLevel || 3
-        };
+        this.difficultySettings = Difficulty.clone(settings);
+    }
+
+    // Apply a level's "enemies" section (see levels.js)
+    setLevelConfig(settings) {
+        this.maxEnemies = settings.max;
+        this.spawnInterval = settings.spawnInterval;
+        this.roster = settings.roster.map(entry => ({ weight: 1, ...entry }));
     }
 
-    spawnEnemy(terrain, player, level = 1) {
+    spawnEnemy(terrain, players, level = 1) {
         if (this.enemies.length >= this.maxEnemies) return null;
 
-        // Get spawn position at edge, out of player's view
+        // Get spawn position at edge, out of the lead player's view
+        const viewer = players.find(p => p.alive) || players[0];
         const viewDir = {
-            from: player.position,
-            dir: Utils.angleToVector(player.rotation)
+            from: viewer.position,
+            dir: Utils.angleToVector(viewer.rotation)
         };
 
         const avoidPositions = [
-            player.position,
+            ...players.map(p => p.position),
             ...this.enemies.map(e => e.position)
         ];
 
         const position = terrain.getEdgeSpawnPosition(avoidPositions, viewDir);
 
-        // Use difficulty settings with level scaling
-        const ds = this.difficultySettings;
+        // Difficulty curves decide how this level's tanks behave
+        const stats = Difficulty.forLevel(this.difficultySettings, level);
+        const entry = Utils.pickWeighted(this.roster);
         const config = {
             position: position,
-            maxSpeed: ds.enemyMaxSpeed + level * 0.5,
-            shootCooldown: Math.max(2, ds.enemyShootCooldown - level * 0.2),
-            playerBias: Math.min(0.85, ds.enemyPlayerBias + level * 0.05)
+            maxSpeed: stats.enemySpeed,
+            shootCooldown: stats.enemyFireInterval,
+            accuracy: stats.enemyAccuracy,
+            lead: stats.enemyLead,
+            playerBias: stats.enemyPlayerBias,
+            color: entry.color,
+            points: entry.points
         };
 
-        const enemy = new EnemyTank(config);
+        const enemy = createEnemyTank(entry.type, config);
         this.enemies.push(enemy);
 
         return enemy;
     }
 
-    spawnUFO(terrain) {
+    spawnUFO(terrain, level = 1) {
         if (this.ufo && this.ufo.alive) return null;
 
+        const stats = Difficulty.forLevel(this.difficultySettings, level);
         this.ufo = new UFO({
             position: [
                 Utils.random(-50, 50),
                 20,
                 Utils.random(-50, 50)
-            ]
+            ],
+            accuracy: stats.enemyAccuracy,
+            lead: stats.enemyLead
         });
 
         return this.ufo;
     }
 
-    update(deltaTime, player, terrain, obstacles, physics, level) {
+    // Wingmen (see allies.js) are targets as well as the players
+    update(deltaTime, players, terrain, obstacles, physics, level, allies = [], navGrid = null) {
+        const targets = allies.length > 0 ? [...players, ...allies] : players;
+
         // Update spawn timer
         this.spawnTimer += deltaTime;
 
         // Spawn new enemy if needed
         if (this.enemies.filter(e => e.alive).length < this.maxEnemies) {
             if (this.spawnTimer >= this.spawnInterval / level) {
-                this.spawnEnemy(terrain, player, level);
+                this.spawnEnemy(terrain, players, level);
                 this.spawnTimer = 0;
             }
         }
 
+        // Squads hand out their orders first (see squad.js)
+        const teamwork = Difficulty.forLevel(this.difficultySettings, level).enemyTeamwork;
+        this.squads.update(deltaTime, this.enemies, targets, terrain, teamwork);
+
         // Update enemies
         for (const enemy of this.enemies) {
             if (!enemy.alive) continue;
 
             enemy.update(
-                deltaTime, player, terrain, obstacles,
+                deltaTime, targets, terrain, obstacles,
                 this.enemies.filter(e => e.id !== enemy.id),
-                physics, level
+                physics, level, navGrid
             );
         }
 
         // Update UFO
         if (this.ufo && this.ufo.alive) {
-            this.ufo.update(deltaTime, player, terrain);
+            this.ufo.update(deltaTime, targets, terrain);
         }
     }
 
@@ -532,19 +950,55 @@ class EnemyManager {
         this.enemies = [];
         this.ufo = null;
         this.spawnTimer = 0;
+        this.squads.clear();
+    }
+
+    serialize() {
+        return {
+            enemies: this.enemies.map(e => e.serialize()),
+            ufo: this.ufo && this.ufo.alive ? this.ufo.serialize() : null,
+            maxEnemies: this.maxEnemies,
+            spawnTimer: this.spawnTimer,
+            spawnInterval: this.spawnInterval,
+            roster: JSON.parse(JSON.stringify(this.roster)),
+            squads: this.squads.serialize(),
+            difficultySettings: Difficulty.clone(this.difficultySettings)
+        };
+    }
+
+    deserialize(data) {
+        this.enemies = data.enemies.map(saved => {
+            const enemy = createEnemyTank(saved.type, { id: saved.id });
+            enemy.deserialize(saved);
+            return enemy;
+        });
+
+        this.ufo = null;
+        if (data.ufo) {
+            this.ufo = new UFO({ id: data.ufo.id });
+            this.ufo.deserialize(data.ufo);
+        }
+
+        this.maxEnemies = data.maxEnemies;
+        this.spawnTimer = data.spawnTimer;
+        this.spawnInterval = data.spawnInterval;
+        this.roster = data.roster || [{ type: 'tank', weight: 1 }];
+        this.squads.deserialize(data.squads);
+        this.difficultySettings = Difficulty.normalize(data.difficultySettings);
     }
 
-    reset(terrain, player, level = 1, initialCount = 3) {
+    reset(terrain, players, level = 1, initialCount = 3) {
         this.clear();
 
         // Spawn initial enemies
         for (let i = 0; i < initialCount; i++) {
-            this.spawnEnemy(terrain, player, level);
+            this.spawnEnemy(terrain, players, level);
         }
     }
 }
 
 // Make available globally
+window.chooseTarget = chooseTarget;
 window.EnemyTank = EnemyTank;
 window.UFO = UFO;
 window.EnemyManager = EnemyManager;
@@ -0,0 +1,194 @@
+// Battlezone - Enemy Tank Classes
+//
+// A level's roster (see levels.js) spawns these by type name. Each class
+// starts from a plain tank's stats for the level and difficulty, then makes
+// them its own:
+//
+//   tank       the original - one shell, fires its cannon on sight
+//   scout      fast and nimble, eager to close in, shaky aim
+//   heavy      slow, wide and thickly armored
+//   artillery  keeps its distance and lobs shells, even over mountains
+//   missile    launches slow homing missiles from long range
+
+const ARTILLERY_MIN_RANGE = 35;     // Backs off from anything closer
+const ARTILLERY_MAX_RANGE = 75;     // Moves in until the target is this close
+const ARTILLERY_SHELL_SPEED = 30;   // Reaches about 90 on flat ground
+const ARTILLERY_RETREAT = 20;
+const ARTILLERY_SHELL_DAMAGE = 50;  // Big shells (a cannon shell does 40)
+
+const MISSILE_RANGE = 70;
+const MISSILE_SPEED = 16;           // Just faster than a player tank
+const MISSILE_TURN_RATE = 1.2;      // Sharp turns shake it off
+const MISSILE_DAMAGE = 60;          // Less than a player's missile
+
+class ScoutTank extends EnemyTank {
+    constructor(config = {}) {
+        super({
+            hitPoints: 25,
+            ...config,
+            color: config.color || [0.65, 0.45, 0.1], // Amber
+            points: config.points || 150
+        });
+
+        this.type = 'scout';
+        this.preferredRole = 'flanker';
+        this.takesCover = false; // Too eager
+        this.collisionRadius = 1.7;
+        this.maxSpeed *= 1.8;
+        this.turnSpeed *= 1.8;
+        this.accuracy *= 0.8;
+        this.playerBias = Math.min(0.9, this.playerBias + 0.3);
+    }
+}
+
+class HeavyTank extends EnemyTank {
+    constructor(config = {}) {
+        super({
+            hitPoints: 110,  // Three shells from the side, two in the rear
+            ...config,
+            color: config.color || [0.3, 0.12, 0.12], // Dark oxblood
+            points: config.points || 300
+        });
+
+        this.type = 'heavy';
+        this.preferredRole = 'bait'; // Shows the enemy its thick front armor
+        this.collisionRadius = 2.5;
+        this.height = 3;
+        this.maxSpeed *= 0.6;
+        this.turnSpeed *= 0.7;
+        this.shootCooldown *= 0.8;
+    }
+}
+
+class ArtilleryTank extends EnemyTank {
+    constructor(config = {}) {
+        super({
+            hitPoints: 70,
+            fireRange: ARTILLERY_MAX_RANGE,
+            ...config,
+            color: config.color || [0.35, 0.38, 0.15], // Olive
+            points: config.points || 250
+        });
+
+        this.type = 'artillery';
+        this.joinsSquads = false;
+        this.takesCover = false; // Its shells go over cover anyway
+        this.maxSpeed *= 0.7;
+        this.shootCooldown *= 1.4;
+        this.shotColor = [1, 0.6, 0.2];
+    }
+
+    // Hold between the two ranges, backing off or closing in as needed
+    updateAI(target, level, terrain = null, navGrid = null) {
+        if (!target.alive) {
+            super.updateAI(target, level, terrain, navGrid);
+            return;
+        }
+
+        // Shells go over mountains, so there's no need to see the target
+        this.hasLineOfSight = true;
+
+        const dx = target.position[0] - this.position[0];
+        const dz = target.position[2] - this.position[2];
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const angleToTarget = Math.atan2(dx, dz);
+
+        if (dist > ARTILLERY_MAX_RANGE || dist < ARTILLERY_MIN_RANGE) {
+            let goal = target.position;
+            if (dist < ARTILLERY_MIN_RANGE) {
+                const away = Utils.angleToVector(angleToTarget + Math.PI);
+                goal = [this.position[0] + away[0] * ARTILLERY_RETREAT, 0, this.position[2] + away[2] * ARTILLERY_RETREAT];
+                if (terrain) terrain.clampToBounds(goal, 20);
+            }
+
+            if (navGrid) {
+                this.steerTo(goal, navGrid);
+            } else {
+                this.targetRotation = Math.atan2(goal[0] - this.position[0], goal[2] - this.position[2]);
+            }
+            this.state = 'pursue';
+        } else {
+            this.targetRotation = angleToTarget;
+            this.state = 'wait';
+        }
+
+        if (this.shootTimer <= 0 && dist <= ARTILLERY_MAX_RANGE) {
+            this.targetRotation = angleToTarget;
+
+            if (Math.abs(Utils.normalizeAngle(angleToTarget - this.rotation)) < 0.3) {
+                this.state = 'shoot';
+                this.shouldShoot = true;
+                this.shootTimer = this.shootCooldown;
+            }
+        }
+    }
+
+    // A high shell from PhysicsEngine.calculateBallisticShot, led and off by the tank's aim error
+    getShot(target, physics) {
+        const position = [this.position[0], this.position[1] + 2.5, this.position[2]];
+        const aimPoint = Targeting.getAimPoint(position, target, ARTILLERY_SHELL_SPEED, this.lead, physics);
+        aimPoint[1] += 1;
+        const distance = Utils.distance2D(position[0], position[2], aimPoint[0], aimPoint[2]);
+        const velocity = this.applyAimError(physics.calculateBallisticShot(position, aimPoint, ARTILLERY_SHELL_SPEED), distance);
+
+        return { position: position, velocity: velocity, type: 'ballistic', damage: ARTILLERY_SHELL_DAMAGE, lifetime: 8, scale: 2.5 };
+    }
+}
+
+class MissileCarrier extends EnemyTank {
+    constructor(config = {}) {
+        super({
+            hitPoints: 70,
+            fireRange: MISSILE_RANGE,
+            ...config,
+            color: config.color || [0.4, 0.15, 0.45], // Purple
+            points: config.points || 300
+        });
+
+        this.type = 'missile';
+        this.preferredRole = 'suppressor';
+        this.maxSpeed *= 0.8;
+        this.shootCooldown *= 1.6;
+        this.shotColor = [1, 0.4, 0.9];
+    }
+
+    // A homing missile that follows the target until it runs out of fuel
+    getShot(target) {
+        const direction = this.getShootDirection(target);
+
+        return {
+            position: [this.position[0] + direction[0] * 1.5, this.position[1] + 2.2, this.position[2] + direction[2] * 1.5],
+            velocity: [direction[0] * MISSILE_SPEED, direction[1] * MISSILE_SPEED, direction[2] * MISSILE_SPEED],
+            type: 'guided',
+            target: target,
+            speed: MISSILE_SPEED,
+            turnRate: MISSILE_TURN_RATE,
+            damage: MISSILE_DAMAGE,
+            lifetime: 6,
+            scale: 1.5
+        };
+    }
+}
+
+// Roster type name -> class
+const EnemyClasses = {
+    tank: EnemyTank,
+    scout: ScoutTank,
+    heavy: HeavyTank,
+    artillery: ArtilleryTank,
+    missile: MissileCarrier
+};
+
+// A new enemy tank of the given roster type (plain tank if unknown)
+function createEnemyTank(type, config = {}) {
+    const EnemyClass = EnemyClasses[type] || EnemyTank;
+    return new EnemyClass(config);
+}
+
+// Make available globally
+window.ScoutTank = ScoutTank;
+window.HeavyTank = HeavyTank;
+window.ArtilleryTank = ArtilleryTank;
+window.MissileCarrier = MissileCarrier;
+window.EnemyClasses = EnemyClasses;
+window.createEnemyTank = createEnemyTank;
@@ -0,0 +1,90 @@
+// Battlezone - Game Event Bus
+
+// Every gameplay event and the payload it carries
+const GameEvent = {
+    GAME_STARTED: 'gameStarted',            // { difficulty, seed }
+    GAME_OVER: 'gameOver',                  // { score, seed }
+    LEVEL_STARTED: 'levelStarted',          // { level }
+    LEVEL_COMPLETE: 'levelComplete',        // { level, score }
+    SHOT_FIRED: 'shotFired',                // { owner, projectile }
+    MISSILE_LAUNCHED: 'missileLaunched',    // { owner, target, projectile }
+    OBSTACLE_HIT: 'obstacleHit',            // { projectile, obstacle }
+    ENEMY_DESTROYED: 'enemyDestroyed',      // { enemy, projectile, points }
+    TANK_DAMAGED: 'tankDamaged',            // { target, projectile, damage, face } - hit but still going; face is front, side, rear or null
+    PLAYER_HIT: 'playerHit',                // { player, projectile, killer } - killer only in versus
+    PLAYER_RESPAWNED: 'playerRespawned',    // { player, position }
+    PLAYER_OUT: 'playerOut',                // { player } - no lives left
+    ALLY_DESTROYED: 'allyDestroyed',        // { ally, projectile }
+    ALLY_ORDERED: 'allyOrdered',            // { order, player, target } - order is follow, hold or attack
+    POWERUP_COLLECTED: 'powerupCollected',  // { powerup, player }
+    UFO_SPAWNED: 'ufoSpawned',              // { ufo }
+    SCORE_CHANGED: 'scoreChanged',          // { score, delta, player } - score is the team total
+    LIVES_CHANGED: 'livesChanged',          // { lives, player }
+    MATCH_OVER: 'matchOver'                 // { winner, reason, standings } - versus; winner null for a draw
+};
+
+const KnownEvents = new Set(Object.values(GameEvent));
+
+class EventBus {
+    constructor() {
+        this.listeners = {};
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes
+    on(type, handler) {
+        this.checkType(type);
+
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const off = this.on(type, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners[type];
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    // Handlers run in subscription order
+    emit(type, payload = {}) {
+        this.checkType(type);
+
+        const handlers = this.listeners[type];
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    }
+
+    // Catch typos in event names early instead of silently never firing
+    checkType(type) {
+        if (!KnownEvents.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+
+    clear() {
+        this.listeners = {};
+    }
+}
+
+// Make available globally
+window.GameEvent = GameEvent;
+window.EventBus = EventBus;
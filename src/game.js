@@ -5,7 +5,8 @@ const GameState = {
     PLAYING: 'playing',
     PAUSED: 'paused',
     GAME_OVER: 'gameover',
-    LEVEL_COMPLETE: 'levelcomplete'
+    LEVEL_COMPLETE: 'levelcomplete',
+    EDITOR: 'editor'
 };
 
 class Game {
@@ -15,78 +16,122 @@ class Game {
         this.audio = null;
         this.physics = null;
         this.ui = null;
+        this.gamepads = null;
+        this.touch = null;
+        this.mouse = null;
+        this.online = null; // OnlineSession while in an online room (see online.js)
+        this.modeBeforeOnline = null;
 
         // Game objects
         this.terrain = null;
+        this.navGrid = null; // Paths around the terrain for AI tanks (see navigation.js)
         this.player = null;
         this.player2 = null;
         this.enemyManager = null;
+        this.allyManager = null;
         this.projectileManager = null;
         this.particleSystem = null;
         this.powerupManager = null;
 
+        // Gameplay events - audio, UI, particles and stats react through this
+        this.events = new EventBus();
+        this.stats = new GameStats();
+
+        // Input recording / playback (see replay.js)
+        this.recorder = new ReplayRecorder();
+        this.replay = null;
+        this.replaySpeeds = [1, 2, 4, 8];
+        this.timeScale = 1;
+
         // Game state
         this.state = GameState.MENU;
-        this.score = 0;
-        this.lives = 10;
+        this.score = 0; // Team total - lives and personal scores live on each player
         this.level = 1;
         this.alternateMode = false;
         this.difficulty = 'medium'; // easy, medium, hard
+        this.seed = null; // Seed of the current run (see random.js)
+
+        // Level progression comes from a level pack (see levels.js)
+        this.levelPack = LevelPacks.classic;
+        this.levelDef = null;
+        this.levelKills = 0;
+        this.levelTime = 0;
+
+        // Map editor, and the pack to go back to after a playtest
+        this.editor = null;
+        this.playtesting = false;
+        this.packBeforePlaytest = null;
+
+        // Key bindings per player, and the { player, action } waiting for a key in the menu
+        this.keyMaps = null;
+        this.rebinding = null;
 
-        // Timing
+        // Timing - the simulation advances in fixed ticks, rendering interpolates between them
         this.lastTime = 0;
         this.deltaTime = 0;
+        this.fixedDelta = 1 / 60;
+        this.maxStepsPerFrame = 8; // Avoid a spiral of death on very slow frames
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.tick = 0;
         this.radarBeepTimer = 0;
         this.radarBeepInterval = 2;
+        this.respawnDelay = 2;
 
-        // Difficulty presets
-        this.difficultySettings = {
-            easy: {
-                enemyMaxSpeed: 4,           // Slightly faster (was 3)
-                enemyShootCooldown: 4,      // More aggressive (was 7)
-                enemyPlayerBias: 0.4,       // More aggressive (was 0.2)
-                startingLives: 10,
-                ufoSpawnLevel: 1  // UFO spawns from level 1
-            },
-            medium: {
-                enemyMaxSpeed: 5,
-                enemyShootCooldown: 5,
-                enemyPlayerBias: 0.4,
-                startingLives: 5,
-                ufoSpawnLevel: 1  // UFO spawns from level 1
-            },
-            hard: {
-                enemyMaxSpeed: 8,
-                enemyShootCooldown: 3,
-                enemyPlayerBias: 0.7,
-                startingLives: 3,
-                ufoSpawnLevel: 1  // UFO spawns from level 1
-            }
-        };
+        // Kill limit, clock and AI hazards for versus matches
+        this.versusRules = Versus.normalize(config.versus);
+
+        // Allied wingmen and friendly fire (see allies.js)
+        this.allySettings = Allies.normalize(config.allies);
+
+        // Difficulty presets (see difficulty.js); 'custom' plays customDifficulty
+        this.difficultySettings = Difficulty.PRESETS;
+        this.customDifficulty = { ...Difficulty.get('medium'), name: 'Custom' };
 
         // Configuration
         this.config = {
             use3DGameplay: config.use3DGameplay || false,
             useBallistics: config.useBallistics || false,
             enableSecondPlayer: config.enableSecondPlayer || false,
+            splitLayout: config.splitLayout || 'vertical', // Two players: 'vertical' (side by side) or 'horizontal'
+            gameMode: config.gameMode || 'coop', // 'coop' against the AI, or 'versus' (see versus.js)
+            headless: config.headless || false,
             ...config
         };
     }
 
-    init(canvas) {
+    init(canvas, backends = {}) {
+        // Headless runs (Node, tests) swap recording stand-ins in for the browser-only systems
+        if (this.config.headless) {
+            backends = { ...Headless.createBackends(), ...backends };
+        }
+
         // Initialize renderer
-        this.renderer = new Renderer(canvas);
+        this.renderer = backends.renderer || new Renderer(canvas);
 
         // Initialize audio
-        this.audio = new AudioManager();
+        this.audio = backends.audio || new AudioManager();
 
         // Initialize physics
         this.physics = new PhysicsEngine();
 
         // Initialize UI
-        this.ui = new UI();
+        this.ui = backends.ui || new UI();
         this.ui.init();
 
+        // Gamepads (a FakeGamepadSource can stand in for navigator)
+        this.gamepads = new GamepadInput(backends.gamepads);
+
+        // Custom campaign passed in as data (URLs are fetched by main.js)
+        if (this.config.levelPack && typeof this.config.levelPack === 'object') {
+            this.setLevelPack(this.config.levelPack);
+        }
+
+        // Pre-fill a seed passed in the URL (?seed=...)
+        if (this.config.seed !== undefined && this.config.seed !== null) {
+            this.ui.setSeedInput(this.config.seed);
+        }
+
         // Initialize terrain
         this.terrain = new Terrain({
             size: 200,
@@ -98,6 +143,7 @@ class Game {
         if (this.config.use3DGameplay) {
             this.renderer.setTerrain(this.terrain);
         }
+        this.navGrid = new NavGrid();
 
         // Initialize player
         this.player = new Player({
@@ -113,17 +159,214 @@ class Game {
 
         // Initialize managers
         this.enemyManager = new EnemyManager();
+        this.allyManager = new AllyManager();
         this.projectileManager = new ProjectileManager();
         this.particleSystem = new ParticleSystem();
         this.powerupManager = new PowerUpManager();
+        this.editor = new MapEditor(this);
+
+        // Key bindings saved from the controls menu
+        this.keyMaps = Controls.load();
+        this.applyKeyMaps();
 
-        // Set up input handlers
-        this.setupInput();
+        // Subscribe presentation systems to gameplay events
+        this.setupEventHandlers();
+
+        // Set up input handlers (headless runs are driven by script instead)
+        if (!this.config.headless) {
+            this.setupInput();
+        }
 
         // Show menu
         this.showMenu();
     }
 
+    setupEventHandlers() {
+        const events = this.events;
+
+        // Game rules (online, the server applies them and sends the results)
+        events.on(GameEvent.ENEMY_DESTROYED, ({ projectile, points }) => {
+            if (!this.online && !this.isVersus()) this.addScore(points, this.findShooter(projectile));
+        });
+        events.on(GameEvent.ENEMY_DESTROYED, () => {
+            if (!this.online) this.levelKills++;
+        });
+        events.on(GameEvent.PLAYER_HIT, ({ player, killer }) => {
+            if (this.online) return;
+            if (this.isVersus()) {
+                this.scoreKill(player, killer);
+            } else {
+                this.loseLife(player);
+            }
+        });
+
+        // Particles
+        events.on(GameEvent.ENEMY_DESTROYED, ({ enemy }) => {
+            this.particleSystem.createExplosion(enemy.position, 1.5);
+        });
+        events.on(GameEvent.PLAYER_HIT, ({ player }) => {
+            this.particleSystem.createExplosion(player.position, 1.5);
+        });
+        events.on(GameEvent.ALLY_DESTROYED, ({ ally }) => {
+            this.particleSystem.createExplosion(ally.position, 1.5);
+        });
+        events.on(GameEvent.OBSTACLE_HIT, ({ projectile }) => {
+            this.particleSystem.createHitSpark(projectile.position);
+        });
+        events.on(GameEvent.TANK_DAMAGED, ({ projectile }) => {
+            this.particleSystem.createHitSpark(projectile.position);
+        });
+
+        // Audio
+        events.on(GameEvent.SHOT_FIRED, () => this.audio.playShot());
+        events.on(GameEvent.MISSILE_LAUNCHED, () => this.audio.playShot());
+        events.on(GameEvent.ENEMY_DESTROYED, () => this.audio.playExplosion());
+        events.on(GameEvent.PLAYER_HIT, () => this.audio.playExplosion());
+        events.on(GameEvent.ALLY_DESTROYED, () => this.audio.playExplosion());
+        events.on(GameEvent.OBSTACLE_HIT, () => this.audio.playHit());
+        events.on(GameEvent.TANK_DAMAGED, () => this.audio.playHit());
+        events.on(GameEvent.POWERUP_COLLECTED, () => this.audio.playPowerUp());
+        events.on(GameEvent.LEVEL_STARTED, () => this.audio.playLevelUp());
+        events.on(GameEvent.LEVEL_COMPLETE, () => this.audio.playLevelUp());
+        events.on(GameEvent.GAME_OVER, ({ victory }) => {
+            if (victory) {
+                this.audio.playLevelUp();
+            } else {
+                this.audio.playGameOver();
+            }
+        });
+        events.on(GameEvent.MATCH_OVER, () => this.audio.playLevelUp());
+
+        // UI
+        events.on(GameEvent.SCORE_CHANGED, ({ delta, player }) => {
+            this.updateScoreboard();
+            if (delta > 0 && !this.isVersus()) {
+                this.ui.showStatus(player === this.player2 ? `P2 +${delta}` : `+${delta}`, 1000);
+            }
+        });
+        events.on(GameEvent.LIVES_CHANGED, () => this.updateScoreboard());
+        events.on(GameEvent.PLAYER_OUT, ({ player }) => {
+            if (this.state === GameState.PLAYING) {
+                this.ui.showStatus(`PLAYER ${this.getPlayers().indexOf(player) + 1} OUT OF TANKS`, 2500);
+            }
+        });
+        events.on(GameEvent.PLAYER_HIT, ({ player, killer }) => {
+            if (!this.isVersus()) return;
+            this.updateScoreboard(); // Deaths (online they arrive with the snapshot)
+            const name = (p) => this.getPlayerName(p);
+            this.ui.showStatus(killer && killer !== player ?
+                `${name(killer)} DESTROYED ${name(player)}` : `${name(player)} DESTROYED`, 2000);
+        });
+        events.on(GameEvent.MISSILE_LAUNCHED, ({ owner }) => {
+            this.ui.showStatus(owner instanceof Player ? 'MISSILE LAUNCHED!' : 'INCOMING MISSILE!', 1000);
+        });
+        events.on(GameEvent.ALLY_DESTROYED, () => {
+            const left = this.allyManager.getAlive().length;
+            this.ui.showStatus(left > 0 ? `WINGMAN DOWN - ${left} LEFT` : 'ALL WINGMEN DOWN', 2000);
+        });
+        events.on(GameEvent.TANK_DAMAGED, ({ target, face }) => {
+            if (!(target instanceof Player)) return;
+            const who = target === this.player2 ? 'P2 ' : '';
+            this.ui.showStatus(`${who}${face.toUpperCase()} ARMOR HIT`, 1000);
+        });
+        events.on(GameEvent.ALLY_ORDERED, ({ order, player }) => {
+            const who = player === this.player2 ? 'P2 ' : '';
+            this.ui.showStatus(`${who}WINGMEN: ${order.toUpperCase()}`, 1500);
+        });
+        events.on(GameEvent.PLAYER_RESPAWNED, () => {
+            if (!this.isVersus()) this.ui.showStatus('TANK DESTROYED! RESPAWNING...', 2000);
+        });
+        events.on(GameEvent.POWERUP_COLLECTED, ({ powerup, player }) => {
+            const who = player === this.player2 ? 'P2 ' : '';
+            this.ui.showStatus(`${who}${powerup.type.toUpperCase()} POWER-UP!`, 2000);
+        });
+        events.on(GameEvent.UFO_SPAWNED, () => this.ui.showStatus('WARNING: UFO DETECTED!', 3000));
+        events.on(GameEvent.LEVEL_STARTED, ({ level, name }) => {
+            this.ui.hideGameMessage();
+            this.ui.updateLevel(level);
+            this.ui.showStatus(name ? `LEVEL ${level} - ${name.toUpperCase()}` : `LEVEL ${level}`, 2000);
+        });
+        events.on(GameEvent.LEVEL_COMPLETE, () => {
+            this.ui.showGameMessage('LEVEL COMPLETE!', 'Press ENTER for Next Level', false);
+        });
+        events.on(GameEvent.LEVEL_COMPLETE, () => {
+            if (!this.online) this.saveGame();
+        });
+        events.on(GameEvent.GAME_OVER, ({ score, seed, victory }) => {
+            const title = victory ? 'CAMPAIGN COMPLETE' : 'GAME OVER';
+            const scores = this.player2 ? `\nP1: ${this.player.score}  P2: ${this.player2.score}` : '';
+            this.ui.showGameMessage(title, `Final Score: ${score}${scores}\nSeed: ${seed}\nPress ENTER to Restart`, false);
+        });
+        events.on(GameEvent.MATCH_OVER, ({ winner, reason, standings }) => {
+            const title = winner ? `${this.getPlayerName(winner)} WINS` : 'DRAW';
+            const rows = standings.map(p => `${this.getPlayerName(p)}   ${p.score} KILLS   ${p.deaths} DEATHS`);
+            const ending = reason === 'time' ? 'TIME UP' : `FIRST TO ${this.versusRules.killLimit} KILLS`;
+            this.ui.showGameMessage(title, `${ending}\n\n${rows.join('\n')}\n\nPress ENTER for a Rematch`, false);
+        });
+
+        // Stats
+        this.stats.attach(events);
+    }
+
+    // Points always count for the team; player is whoever earned them (null if nobody did)
+    addScore(points, player = null) {
+        this.score += points;
+        if (player) {
+            player.score += points;
+        }
+        this.events.emit(GameEvent.SCORE_CHANGED, { score: this.score, delta: points, player: player });
+    }
+
+    // The player whose shot or missile this was, or null for enemy fire.
+    // With one player every kill is theirs.
+    findShooter(projectile) {
+        const players = this.getPlayers();
+        if (players.length === 1) return players[0];
+
+        const ownerId = projectile ? projectile.ownerId : null;
+        return players.find(p => ownerId === p.id || ownerId === p.id + '_guided') || null;
+    }
+
+    loseLife(player) {
+        player.lives--;
+        this.events.emit(GameEvent.LIVES_CHANGED, { lives: player.lives, player: player });
+
+        if (player.lives > 0) {
+            // Respawn player after a delay (counted in simulation time)
+            player.respawnTimer = this.respawnDelay;
+            return;
+        }
+
+        // Out of tanks - the game carries on while anyone is left
+        if (this.getPlayers().every(p => p.lives <= 0)) {
+            this.gameOver();
+        } else {
+            this.events.emit(GameEvent.PLAYER_OUT, { player: player });
+        }
+    }
+
+    // Versus: the other player gets the kill (enemy fire and your own missile
+    // don't count), the victim respawns after the usual delay
+    scoreKill(victim, killer) {
+        victim.deaths++;
+        victim.respawnTimer = this.respawnDelay;
+
+        if (killer && killer !== victim) {
+            this.addScore(1, killer);
+        } else {
+            this.updateScoreboard();
+        }
+    }
+
+    isVersus() {
+        return this.config.gameMode === 'versus';
+    }
+
+    // By id, since online the local tank is always this.player
+    getPlayerName(player) {
+        return player.id === 'player2' ? 'PLAYER 2' : 'PLAYER 1';
+    }
+
     setupInput() {
         // Keyboard down
         document.addEventListener('keydown', (e) => {
@@ -142,6 +385,14 @@ class Game {
             }
         });
 
+        // On-screen controls for phones and tablets
+        this.touch = new TouchControls(this);
+        this.touch.setupInput();
+
+        // Pointer-lock mouse aiming (optional, set from the controls menu)
+        this.mouse = new MouseAim(this);
+        this.mouse.setupInput(this.renderer.canvas);
+
         // Click to initialize audio
         document.addEventListener('click', () => {
             this.audio.init();
@@ -159,24 +410,592 @@ class Game {
             });
         });
 
+        // Custom difficulty screen
+        this.setupDifficultyControls();
+
+        // Key binding menu
+        this.setupControlsMenu();
+
+        // Save game buttons
+        this.setupSaveControls();
+
+        // Replay buttons
+        this.setupReplayControls();
+
+        // Level pack buttons
+        this.setupLevelPackControls();
+
+        // Online rooms
+        this.setupOnlineMenu();
+
+        // Map editor
+        this.editor.setupInput(this.renderer.canvas);
+        const editorBtn = document.getElementById('open-editor-btn');
+        if (editorBtn) {
+            editorBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.openEditor();
+            });
+        }
+
+        // Keep a save of the run in progress when the page is closed or reloaded
+        window.addEventListener('beforeunload', () => this.saveGame());
+
         // 2-Player toggle button handler
         const toggle2PlayerBtn = document.getElementById('toggle-2player');
         if (toggle2PlayerBtn) {
             toggle2PlayerBtn.addEventListener('click', () => {
                 this.config.enableSecondPlayer = !this.config.enableSecondPlayer;
-                toggle2PlayerBtn.textContent = this.config.enableSecondPlayer ? '2 PLAYER: ON' : '2 PLAYER: OFF';
-                toggle2PlayerBtn.classList.toggle('active', this.config.enableSecondPlayer);
+                if (!this.config.enableSecondPlayer) {
+                    this.config.gameMode = 'coop'; // Versus needs both tanks
+                }
+                this.updatePlayerModeMenu();
+            });
+        }
 
-                // Show/hide Player 2 controls info
-                const p2Controls = document.getElementById('p2-controls');
-                if (p2Controls) {
-                    p2Controls.classList.toggle('hidden', !this.config.enableSecondPlayer);
+        // Co-op or versus, and the versus match rules
+        this.versusRules = Versus.load();
+        this.setupVersusMenu();
+
+        // Allied wingmen
+        this.allySettings = Allies.load();
+        this.setupWingmenMenu();
+
+        // Split-screen layout for two players
+        const splitBtn = document.getElementById('split-layout-btn');
+        if (splitBtn) {
+            splitBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.config.splitLayout = this.config.splitLayout === 'vertical' ? 'horizontal' : 'vertical';
+                this.ui.updateSplitLayoutButton(this.config.splitLayout, this.config.enableSecondPlayer);
+            });
+        }
+        this.updatePlayerModeMenu();
+    }
+
+    setupVersusMenu() {
+        const modeBtn = document.getElementById('game-mode-btn');
+        if (modeBtn) {
+            modeBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                const versus = !this.isVersus();
+                this.config.gameMode = versus ? 'versus' : 'coop';
+                if (versus) {
+                    this.config.enableSecondPlayer = true;
                 }
+                this.updatePlayerModeMenu();
+            });
+        }
+
+        // Each rule button steps through its list of choices
+        const ruleButtons = {
+            'versus-kills-btn': () => ({ killLimit: Versus.cycle(Versus.KILL_LIMITS, this.versusRules.killLimit) }),
+            'versus-time-btn': () => ({ timeLimit: Versus.cycle(Versus.TIME_LIMITS, this.versusRules.timeLimit) }),
+            'versus-hazards-btn': () => ({ hazards: !this.versusRules.hazards })
+        };
+        for (const id in ruleButtons) {
+            const btn = document.getElementById(id);
+            if (!btn) continue;
+
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.versusRules = Versus.normalize({ ...this.versusRules, ...ruleButtons[id]() });
+                Versus.save(this.versusRules);
+                this.updatePlayerModeMenu();
+            });
+        }
+    }
+
+    setupWingmenMenu() {
+        const buttons = {
+            'wingmen-btn': () => ({ count: Allies.nextCount(this.allySettings.count) }),
+            'friendly-fire-btn': () => ({ friendlyFire: !this.allySettings.friendlyFire })
+        };
+        for (const id in buttons) {
+            const btn = document.getElementById(id);
+            if (!btn) continue;
+
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.allySettings = Allies.normalize({ ...this.allySettings, ...buttons[id]() });
+                Allies.save(this.allySettings);
+                this.updatePlayerModeMenu();
             });
         }
     }
 
+    // 2 player, split-screen, co-op/versus and wingmen buttons follow the config
+    updatePlayerModeMenu() {
+        this.ui.updatePlayerModeButtons(this.config.enableSecondPlayer, this.config.gameMode, this.versusRules);
+        this.ui.updateWingmenButtons(this.allySettings, this.isVersus());
+        this.ui.updateSplitLayoutButton(this.config.splitLayout, this.config.enableSecondPlayer);
+    }
+
+    setupControlsMenu() {
+        const openBtn = document.getElementById('controls-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.ui.renderControlsMenu(this.keyMaps);
+                this.ui.setControlsMenuVisible(true);
+            });
+        }
+
+        const table = document.getElementById('controls-table');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const btn = e.target.closest('.bind-btn');
+                if (!btn) return;
+                btn.blur();
+
+                this.rebinding = { player: Number(btn.dataset.player), action: btn.dataset.action };
+                this.ui.renderControlsMenu(this.keyMaps, this.rebinding);
+            });
+        }
+
+        const mouseBtn = document.getElementById('mouse-aim-btn');
+        if (mouseBtn) {
+            mouseBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.mouse.configure({ enabled: !this.mouse.settings.enabled });
+                this.ui.updateMouseSettings(this.mouse.settings);
+            });
+        }
+
+        const invertBtn = document.getElementById('mouse-invert-btn');
+        if (invertBtn) {
+            invertBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.mouse.configure({ invertY: !this.mouse.settings.invertY });
+                this.ui.updateMouseSettings(this.mouse.settings);
+            });
+        }
+
+        const sensitivity = document.getElementById('mouse-sensitivity');
+        if (sensitivity) {
+            sensitivity.addEventListener('change', () => {
+                this.mouse.configure({ sensitivity: Number(sensitivity.value) });
+                sensitivity.blur();
+            });
+        }
+        this.ui.updateMouseSettings(this.mouse.settings);
+
+        const resetBtn = document.getElementById('controls-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.keyMaps = Controls.getDefaults();
+                this.saveKeyMaps();
+                this.ui.showStatus('CONTROLS RESET', 1500);
+            });
+        }
+
+        const backBtn = document.getElementById('controls-back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.rebinding = null;
+                this.ui.setControlsMenuVisible(false);
+            });
+        }
+    }
+
+    // Complete a rebind from the menu: ESC cancels, BACKSPACE/DELETE unbinds
+    finishRebind(code) {
+        const { player, action } = this.rebinding;
+        this.rebinding = null;
+
+        if (code === 'Backspace' || code === 'Delete') {
+            this.keyMaps[player][action] = null;
+        } else if (code !== 'Escape') {
+            try {
+                const displaced = Controls.bind(this.keyMaps, player, action, code);
+                if (displaced) {
+                    const label = Controls.getActionLabel(displaced.action);
+                    this.ui.showStatus(`${Controls.keyLabel(code)} MOVED FROM P${displaced.player + 1} ${label}`, 2500);
+                }
+            } catch (err) {
+                this.ui.showStatus(err.message.toUpperCase(), 2000);
+            }
+        }
+
+        this.saveKeyMaps();
+    }
+
+    saveKeyMaps() {
+        Controls.save(this.keyMaps);
+        this.applyKeyMaps();
+        this.ui.renderControlsMenu(this.keyMaps);
+    }
+
+    // Point each player at its bindings (Player 2 comes and goes with the 2 player toggle)
+    applyKeyMaps() {
+        this.getPlayers().forEach((player, index) => {
+            player.keyMap = this.keyMaps[index];
+        });
+        this.ui.updateControlsInfo(this.keyMaps);
+    }
+
+    setupDifficultyControls() {
+        // The first saved custom difficulty is the one CUSTOM opens with
+        const saved = Object.values(Difficulty.loadPresets());
+        if (saved.length > 0) {
+            this.customDifficulty = saved[0];
+        }
+
+        const openBtn = document.getElementById('custom-difficulty-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.ui.setDifficultyForm(this.customDifficulty, this.getDifficultyChoices());
+                this.ui.setDifficultyBuilderVisible(true);
+            });
+        }
+
+        const presetSelect = document.getElementById('difficulty-preset-select');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => {
+                const [source, name] = presetSelect.value.split(/:(.*)/);
+                const settings = source === 'preset' ? Difficulty.get(name) : Difficulty.loadPresets()[name];
+                if (settings) {
+                    this.ui.setDifficultyForm(settings, this.getDifficultyChoices(), presetSelect.value);
+                }
+            });
+        }
+
+        document.querySelectorAll('.difficulty-action').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.runDifficultyAction(btn.dataset.action);
+            });
+        });
+    }
+
+    // Built-in presets first, then the ones saved in this browser
+    getDifficultyChoices() {
+        const choices = Object.keys(Difficulty.PRESETS).map(key => ({
+            value: `preset:${key}`,
+            label: Difficulty.PRESETS[key].name.toUpperCase()
+        }));
+        for (const name in Difficulty.loadPresets()) {
+            choices.push({ value: `saved:${name}`, label: name });
+        }
+        return choices;
+    }
+
+    runDifficultyAction(action) {
+        if (action === 'back') {
+            this.ui.setDifficultyBuilderVisible(false);
+            return;
+        }
+
+        if (action === 'paste') {
+            try {
+                const settings = Difficulty.decode(this.ui.getDifficultyCode());
+                this.ui.setDifficultyForm(settings, this.getDifficultyChoices());
+                this.ui.showStatus(`LOADED ${settings.name.toUpperCase()}`, 1500);
+            } catch (err) {
+                this.ui.showStatus(err.message.toUpperCase(), 2000);
+            }
+            return;
+        }
+
+        // Everything else works on what is in the form
+        let settings;
+        try {
+            settings = Difficulty.normalize(this.ui.getDifficultyForm());
+        } catch (err) {
+            this.ui.showStatus(`INVALID: ${err.message.toUpperCase()}`, 3000);
+            return;
+        }
+        this.customDifficulty = settings;
+
+        switch (action) {
+            case 'play':
+                this.ui.setDifficultyBuilderVisible(false);
+                this.difficulty = 'custom';
+                this.startGame();
+                break;
+            case 'save':
+                if (Difficulty.savePreset(settings)) {
+                    this.ui.setDifficultyForm(settings, this.getDifficultyChoices(), `saved:${settings.name}`);
+                    this.ui.showStatus(`SAVED ${settings.name.toUpperCase()}`, 1500);
+                } else {
+                    this.ui.showStatus('COULD NOT SAVE', 2000);
+                }
+                break;
+            case 'delete':
+                Difficulty.deletePreset(settings.name);
+                this.ui.setDifficultyForm(settings, this.getDifficultyChoices());
+                this.ui.showStatus(`DELETED ${settings.name.toUpperCase()}`, 1500);
+                break;
+            case 'copy': {
+                let code;
+                try {
+                    code = Difficulty.encode(settings);
+                } catch (err) {
+                    console.warn('Could not make share code:', err);
+                    this.ui.showStatus('COULD NOT MAKE SHARE CODE', 2000);
+                    break;
+                }
+                this.ui.setDifficultyCode(code);
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(code).catch(() => {});
+                }
+                this.ui.showStatus('SHARE CODE COPIED', 1500);
+                break;
+            }
+        }
+    }
+
+    setupSaveControls() {
+        const continueBtn = document.getElementById('continue-btn');
+        const exportBtn = document.getElementById('export-save-btn');
+        const importBtn = document.getElementById('import-save-btn');
+        const importInput = document.getElementById('import-save-input');
+
+        if (continueBtn) {
+            continueBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.continueGame();
+            });
+        }
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.exportSave();
+            });
+        }
+
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                importInput.click();
+            });
+
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (!file) return;
+
+                SaveGame.importFile(file)
+                    .then(data => this.continueGame(data))
+                    .catch(err => {
+                        console.warn('Could not import save:', err);
+                        this.ui.showStatus('INVALID SAVE FILE', 2000);
+                    });
+            });
+        }
+    }
+
+    setupReplayControls() {
+        const downloadBtn = document.getElementById('download-replay-btn');
+        const loadBtn = document.getElementById('load-replay-btn');
+        const loadInput = document.getElementById('load-replay-input');
+
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.downloadReplay();
+            });
+        }
+
+        if (loadBtn && loadInput) {
+            loadBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                loadInput.click();
+            });
+
+            loadInput.addEventListener('change', () => {
+                const file = loadInput.files[0];
+                loadInput.value = '';
+                if (!file) return;
+
+                Replay.importFile(file)
+                    .then(data => this.startReplay(data))
+                    .catch(err => {
+                        console.warn('Could not load replay:', err);
+                        this.ui.showStatus('INVALID REPLAY FILE', 2000);
+                    });
+            });
+        }
+    }
+
+    setupLevelPackControls() {
+        const loadBtn = document.getElementById('load-levels-btn');
+        const loadInput = document.getElementById('load-levels-input');
+        const classicBtn = document.getElementById('classic-levels-btn');
+
+        if (loadBtn && loadInput) {
+            loadBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                loadInput.click();
+            });
+
+            loadInput.addEventListener('change', () => {
+                const files = loadInput.files;
+                if (files.length === 0) return;
+
+                Levels.loadFiles(files)
+                    .then(pack => this.setLevelPack(pack))
+                    .catch(err => {
+                        console.warn('Could not load level pack:', err);
+                        this.ui.showStatus('INVALID LEVEL PACK', 2000);
+                    })
+                    .finally(() => { loadInput.value = ''; });
+            });
+        }
+
+        if (classicBtn) {
+            classicBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.setLevelPack(LevelPacks.classic);
+            });
+        }
+    }
+
+    setupOnlineMenu() {
+        const openBtn = document.getElementById('online-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.ui.setOnlineMenuVisible(true);
+            });
+        }
+
+        const createBtn = document.getElementById('online-create-btn');
+        if (createBtn) {
+            createBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                this.joinOnline(null);
+            });
+        }
+
+        const joinBtn = document.getElementById('online-join-btn');
+        if (joinBtn) {
+            joinBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                const room = NetProtocol.normalizeRoomCode(this.ui.getOnlineForm().room);
+                if (room) {
+                    this.joinOnline(room);
+                } else {
+                    this.ui.setOnlineStatus(`ROOM CODES ARE ${NetProtocol.ROOM_CODE_LENGTH} LETTERS`);
+                }
+            });
+        }
+
+        const startBtn = document.getElementById('online-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                if (this.online) this.online.send({ type: 'start' });
+            });
+        }
+
+        const backBtn = document.getElementById('online-back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', (e) => {
+                e.target.blur();
+                if (this.online) {
+                    this.leaveOnline('LEFT ROOM');
+                }
+                this.ui.setOnlineMenuVisible(false);
+            });
+        }
+    }
+
+    // Create a room (room = null) or join one by code
+    joinOnline(room) {
+        if (this.online) {
+            this.online.close();
+        }
+        this.audio.init();
+        this.audio.resume();
+
+        const { server } = this.ui.getOnlineForm();
+        this.online = new OnlineSession(this);
+        this.modeBeforeOnline = { gameMode: this.config.gameMode, versusRules: this.versusRules };
+        this.ui.setOnlineStatus('CONNECTING...');
+
+        if (room) {
+            this.online.join(server, room);
+        } else {
+            this.online.create(server, {
+                difficulty: this.difficulty,
+                customDifficulty: this.difficulty === 'custom' ? this.customDifficulty : null,
+                seed: this.ui.getSeedInput(),
+                use3DGameplay: this.config.use3DGameplay,
+                useBallistics: this.config.useBallistics,
+                levelPack: this.levelPack !== LevelPacks.classic ? this.levelPack : null,
+                gameMode: this.config.gameMode,
+                versus: this.versusRules,
+                allies: this.allySettings
+            });
+        }
+    }
+
+    // Back to local play with fresh tanks
+    leaveOnline(message) {
+        if (!this.online) return;
+
+        const wasPlaying = this.online.inGame;
+        this.online.close();
+        this.online = null;
+
+        // The room's mode and rules were the host's
+        if (this.modeBeforeOnline) {
+            this.config.gameMode = this.modeBeforeOnline.gameMode;
+            this.versusRules = this.modeBeforeOnline.versusRules;
+        }
+
+        this.player = new Player({ position: [0, 0, 0] });
+        this.player2 = this.config.enableSecondPlayer ? new Player2({ position: [5, 0, 0] }) : null;
+        this.applyKeyMaps();
+
+        this.enemyManager.clear();
+        this.allyManager.clear();
+        this.projectileManager.clear();
+        this.powerupManager.clear();
+
+        if (wasPlaying) {
+            this.showMenu();
+        }
+        this.ui.updateOnlineLobby(null, 0);
+        this.ui.setOnlineStatus(message);
+        this.ui.showStatus(message, 2500);
+    }
+
     handleKeyDown(e) {
+        // The controls menu is waiting for a key to bind
+        if (this.rebinding) {
+            e.preventDefault();
+            this.finishRebind(e.code);
+            return;
+        }
+
+        // Let menu text fields (e.g. the seed) receive typed characters
+        if (e.target && e.target.tagName === 'INPUT' && e.code !== 'Enter') return;
+        if (e.target && e.target.closest && e.target.closest('#difficulty-builder')) return;
+
+        // The map editor has its own key bindings
+        if (this.state === GameState.EDITOR) {
+            this.editor.handleKeyDown(e);
+            return;
+        }
+
+        // Replays drive the tanks themselves - only playback controls apply
+        if (this.replay && this.handleReplayKey(e)) return;
+
+        // Online, ENTER and ESC go to the server's game
+        if (this.online && this.online.handleKey(e)) return;
+
+        // Escape leaves a playtest and returns to the editor
+        if (this.playtesting && e.code === 'Escape') {
+            this.openEditor();
+            return;
+        }
+
         // Global keys
         switch (e.code) {
             case 'Enter':
@@ -203,116 +1022,214 @@ class Game {
             case 'Digit1':
                 if (e.shiftKey) { // ! key
                     this.toggleAlternateMode();
+                    return;
                 }
-                return;
+                break; // A plain 1 can be bound to an action
         }
 
-        // Player 1 controls
-        if (this.state === GameState.PLAYING && this.player) {
-            switch (e.code) {
-                case 'ArrowUp':
-                    this.player.input.forward = true;
-                    break;
-                case 'ArrowDown':
-                    this.player.input.backward = true;
-                    break;
-                case 'ArrowLeft':
-                    this.player.input.left = true;
-                    break;
-                case 'ArrowRight':
-                    this.player.input.right = true;
-                    break;
-                case 'KeyW':
-                    // Always enable turret pitch for UFO targeting
-                    this.player.input.turretUp = true;
-                    if (this.player2) {
-                        this.player2.input.forward = true;
-                    }
-                    break;
-                case 'KeyS':
-                    // Always enable turret pitch for UFO targeting
-                    this.player.input.turretDown = true;
-                    if (this.player2) {
-                        this.player2.input.backward = true;
-                    }
-                    break;
-                case 'KeyA':
-                    if (this.player2) {
-                        this.player2.input.left = true;
-                    }
-                    break;
-                case 'KeyD':
-                    if (this.player2) {
-                        this.player2.input.right = true;
-                    }
-                    break;
-                case 'Space':
-                    this.playerShoot(this.player);
-                    break;
-                case 'KeyE':
-                    // Fire guided missile
-                    this.playerShootGuided(this.player);
-                    break;
-                case 'KeyG':
-                    if (this.player2) {
-                        this.playerShoot(this.player2);
-                    }
-                    break;
-                case 'KeyT':
-                    // Player 2 guided missile
-                    if (this.player2) {
-                        this.playerShootGuided(this.player2);
-                    }
-                    break;
-                case 'Tab':
+        // Player controls, looked up in each player's key map
+        if (this.state === GameState.PLAYING && !this.replay) {
+            for (const player of this.getPlayers()) {
+                const action = Controls.findAction(player.keyMap, e.code);
+                if (action === 'toggleView') {
                     e.preventDefault();
-                    this.player.toggleView();
-                    this.ui.updateViewMode(this.player.thirdPerson);
-                    break;
+                    player.toggleView();
+                    this.ui.updateViewMode(player.thirdPerson, player === this.player2 ? 1 : 0);
+                } else if (action) {
+                    player.input[action] = true;
+                }
+            }
+        }
+    }
+
+    // Play/pause, fast-forward and exit while watching a replay
+    handleReplayKey(e) {
+        switch (e.code) {
+            case 'KeyF':
+                this.cycleReplaySpeed();
+                return true;
+
+            case 'Escape':
+                this.stopReplay();
+                return true;
+        }
+        return false;
+    }
+
+    handleKeyUp(e) {
+        if (this.state === GameState.EDITOR) {
+            this.editor.handleKeyUp(e);
+            return;
+        }
+
+        // Release held actions; fire buttons are cleared when the shot is taken
+        if (this.player && !this.replay) {
+            for (const player of this.getPlayers()) {
+                const action = Controls.findAction(player.keyMap, e.code);
+                if (action in player.input && !Replay.ONE_SHOT_INPUTS.includes(action)) {
+                    player.input[action] = false;
+                }
+            }
+        }
+    }
+
+    // Sticks write analog inputs; buttons act on the poll they are pressed
+    pollGamepads() {
+        const { pads, connected, disconnected } = this.gamepads.poll();
+
+        for (const slot of connected) {
+            this.ui.showStatus(`GAMEPAD CONNECTED - PLAYER ${slot + 1}`, 2000);
+        }
+        for (const slot of disconnected) {
+            const player = this.getPlayers()[slot];
+            if (player) {
+                player.input.throttle = 0;
+                player.input.steer = 0;
+                player.input.aim = 0;
+            }
+            this.ui.showStatus(`GAMEPAD ${slot + 1} DISCONNECTED`, 2000);
+        }
+
+        for (const pad of pads) {
+            if (this.state === GameState.PLAYING) {
+                this.applyGamepad(pad);
+            } else {
+                this.navigateMenu(pad);
+            }
+        }
+    }
+
+    applyGamepad(pad) {
+        if (pad.pressed[GamepadButton.START]) {
+            this.pause();
+            return;
+        }
+
+        // Player 2's pad does nothing while 2 player mode is off; replays ignore pads
+        const player = this.getPlayers()[pad.slot];
+        if (!player || this.replay) return;
+
+        player.input.throttle = pad.throttle;
+        player.input.steer = pad.steer;
+        player.input.aim = pad.aim;
+
+        if (pad.pressed[GamepadButton.RT]) player.input.shoot = true;
+        if (pad.pressed[GamepadButton.LT]) player.input.missile = true;
+
+        if (pad.pressed[GamepadButton.Y]) {
+            player.toggleView();
+            this.ui.updateViewMode(player.thirdPerson, pad.slot);
+        }
+
+        // D-pad: wingman orders
+        if (pad.pressed[GamepadButton.DPAD_LEFT]) player.input.orderFollow = true;
+        if (pad.pressed[GamepadButton.DPAD_DOWN]) player.input.orderHold = true;
+        if (pad.pressed[GamepadButton.DPAD_UP]) player.input.orderAttack = true;
+    }
+
+    // D-pad moves between menu buttons, A presses one, B backs out, START plays
+    navigateMenu(pad) {
+        const pressed = pad.pressed;
+
+        if (pressed[GamepadButton.DPAD_UP] || pressed[GamepadButton.DPAD_LEFT]) {
+            this.ui.moveMenuFocus(-1);
+        } else if (pressed[GamepadButton.DPAD_DOWN] || pressed[GamepadButton.DPAD_RIGHT]) {
+            this.ui.moveMenuFocus(1);
+        } else if (pressed[GamepadButton.A]) {
+            this.ui.activateMenuFocus();
+        } else if (pressed[GamepadButton.B]) {
+            this.rebinding = null;
+            this.ui.setDifficultyBuilderVisible(false);
+            this.ui.setControlsMenuVisible(false);
+        } else if (pressed[GamepadButton.START]) {
+            if (this.online) {
+                this.online.advance();
+            } else if (this.state === GameState.PAUSED) {
+                this.resume();
+            } else if (this.state === GameState.LEVEL_COMPLETE) {
+                this.nextLevel();
+            } else if (this.state === GameState.MENU || this.state === GameState.GAME_OVER) {
+                this.startGame();
+            }
+        }
+    }
+
+    getPlayers() {
+        return [this.player, ...(this.player2 ? [this.player2] : [])];
+    }
+
+    // Everything with hit points: players, enemies, the UFO and wingmen
+    getDamageableTanks() {
+        return [...this.getPlayers(), ...this.enemyManager.getAllEntities(), ...this.allyManager.allies];
+    }
+
+    // Inputs are recorded (or played back) at the start of the tick they take effect
+    processInput() {
+        const players = this.getPlayers();
+
+        if (this.replay) {
+            this.replay.applyTick(this.tick, players);
+        } else {
+            this.recorder.capture(this.tick, players);
+        }
+
+        // One-shot inputs: act on them, then clear them
+        for (const player of players) {
+            // Mouse aiming arrives as deltas - turn the turret before any shot this tick
+            if (player.input.aimYaw || player.input.aimPitch) {
+                player.aimTurret(player.input.aimYaw, player.input.aimPitch);
+                player.input.aimYaw = 0;
+                player.input.aimPitch = 0;
+            }
+            if (player.input.shoot) {
+                player.input.shoot = false;
+                this.playerShoot(player);
+            }
+            if (player.input.missile) {
+                player.input.missile = false;
+                this.playerShootGuided(player);
+            }
+            for (const name in Allies.ORDER_INPUTS) {
+                if (player.input[name]) {
+                    player.input[name] = false;
+                    this.orderAllies(player, Allies.ORDER_INPUTS[name]);
+                }
             }
         }
     }
 
-    handleKeyUp(e) {
-        // Player 1 controls
-        if (this.player) {
-            switch (e.code) {
-                case 'ArrowUp':
-                    this.player.input.forward = false;
-                    break;
-                case 'ArrowDown':
-                    this.player.input.backward = false;
-                    break;
-                case 'ArrowLeft':
-                    this.player.input.left = false;
-                    break;
-                case 'ArrowRight':
-                    this.player.input.right = false;
-                    break;
-                case 'KeyW':
-                    this.player.input.turretUp = false;
-                    if (this.player2) {
-                        this.player2.input.forward = false;
-                    }
-                    break;
-                case 'KeyS':
-                    this.player.input.turretDown = false;
-                    if (this.player2) {
-                        this.player2.input.backward = false;
-                    }
-                    break;
-                case 'KeyA':
-                    if (this.player2) {
-                        this.player2.input.left = false;
-                    }
-                    break;
-                case 'KeyD':
-                    if (this.player2) {
-                        this.player2.input.right = false;
-                    }
-                    break;
+    // Follow / hold / attack for every wingman; attack goes after what the player is aiming at
+    orderAllies(player, order) {
+        if (!player.alive || this.allyManager.getAlive().length === 0) return;
+
+        const target = order === 'attack' ? this.findAimedTarget(player) : null;
+        if (order === 'attack' && !target) {
+            this.ui.showStatus('NO TARGET!', 1000);
+            return;
+        }
+
+        this.allyManager.giveOrder(order, player, target);
+        this.events.emit(GameEvent.ALLY_ORDERED, { order: order, player: player, target: target });
+    }
+
+    // The nearest enemy close to the line of the player's turret, or null
+    findAimedTarget(player) {
+        const aim = player.getTurretRotation();
+        let best = null;
+        let bestDist = Infinity;
+
+        for (const enemy of this.enemyManager.getAllEntities()) {
+            if (!enemy.alive) continue;
+
+            const dx = enemy.position[0] - player.position[0];
+            const dz = enemy.position[2] - player.position[2];
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (Math.abs(Utils.normalizeAngle(Math.atan2(dx, dz) - aim)) < 0.3 && dist < bestDist) {
+                best = enemy;
+                bestDist = dist;
             }
         }
+        return best;
     }
 
     playerShoot(player) {
@@ -324,13 +1241,13 @@ class Game {
         }
 
         // Create projectile
-        this.projectileManager.fireFromEntity(player, {
+        const projectile = this.projectileManager.fireFromEntity(player, {
             type: this.config.useBallistics ? 'ballistic' : 'normal',
             speed: 60,
             color: [1, 0.9, 0.3]
         });
 
-        this.audio.playShot();
+        this.events.emit(GameEvent.SHOT_FIRED, { owner: player, projectile: projectile });
     }
 
     playerShootGuided(player) {
@@ -341,11 +1258,12 @@ class Game {
             return;
         }
 
-        // Find nearest enemy to target
+        // Find nearest enemy to target (in versus the other player counts too)
         let nearestEnemy = null;
         let nearestDist = Infinity;
 
-        for (const enemy of this.enemyManager.enemies) {
+        const opponents = this.isVersus() ? this.getPlayers().filter(p => p !== player) : [];
+        for (const enemy of [...this.enemyManager.enemies, ...opponents]) {
             if (!enemy.alive) continue;
 
             const dist = Utils.distance2D(
@@ -376,8 +1294,8 @@ class Game {
             return;
         }
 
-        // Fire guided missile
-        const forward = Utils.angleToVector(player.rotation);
+        // Fire guided missile along the turret
+        const forward = Utils.angleToVector(player.getTurretRotation());
         const position = [
             player.position[0] + forward[0] * 2.5,
             player.position[1] + 1.5,
@@ -385,7 +1303,7 @@ class Game {
         ];
 
         const speed = 25;
-        this.projectileManager.createProjectile({
+        const missile = this.projectileManager.createProjectile({
             id: player.id + '_guided_' + Date.now(),
             ownerId: player.id + '_guided',
             position: position,
@@ -398,55 +1316,142 @@ class Game {
             lifetime: 8
         });
 
-        this.audio.playShot();
-        this.ui.showStatus('MISSILE LAUNCHED!', 1000);
+        this.events.emit(GameEvent.MISSILE_LAUNCHED, {
+            owner: player,
+            target: nearestEnemy,
+            projectile: missile
+        });
     }
 
+    // AI shot at a target (wingmen fire through here too, in their own color)
+    // Each kind of tank decides what it fires (see enemytypes.js)
     enemyShoot(enemy, player) {
-        const direction = enemy.getShootDirection(player);
-        const speed = 35;
+        const shot = enemy.getShot(player, this.physics, this.config.useBallistics);
 
-        const position = [
-            enemy.position[0] + direction[0] * 2.5,
-            enemy.position[1] + 1.2,
-            enemy.position[2] + direction[2] * 2.5
-        ];
-
-        this.projectileManager.createProjectile({
+        const projectile = this.projectileManager.createProjectile({
             ownerId: enemy.id,
-            position: position,
-            velocity: [
-                direction[0] * speed,
-                direction[1] * speed,
-                direction[2] * speed
-            ],
-            color: [1, 0.3, 0.3],
-            type: this.config.useBallistics ? 'ballistic' : 'normal'
+            color: enemy.shotColor || [1, 0.3, 0.3],
+            ...shot
         });
 
-        this.audio.playShot();
+        if (projectile.type === 'guided') {
+            this.events.emit(GameEvent.MISSILE_LAUNCHED, { owner: enemy, target: player, projectile: projectile });
+        } else {
+            this.events.emit(GameEvent.SHOT_FIRED, { owner: enemy, projectile: projectile });
+        }
     }
 
     showMenu() {
         this.state = GameState.MENU;
         this.ui.showGameMessage('BATTLEZONE', 'Press ENTER to Start', true);
+        this.ui.setSaveAvailable(SaveGame.hasSave());
+    }
+
+    isGameInProgress() {
+        return this.state === GameState.PLAYING ||
+            this.state === GameState.PAUSED ||
+            this.state === GameState.LEVEL_COMPLETE;
+    }
+
+    // Store the run in progress in localStorage
+    // Watching a replay, playtesting a map, playing online or a versus match
+    // must not touch the save of the player's own run
+    isOwnRun() {
+        return !(this.replay || this.playtesting || this.online || this.isVersus());
+    }
+
+    saveGame() {
+        if (!this.isGameInProgress() || !this.isOwnRun()) return false;
+
+        const saved = SaveGame.saveToStorage(this);
+        if (saved) {
+            this.ui.setSaveAvailable(true);
+        }
+        return saved;
+    }
+
+    // Resume from a snapshot (defaults to the one in localStorage)
+    continueGame(data = SaveGame.loadFromStorage()) {
+        if (!data) {
+            this.ui.showStatus('NO SAVED GAME', 2000);
+            return false;
+        }
+
+        this.audio.init();
+        this.audio.resume();
+
+        // Saves are only made outside versus; a failed restore leaves the mode as it was
+        const previousMode = this.config.gameMode;
+        try {
+            this.config.gameMode = 'coop';
+            SaveGame.restore(this, data);
+        } catch (e) {
+            this.config.gameMode = previousMode;
+            console.warn('Could not restore save:', e);
+            this.ui.showStatus('SAVE COULD NOT BE LOADED', 2000);
+            return false;
+        }
+
+        // A resumed run can't be rebuilt from its seed, so it isn't recorded
+        this.replay = null;
+        this.timeScale = 1;
+        this.recorder.stop();
+        this.ui.setReplayAvailable(false);
+        this.applyKeyMaps();
+
+        this.updateScoreboard();
+        this.ui.updateLevel(this.level);
+        this.getPlayers().forEach((player, index) => this.ui.updateViewMode(player.thirdPerson, index));
+        this.ui.setSeedInput(this.seed);
+
+        // Land on a paused screen so the player can get their bearings
+        if (data.state === GameState.LEVEL_COMPLETE) {
+            this.state = GameState.LEVEL_COMPLETE;
+            this.ui.showGameMessage('LEVEL COMPLETE!', 'Press ENTER for Next Level', false);
+        } else {
+            this.state = GameState.PAUSED;
+            this.ui.showGameMessage('GAME LOADED', 'Press P to Resume', false);
+        }
+
+        this.updateHud();
+        SaveGame.saveToStorage(this);
+        return true;
+    }
+
+    // Download the run in progress, or the stored save from the menu
+    exportSave() {
+        const data = this.isGameInProgress() ? SaveGame.serialize(this) : SaveGame.loadFromStorage();
+        if (!data) {
+            this.ui.showStatus('NO SAVED GAME', 2000);
+            return;
+        }
+        SaveGame.exportFile(data);
     }
 
-    startGame() {
+    startGame(seed = this.ui.getSeedInput(), replay = null) {
         this.audio.init();
         this.audio.resume();
 
-        // Get difficulty settings
-        const settings = this.difficultySettings[this.difficulty] || this.difficultySettings.medium;
+        this.level = 1;
+        this.levelDef = Levels.getLevel(this.levelPack, this.level);
+
+        // Seed every random decision so the run can be reproduced
+        this.applySeed(seed);
+
+        // Get difficulty settings - replays bring the exact ones they were recorded with
+        const settings = replay && replay.data.difficultySettings ?
+            Difficulty.normalize(replay.data.difficultySettings) : this.getDifficultySettings();
 
         this.state = GameState.PLAYING;
         this.score = 0;
-        this.lives = settings.startingLives;
-        this.level = 1;
+
+        // Versus needs both tanks
+        if (this.isVersus()) {
+            this.config.enableSecondPlayer = true;
+        }
 
         // Reset player
-        // Reset player
-        const spawnPos = this.terrain.getRandomSpawnPosition(10, [], 20);
+        const spawnPos = this.terrain.getPlayerSpawnPosition();
         this.player.respawn(spawnPos);
         this.player.rotation = 0;
 
@@ -457,33 +1462,265 @@ class Game {
                     position: [5, 0, 0]
                 });
             }
-            this.player2.respawn([5, 0, 0]);
+            // Opponents start well apart; co-op partners side by side
+            this.player2.respawn(this.isVersus() ? this.getRespawnPosition(this.player2) : [5, 0, 0]);
             this.player2.rotation = 0;
         } else {
             this.player2 = null;
         }
+        this.applyKeyMaps();
+
+        for (const player of this.getPlayers()) {
+            player.lives = settings.startingLives;
+            player.score = 0;
+            player.deaths = 0;
+        }
 
         // Reset managers with difficulty settings
         this.enemyManager.setDifficulty(settings);
-        this.enemyManager.reset(this.terrain, this.player, this.level, 3);
         this.projectileManager.clear();
         this.particleSystem.clear();
         this.powerupManager.clear();
+        this.setupLevel();
 
         // Update UI
         this.ui.hideGameMessage();
-        this.ui.updateScore(this.score);
-        this.ui.updateLives(this.lives);
+        this.updateScoreboard();
         this.ui.updateLevel(this.level);
-        this.ui.updateViewMode(this.player.thirdPerson);
+        this.getPlayers().forEach((player, index) => this.ui.updateViewMode(player.thirdPerson, index));
+
+        // Replays drive the tanks from the file; every other game is recorded
+        this.replay = replay;
+        this.timeScale = 1;
+        if (replay) {
+            this.recorder.stop();
+            replay.start(this.getPlayers());
+        } else {
+            this.recorder.start(this);
+        }
+        this.ui.setReplayAvailable(!replay);
 
         const modeText = this.config.enableSecondPlayer ? '2 PLAYER ' : '';
-        this.ui.showStatus(`${modeText}${this.difficulty.toUpperCase()} MODE - GAME START!`, 2000);
+        if (replay) {
+            this.ui.showStatus('REPLAY - P PAUSE | F FAST FORWARD | ESC EXIT', 3000);
+        } else if (this.isVersus()) {
+            this.ui.showStatus(`VERSUS - ${Versus.describe(this.versusRules)}`, 2500);
+        } else {
+            this.ui.showStatus(`${modeText}${settings.name.toUpperCase()} MODE - GAME START!`, 2000);
+        }
+
+        this.events.emit(GameEvent.GAME_STARTED, { difficulty: this.difficulty, seed: this.seed });
+    }
+
+    getDifficultySettings() {
+        if (this.difficulty === 'custom') return this.customDifficulty;
+        return this.difficultySettings[this.difficulty] || this.difficultySettings.medium;
+    }
+
+    openEditor() {
+        // Coming back from a playtest restores the campaign that was selected
+        if (this.playtesting) {
+            this.playtesting = false;
+            this.levelPack = this.packBeforePlaytest;
+            this.recorder.stop();
+        }
+
+        this.state = GameState.EDITOR;
+        this.replay = null;
+        this.timeScale = 1;
+
+        // Only the battlefield is shown while editing
+        this.enemyManager.clear();
+        this.allyManager.clear();
+        this.projectileManager.clear();
+        this.particleSystem.clear();
+        this.powerupManager.clear();
+
+        this.ui.hideGameMessage();
+        this.editor.open();
+    }
+
+    closeEditor() {
+        this.editor.close();
+        this.showMenu();
+    }
+
+    // Start a game on the map being edited
+    playtest(map) {
+        this.editor.close();
+
+        this.packBeforePlaytest = this.levelPack;
+        this.levelPack = {
+            name: 'Playtest',
+            endless: true,
+            levels: [{ name: map.name, terrain: map }]
+        };
+        this.playtesting = true;
+
+        this.startGame();
+        this.ui.showStatus('PLAYTEST - ESC TO RETURN TO EDITOR', 3000);
+    }
+
+    // Watch a recording through the real simulation
+    startReplay(data) {
+        const replay = new ReplayPlayer(data);
+
+        this.levelPack = data.levelPack ? Levels.validatePack(data.levelPack) : LevelPacks.classic;
+        this.difficulty = data.difficulty;
+        this.config.use3DGameplay = data.config.use3DGameplay;
+        this.config.useBallistics = data.config.useBallistics;
+        this.config.enableSecondPlayer = data.config.enableSecondPlayer;
+        this.config.gameMode = data.config.gameMode || 'coop';
+        this.versusRules = Versus.normalize(data.config.versus);
+        this.allySettings = Allies.normalize(data.config.allies);
+
+        this.startGame(data.seed, replay);
+    }
+
+    cycleReplaySpeed() {
+        const index = this.replaySpeeds.indexOf(this.timeScale);
+        this.timeScale = this.replaySpeeds[(index + 1) % this.replaySpeeds.length];
+        this.ui.showStatus(`REPLAY ${this.timeScale}x`, 1000);
+    }
+
+    // Keep levels rolling and stop where the recording stopped
+    updateReplay() {
+        if (this.state === GameState.LEVEL_COMPLETE) {
+            this.nextLevel();
+        } else if (this.state === GameState.PLAYING && this.replay.isFinished(this.tick)) {
+            this.state = GameState.GAME_OVER;
+            this.ui.showGameMessage('REPLAY FINISHED', `Score: ${this.score}\nPress ENTER to Play`, false);
+        }
+    }
+
+    stopReplay() {
+        this.replay = null;
+        this.timeScale = 1;
+        this.showMenu();
+    }
+
+    // Download the recording of the current (or just finished) game
+    downloadReplay() {
+        const recording = this.recorder.getRecording();
+        if (!recording) {
+            this.ui.showStatus('NO REPLAY RECORDED', 2000);
+            return;
+        }
+        Replay.exportFile(recording);
+    }
+
+    // Reseed the shared generator and rebuild the map from it
+    applySeed(seed) {
+        const hasSeed = seed !== undefined && seed !== null && seed !== '';
+        this.seed = SeededRandom.normalizeSeed(hasSeed ? seed : SeededRandom.generateSeed());
+        Random.setSeed(this.seed);
+
+        this.terrain.generate(this.levelDef && this.levelDef.terrain || {});
+        if (this.config.use3DGameplay) {
+            this.renderer.setTerrain(this.terrain);
+        }
+        this.applyThemeColors();
+    }
+
+    // Switch campaigns from the menu; takes effect on the next new game
+    setLevelPack(pack) {
+        this.levelPack = Levels.validatePack(pack);
+        this.ui.setLevelPackName(pack.name, pack !== LevelPacks.classic);
+        this.ui.showStatus(`LEVELS: ${pack.name.toUpperCase()} (${pack.levels.length})`, 2000);
+    }
+
+    // Configure managers from the current level's definition
+    setupLevel() {
+        const def = this.levelDef;
+
+        this.levelKills = 0;
+        this.levelTime = 0;
+
+        // The map may have changed since the last level (or playtest)
+        this.navGrid.build(this.terrain);
+
+        // The difficulty can cap enemies and stretch power-up timing
+        const ds = this.enemyManager.difficultySettings;
+        const hazards = !this.isVersus() || this.versusRules.hazards;
+        const enemies = hazards ? Difficulty.adjustEnemies(def.enemies, ds) : { ...def.enemies, initial: 0, max: 0 };
+        this.enemyManager.setLevelConfig(enemies);
+        this.powerupManager.setLevelConfig(Difficulty.adjustPowerups(def.powerups, ds));
+        this.enemyManager.reset(this.terrain, this.getPlayers(), this.level, enemies.initial);
+
+        // Wingmen join at the start of every level (never in versus)
+        this.allyManager.setCount(this.isVersus() ? 0 : this.allySettings.count);
+        this.allyManager.reset(this.terrain, this.getPlayers());
+
+        const ufoAllowed = this.isUfoAllowed();
+        if (ufoAllowed && def.ufo.startChance > 0 && Random.next() < def.ufo.startChance * ds.ufoFrequency) {
+            this.spawnUFO();
+        }
+    }
+
+    // Versus without hazards has no UFO either
+    isUfoAllowed() {
+        if (this.isVersus() && !this.versusRules.hazards) return false;
+        return this.levelDef.ufo.enabled && this.level >= this.enemyManager.difficultySettings.ufoSpawnLevel;
+    }
+
+    // A level with its own "terrain" section gets a fresh battlefield
+    rebuildTerrain() {
+        this.terrain.generate(this.levelDef.terrain);
+        if (this.config.use3DGameplay) {
+            this.renderer.setTerrain(this.terrain);
+        }
+        this.applyThemeColors();
+        this.powerupManager.clear();
+
+        // Move the tanks clear of the new obstacles, repaired for the next fight
+        for (const player of this.getPlayers()) {
+            const spawnPos = this.terrain.getPlayerSpawnPosition();
+            player.position = spawnPos;
+            player.position[1] = this.terrain.getHeightAt(spawnPos[0], spawnPos[2]);
+            player.prevPosition = null;
+            if (player.alive) player.hitPoints = player.maxHitPoints;
+        }
+    }
+
+    isLevelWon() {
+        const win = this.levelDef.win;
+
+        switch (win.type) {
+            case WinCondition.KILLS:
+                return this.levelKills >= win.count;
+            case WinCondition.SURVIVE:
+                return this.levelTime >= win.seconds;
+            case WinCondition.SCORE:
+                return this.score >= win.points;
+            default:
+                return this.enemyManager.getAliveCount() === 0;
+        }
+    }
+
+    completeLevel() {
+        // Clearing the last level of a finite campaign wins the game
+        if (!Levels.hasLevel(this.levelPack, this.level + 1)) {
+            this.gameOver(true);
+            return;
+        }
+
+        this.state = GameState.LEVEL_COMPLETE;
+        this.events.emit(GameEvent.LEVEL_COMPLETE, { level: this.level, score: this.score });
     }
 
     pause() {
+        // The server keeps running for everyone in the room
+        if (this.online) {
+            this.ui.showStatus('ONLINE GAMES CAN\'T BE PAUSED', 1500);
+            return;
+        }
+
         this.state = GameState.PAUSED;
         this.ui.showGameMessage('PAUSED', 'Press P to Resume', false);
+
+        if (this.saveGame()) {
+            this.ui.showStatus('GAME SAVED', 1500);
+        }
     }
 
     resume() {
@@ -494,38 +1731,48 @@ class Game {
     nextLevel() {
         this.level++;
         this.state = GameState.PLAYING;
+        this.levelDef = Levels.getLevel(this.levelPack, this.level);
 
-        // Increase difficulty
-        this.enemyManager.maxEnemies = Math.min(8, 3 + this.level);
-        this.enemyManager.reset(this.terrain, this.player, this.level, 3 + this.level);
+        if (this.levelDef.terrain) {
+            this.rebuildTerrain();
+        }
 
         // Clear projectiles
         this.projectileManager.clear();
 
-        // Spawn UFO at higher levels
-        if (this.level >= 3 && Math.random() > 0.5) {
-            this.enemyManager.spawnUFO(this.terrain);
-        }
+        this.setupLevel();
 
-        this.ui.hideGameMessage();
-        this.ui.updateLevel(this.level);
-        this.ui.showStatus(`LEVEL ${this.level}`, 2000);
+        this.events.emit(GameEvent.LEVEL_STARTED, { level: this.level, name: this.levelDef.name });
+    }
 
-        this.audio.playLevelUp();
+    spawnUFO() {
+        const ufo = this.enemyManager.spawnUFO(this.terrain, this.level);
+        if (ufo) {
+            this.events.emit(GameEvent.UFO_SPAWNED, { ufo: ufo });
+        }
+        return ufo;
     }
 
-    gameOver() {
+    gameOver(victory = false) {
         this.state = GameState.GAME_OVER;
-        this.ui.showGameMessage('GAME OVER', `Final Score: ${this.score}\nPress ENTER to Restart`, false);
-        this.audio.playGameOver();
+
+        // A finished run can't be continued
+        if (this.isOwnRun()) {
+            SaveGame.clearStorage();
+            this.ui.setSaveAvailable(false);
+        }
+
+        this.events.emit(GameEvent.GAME_OVER, { score: this.score, seed: this.seed, victory: victory });
     }
 
     toggleAlternateMode() {
         this.alternateMode = !this.alternateMode;
         this.ui.setAlternateMode(this.alternateMode);
         this.ui.showStatus(this.alternateMode ? 'DESERT STORM MODE' : 'CLASSIC MODE', 2000);
+        this.applyThemeColors();
+    }
 
-        // Apply visual changes
+    applyThemeColors() {
         if (this.alternateMode) {
             // Change colors for desert theme
             this.terrain.obstacles.forEach(o => {
@@ -546,11 +1793,67 @@ class Game {
     }
 
     update(time) {
-        // Calculate delta time
-        this.deltaTime = Math.min((time - this.lastTime) / 1000, 0.1);
+        // Real time elapsed since the last animation frame
+        const frameTime = Math.min((time - this.lastTime) / 1000, 0.25);
         this.lastTime = time;
 
-        if (this.state !== GameState.PLAYING) return;
+        if (this.state === GameState.EDITOR) {
+            this.editor.update(frameTime);
+            return;
+        }
+
+        this.pollGamepads();
+        if (this.mouse) {
+            this.mouse.update();
+        }
+
+        // Online, the server runs the simulation (see online.js)
+        if (this.online) {
+            this.online.update(frameTime);
+            return;
+        }
+
+        if (this.state !== GameState.PLAYING) {
+            this.accumulator = 0;
+            this.interpolationAlpha = 1;
+            return;
+        }
+
+        // Run as many fixed ticks as the elapsed time covers (more when fast-forwarding)
+        this.accumulator += frameTime * this.timeScale;
+        let steps = 0;
+
+        while (this.accumulator >= this.fixedDelta && this.state === GameState.PLAYING) {
+            if (steps >= this.maxStepsPerFrame * this.timeScale) {
+                // Too far behind - drop the backlog rather than freezing
+                this.accumulator = 0;
+                break;
+            }
+
+            this.step(this.fixedDelta);
+            this.accumulator -= this.fixedDelta;
+            steps++;
+        }
+
+        // How far we are between the last tick and the next one
+        this.interpolationAlpha = Utils.clamp(this.accumulator / this.fixedDelta, 0, 1);
+
+        if (steps > 0) {
+            this.updateHud();
+        }
+    }
+
+    // Advance the simulation by exactly one fixed tick
+    step(deltaTime) {
+        this.deltaTime = deltaTime;
+        this.tick++;
+        this.levelTime += deltaTime;
+
+        // Remember where everything was so rendering can blend toward the new tick
+        this.storePreviousTransforms();
+
+        // Apply this tick's input, recording it or reading it back from a replay
+        this.processInput();
 
         // Update radar beep
         this.radarBeepTimer += this.deltaTime;
@@ -559,14 +1862,18 @@ class Game {
             this.radarBeepTimer = 0;
         }
 
-        // Update player
+        // Bring destroyed players back once their respawn delay runs out
+        this.updateRespawns(this.deltaTime);
+
+        // Update player (enemies and wingmen are in the way)
+        const tanks = [...this.enemyManager.getAllEntities(), ...this.allyManager.getAlive()];
         if (this.player.alive) {
             this.player.update(
                 this.deltaTime,
                 this.physics,
                 this.terrain,
                 this.terrain.obstacles,
-                this.enemyManager.getAllEntities()
+                tanks
             );
 
             this.audio.updateEngine(this.player.currentSpeed);
@@ -579,7 +1886,7 @@ class Game {
                 this.physics,
                 this.terrain,
                 this.terrain.obstacles,
-                this.enemyManager.getAllEntities()
+                tanks
             );
         }
 
@@ -587,43 +1894,67 @@ class Game {
         if (!this.powerupManager.isFreezeActive()) {
             this.enemyManager.update(
                 this.deltaTime,
-                this.player,
+                this.getPlayers(),
                 this.terrain,
                 this.terrain.obstacles,
                 this.physics,
-                this.level
+                this.level,
+                this.allyManager.getAlive(),
+                this.navGrid
             );
 
-            // Handle enemy shooting
+            // Handle enemy shooting - each fires at the player (or wingman) it picked
             const shooters = this.enemyManager.getEnemiesNeedingToShoot();
             for (const enemy of shooters) {
-                this.enemyShoot(enemy, this.player);
+                this.enemyShoot(enemy, enemy.target || this.player);
             }
 
             // Spawn UFO based on level and difficulty
-            const ufoSpawnLevel = this.enemyManager.difficultySettings?.ufoSpawnLevel || 1;
-            if (this.level >= ufoSpawnLevel && (!this.enemyManager.ufo || !this.enemyManager.ufo.alive)) {
-                // Random chance to spawn UFO each frame (~1 every 2 seconds at 60fps)
-                if (Math.random() < 0.01) {
-                    this.enemyManager.spawnUFO(this.terrain);
-                    this.ui.showStatus('WARNING: UFO DETECTED!', 3000);
+            const ds = this.enemyManager.difficultySettings;
+            const ufoRules = this.levelDef.ufo;
+            if (this.isUfoAllowed() && (!this.enemyManager.ufo || !this.enemyManager.ufo.alive)) {
+                // Random chance to spawn UFO each tick (level default ~1 every 2 seconds at 60 ticks/s)
+                if (Random.next() < ufoRules.chancePerTick * ds.ufoFrequency) {
+                    this.spawnUFO();
                 }
             }
         }
 
-        // Update projectiles
+        // Wingmen keep going while enemies are frozen
+        this.allyManager.update(
+            this.deltaTime,
+            this.getPlayers(),
+            this.enemyManager.getAllEntities(),
+            this.terrain,
+            this.terrain.obstacles,
+            this.physics,
+            this.level,
+            this.navGrid
+        );
+        for (const ally of this.allyManager.getAlliesNeedingToShoot()) {
+            this.enemyShoot(ally, ally.target);
+        }
+
+        // Update projectiles (wrecks waiting to respawn can't be hit again)
+        const allies = this.allyManager.getAlive();
         const allEntities = [
-            this.player,
-            ...(this.player2 ? [this.player2] : []),
-            ...this.enemyManager.getAllEntities()
+            ...this.getPlayers().filter(p => p.alive),
+            ...this.enemyManager.getAllEntities(),
+            ...allies
         ];
 
+        // Without friendly fire, players and wingmen shoot through each other
+        const friendlyFire = this.allySettings.friendlyFire;
+        const canHit = allies.length > 0 && !friendlyFire ?
+            (projectile, entity) => Allies.canHit(projectile.ownerId, entity.id, friendlyFire) : null;
+
         const hits = this.projectileManager.update(
             this.deltaTime,
             this.physics,
             this.terrain,
             this.terrain.obstacles,
-            allEntities
+            allEntities,
+            canHit
         );
 
         // Process hits
@@ -631,77 +1962,176 @@ class Game {
             if (hit.type === 'entity') {
                 const target = hit.target;
 
-                if (target.id === 'player' || target.id === 'player2') {
-                    // Player hit
-                    if (target.takeDamage()) {
-                        this.particleSystem.createExplosion(target.position, 1.5);
-                        this.audio.playExplosion();
-
-                        this.lives--;
-                        this.ui.updateLives(this.lives);
-
-                        if (this.lives <= 0) {
-                            this.gameOver();
-                        } else {
-                            // Respawn player
-                            setTimeout(() => {
-                                setTimeout(() => {
-                                    const spawnPos = this.terrain.getRandomSpawnPosition(10, [], 20);
-                                    target.respawn(spawnPos);
-                                    this.ui.showStatus('TANK DESTROYED! RESPAWNING...', 2000);
-                                }, 1000);
-                            }, 1000);
-                        }
+                // Armor takes more or less of the shot depending on where it lands
+                const { damage, face } = Armor.getHit(target, hit.projectile);
+                const shielded = target.invulnerable;
+
+                if (!target.takeDamage(damage)) {
+                    if (!shielded && target.alive) {
+                        this.events.emit(GameEvent.TANK_DAMAGED, {
+                            target: target,
+                            projectile: hit.projectile,
+                            damage: damage,
+                            face: face
+                        });
                     }
+                } else if (target.id === 'player' || target.id === 'player2') {
+                    this.events.emit(GameEvent.PLAYER_HIT, {
+                        player: target,
+                        projectile: hit.projectile,
+                        killer: this.isVersus() ? this.findShooter(hit.projectile) : null
+                    });
+                } else if (target instanceof AllyTank) {
+                    this.events.emit(GameEvent.ALLY_DESTROYED, {
+                        ally: target,
+                        projectile: hit.projectile
+                    });
                 } else {
-                    // Enemy hit
-                    if (target.takeDamage()) {
-                        this.particleSystem.createExplosion(target.position, 1.5);
-                        this.audio.playExplosion();
-
-                        // Add score
-                        const points = target.points || 100;
-                        this.score += points;
-                        this.ui.updateScore(this.score);
-                        this.ui.showStatus(`+${points}`, 1000);
-                    }
+                    this.events.emit(GameEvent.ENEMY_DESTROYED, {
+                        enemy: target,
+                        projectile: hit.projectile,
+                        points: target.points || 100
+                    });
                 }
             } else if (hit.type === 'obstacle') {
-                this.particleSystem.createHitSpark(hit.projectile.position);
-                this.audio.playHit();
+                this.events.emit(GameEvent.OBSTACLE_HIT, {
+                    projectile: hit.projectile,
+                    obstacle: hit.target
+                });
             }
         }
 
-        // Clean up dead enemies
+        // Clean up dead enemies and wingmen
         this.enemyManager.removeDeadEnemies();
-
-        // Check level complete
-        if (this.enemyManager.getAliveCount() === 0) {
-            this.state = GameState.LEVEL_COMPLETE;
-            this.ui.showGameMessage('LEVEL COMPLETE!', 'Press ENTER for Next Level', false);
-            this.audio.playLevelUp();
+        this.allyManager.removeDead();
+
+        // Check the level's win condition (versus plays one long round instead)
+        if (this.state === GameState.PLAYING) {
+            if (this.isVersus()) {
+                this.checkMatchEnd();
+            } else if (this.isLevelWon()) {
+                this.completeLevel();
+            }
         }
 
         // Update power-ups
-        const collected = this.powerupManager.update(this.deltaTime, this.player, this.terrain);
-        for (const powerup of collected) {
-            this.audio.playPowerUp();
-            this.ui.showStatus(`${powerup.type.toUpperCase()} POWER-UP!`, 2000);
+        const collected = this.powerupManager.update(this.deltaTime, this.getPlayers(), this.terrain);
+        for (const { powerup, player } of collected) {
+            this.events.emit(GameEvent.POWERUP_COLLECTED, { powerup: powerup, player: player });
         }
-        this.powerupManager.applyEffects(this.player, this.enemyManager.enemies);
-        this.ui.updatePowerupIndicators(this.powerupManager);
+        this.powerupManager.applyEffects(this.getPlayers(), this.enemyManager.enemies);
 
         // Update particles
+        this.particleSystem.emitDamageSmoke(this.getDamageableTanks(), this.deltaTime);
         this.particleSystem.update(this.deltaTime);
 
-        // Update radar
-        this.ui.drawRadar(
-            this.player,
-            this.enemyManager.enemies,
-            this.terrain.obstacles,
-            this.terrain,
-            this.enemyManager.ufo
-        );
+        if (this.replay) {
+            this.updateReplay();
+        }
+    }
+
+    updateRespawns(deltaTime) {
+        for (const player of this.getPlayers()) {
+            if (player.alive || !(player.respawnTimer > 0)) continue;
+
+            player.respawnTimer -= deltaTime;
+            if (player.respawnTimer <= 0) {
+                player.respawnTimer = 0;
+                const spawnPos = this.getRespawnPosition(player);
+                player.respawn(spawnPos);
+                this.events.emit(GameEvent.PLAYER_RESPAWNED, { player: player, position: spawnPos });
+            }
+        }
+    }
+
+    // Versus respawns keep away from the other tank
+    getRespawnPosition(player) {
+        if (!this.isVersus()) {
+            return this.terrain.getPlayerSpawnPosition();
+        }
+        const opponents = this.getPlayers().filter(p => p !== player && p.alive).map(p => p.position);
+        return this.terrain.getPlayerSpawnPosition(opponents, Versus.SPAWN_DISTANCE);
+    }
+
+    checkMatchEnd() {
+        const result = Versus.getResult(this.getPlayers(), this.versusRules, this.levelTime);
+        if (result) {
+            this.endMatch(result);
+        }
+    }
+
+    endMatch({ winner, reason }) {
+        this.state = GameState.GAME_OVER;
+        this.events.emit(GameEvent.MATCH_OVER, {
+            winner: winner,
+            reason: reason,
+            standings: Versus.getStandings(this.getPlayers())
+        });
+    }
+
+    // Run the simulation for a number of fixed ticks (headless scripts and tests)
+    runTicks(count) {
+        for (let i = 0; i < count && this.state === GameState.PLAYING; i++) {
+            this.step(this.fixedDelta);
+        }
+    }
+
+    // Run the simulation for roughly the given number of seconds
+    runFor(seconds) {
+        this.runTicks(Math.round(seconds / this.fixedDelta));
+    }
+
+    storePreviousTransforms() {
+        Utils.storePreviousTransform(this.player);
+        if (this.player2) {
+            Utils.storePreviousTransform(this.player2);
+        }
+        for (const entity of this.enemyManager.getAllEntities()) {
+            Utils.storePreviousTransform(entity);
+        }
+        for (const ally of this.allyManager.allies) {
+            Utils.storePreviousTransform(ally);
+        }
+        for (const projectile of this.projectileManager.projectiles) {
+            Utils.storePreviousTransform(projectile);
+        }
+    }
+
+    // Score and lives panels, one per player
+    updateScoreboard() {
+        const players = this.getPlayers();
+        this.ui.setPlayerCount(players.length);
+        const versus = this.isVersus();
+        this.ui.setVersusMode(versus);
+        players.forEach((player, index) => {
+            this.ui.updateScore(player.score, index);
+            this.ui.updateLives(versus ? player.deaths : player.lives, index);
+        });
+    }
+
+    // HUD only needs refreshing once per rendered frame, not per tick
+    updateHud() {
+        this.ui.updatePowerupIndicators(this.powerupManager, this.player.id);
+        this.getPlayers().forEach((player, index) => this.ui.updateHealth(Armor.getHealth(player), index));
+        if (this.isVersus()) {
+            this.ui.updateMatchClock(Versus.getTimeLeft(this.versusRules, this.levelTime));
+        }
+
+        // In split-screen each player gets a radar centred on their own tank
+        const players = this.getPlayers();
+        const radars = this.getSplitLayout() ? players : [this.player];
+        radars.forEach((player, index) => {
+            this.ui.drawRadar(
+                player,
+                this.enemyManager.enemies,
+                this.terrain.obstacles,
+                this.terrain,
+                this.enemyManager.ufo,
+                players.filter(p => p !== player),
+                index,
+                this.allyManager.allies
+            );
+        });
     }
 
     render() {
@@ -714,15 +2144,66 @@ class Game {
 
         this.renderer.clear(clearColor);
         this.renderer.resize();
+        this.ui.setSplitScreen(this.getSplitLayout());
+
+        // The map editor looks straight down
+        if (this.state === GameState.EDITOR) {
+            const aspect = this.renderer.canvas.width / this.renderer.canvas.height;
+            const { viewMatrix, projectionMatrix } = this.editor.getCamera(aspect);
+            this.renderScene(viewMatrix, projectionMatrix, null);
+            return;
+        }
+
+        // Blend entity transforms between the last two simulation ticks
+        const alpha = this.interpolationAlpha;
+
+        for (const view of this.getViews()) {
+            this.renderer.setViewport(view.x, view.y, view.width, view.height);
+
+            const viewMatrix = view.player.getViewMatrix(alpha);
+            const projectionMatrix = mat4.create();
+            mat4.perspective(projectionMatrix, Utils.degToRad(60), view.width / view.height, 0.1, 500);
+
+            // Draw skybox
+            this.renderer.drawSkybox(viewMatrix, projectionMatrix);
+
+            this.renderScene(viewMatrix, projectionMatrix, view.player);
+        }
+    }
+
+    // Split-screen layout in use, or null when there's a single view
+    getSplitLayout() {
+        if (!this.player2 || this.online || this.state === GameState.EDITOR || this.state === GameState.MENU) return null;
+        return this.config.splitLayout;
+    }
 
-        // Set up view and projection matrices
-        const viewMatrix = this.player.getViewMatrix();
-        const projectionMatrix = mat4.create();
-        const aspect = this.renderer.canvas.width / this.renderer.canvas.height;
-        mat4.perspective(projectionMatrix, Utils.degToRad(60), aspect, 0.1, 500);
+    // Screen area each player sees, in GL viewport coordinates (origin bottom left)
+    getViews() {
+        const { width, height } = this.renderer.canvas;
+        const layout = this.getSplitLayout();
+
+        if (layout === 'horizontal') {
+            const half = Math.floor(height / 2);
+            return [
+                { player: this.player, x: 0, y: height - half, width: width, height: half },
+                { player: this.player2, x: 0, y: 0, width: width, height: height - half }
+            ];
+        }
+        if (layout === 'vertical') {
+            const half = Math.floor(width / 2);
+            return [
+                { player: this.player, x: 0, y: 0, width: half, height: height },
+                { player: this.player2, x: half, y: 0, width: width - half, height: height }
+            ];
+        }
+        return [{ player: this.player, x: 0, y: 0, width: width, height: height }];
+    }
 
-        // Draw skybox
-        this.renderer.drawSkybox(viewMatrix, projectionMatrix);
+    // Draw the world from one camera. viewer is the player looking (their own
+    // tank only shows in third person), or null for the map editor.
+    renderScene(viewMatrix, projectionMatrix, viewer) {
+        const editing = viewer === null;
+        const alpha = this.interpolationAlpha;
 
         // Common uniforms
         const fogColor = this.alternateMode ? [0.4, 0.35, 0.25] : [0.1, 0.15, 0.1];
@@ -736,7 +2217,7 @@ class Game {
             uProjectionMatrix: projectionMatrix,
             uLightDirection: lightDir,
             uAmbientColor: ambientColor,
-            uFog: true,
+            uFog: !editing, // Fog would hide the whole map from the editor's height
             uFogColor: fogColor,
             uFogNear: 50,
             uFogFar: 150,
@@ -745,7 +2226,7 @@ class Game {
         });
 
         // Render ground
-        this.renderGround(viewMatrix, projectionMatrix, fogColor, lightDir);
+        this.renderGround(viewMatrix, projectionMatrix, fogColor, lightDir, !editing);
 
         // Render mountains
         for (const mountain of this.terrain.mountains) {
@@ -763,7 +2244,7 @@ class Game {
         }
 
         // Render obstacles
-        const xrayActive = this.powerupManager.isXRayActive();
+        const xrayActive = !editing && this.powerupManager.isXRayActive(viewer.id);
 
         for (const obstacle of this.terrain.obstacles) {
             const modelMatrix = mat4.create();
@@ -807,12 +2288,15 @@ class Game {
         for (const enemy of this.enemyManager.enemies) {
             if (!enemy.alive) continue;
 
-            const modelMatrix = enemy.getModelMatrix();
-            this.renderer.drawGeometry(
-                this.renderer.geometries.tank,
-                modelMatrix,
-                { uColor: enemy.color }
-            );
+            const modelMatrix = enemy.getModelMatrix(alpha);
+            this.renderer.drawTank(modelMatrix, 0, { uColor: Armor.getDamagedColor(enemy) }, enemy.type);
+        }
+
+        // Render wingmen
+        for (const ally of this.allyManager.allies) {
+            if (!ally.alive) continue;
+
+            this.renderer.drawTank(ally.getModelMatrix(alpha), 0, { uColor: Armor.getDamagedColor(ally) });
         }
 
         // Render UFO (flying saucer shape)
@@ -820,26 +2304,20 @@ class Game {
             const ufo = this.enemyManager.ufo;
             this.renderer.drawGeometry(
                 this.renderer.geometries.ufo, // Flying saucer geometry
-                ufo.getModelMatrix(),
-                { uColor: ufo.color }
+                ufo.getModelMatrix(alpha),
+                { uColor: Armor.getDamagedColor(ufo) }
             );
         }
 
-        // Render player (only in third person)
-        if (this.player.thirdPerson && this.player.alive && this.player.isVisible()) {
-            this.renderer.drawGeometry(
-                this.renderer.geometries.tank,
-                this.player.getModelMatrix(),
-                { uColor: this.player.color }
-            );
-        }
+        // Render players (the viewer's own tank only in third person)
+        for (const player of editing ? [] : this.getPlayers()) {
+            if (!player.alive || !player.isVisible()) continue;
+            if (player === viewer && !player.thirdPerson) continue;
 
-        // Render player 2
-        if (this.player2 && this.player2.alive && this.player2.isVisible()) {
-            this.renderer.drawGeometry(
-                this.renderer.geometries.tank,
-                this.player2.getModelMatrix(),
-                { uColor: this.player2.color }
+            this.renderer.drawTank(
+                player.getModelMatrix(alpha),
+                player.turretHeading,
+                { uColor: Armor.getDamagedColor(player) }
             );
         }
 
@@ -849,7 +2327,7 @@ class Game {
 
             this.renderer.drawGeometry(
                 this.renderer.geometries.projectile,
-                projectile.getModelMatrix(),
+                projectile.getModelMatrix(alpha),
                 { uColor: projectile.color }
             );
         }
@@ -881,9 +2359,13 @@ class Game {
 
         // Render particles (simplified - just points)
         this.renderParticles(viewMatrix, projectionMatrix);
+
+        if (editing) {
+            this.editor.renderOverlay(viewMatrix, projectionMatrix);
+        }
     }
 
-    renderGround(viewMatrix, projectionMatrix, fogColor, lightDir) {
+    renderGround(viewMatrix, projectionMatrix, fogColor, lightDir, fog = true) {
         // Switch to terrain shader
         this.renderer.useProgram(this.renderer.programs.terrain);
 
@@ -900,7 +2382,7 @@ class Game {
             uProjectionMatrix: projectionMatrix,
             uColorLow: groundColor,
             uColorHigh: groundColorHigh,
-            uFog: true,
+            uFog: fog,
             uFogColor: fogColor,
             uFogNear: 50,
             uFogFar: 150,
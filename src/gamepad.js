@@ -0,0 +1,162 @@
+// Battlezone - Gamepad Input (Gamepad API, "standard" button layout)
+//
+// Pads are polled once per frame. Each pad that appears takes the first free
+// player slot (0 = Player, 1 = Player2) and keeps it until it disconnects.
+// Sticks become analog player inputs (throttle, steer, aim: -1..1), buttons
+// are reported as held and as newly pressed this poll.
+
+const GamepadButton = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+const GamepadAxis = {
+    LEFT_X: 0,
+    LEFT_Y: 1,
+    RIGHT_X: 2,
+    RIGHT_Y: 3
+};
+
+class GamepadInput {
+    // source is anything with getGamepads() - the browser's navigator, or a FakeGamepadSource
+    constructor(source = (typeof navigator !== 'undefined' ? navigator : null)) {
+        this.source = source;
+        this.maxPlayers = 2;
+        this.assignments = []; // player slot -> pad index
+        this.previousButtons = {}; // pad index -> held flags from the last poll
+
+        this.deadzone = 0.2;
+        this.resolution = 20; // Analog values snap to 1/20 steps so replays only record real changes
+        this.triggerThreshold = 0.5;
+    }
+
+    isSupported() {
+        return !!(this.source && this.source.getGamepads);
+    }
+
+    // Returns { pads: [{ slot, throttle, steer, aim, held, pressed }], connected: [slots], disconnected: [slots] }
+    poll() {
+        const result = { pads: [], connected: [], disconnected: [] };
+        if (!this.isSupported()) return result;
+
+        const available = Array.from(this.source.getGamepads() || []).filter(pad => pad && pad.connected);
+        const indices = available.map(pad => pad.index);
+
+        // Pads that vanished free their slot
+        this.assignments.forEach((padIndex, slot) => {
+            if (padIndex !== null && !indices.includes(padIndex)) {
+                this.assignments[slot] = null;
+                delete this.previousButtons[padIndex];
+                result.disconnected.push(slot);
+            }
+        });
+
+        // New pads take the first free slot, in the order they appear
+        for (const pad of available) {
+            if (this.assignments.includes(pad.index)) continue;
+
+            const slot = this.findFreeSlot();
+            if (slot === -1) continue;
+
+            this.assignments[slot] = pad.index;
+            result.connected.push(slot);
+        }
+
+        for (const pad of available) {
+            const slot = this.assignments.indexOf(pad.index);
+            if (slot !== -1) {
+                result.pads.push(this.readPad(pad, slot));
+            }
+        }
+
+        return result;
+    }
+
+    findFreeSlot() {
+        for (let slot = 0; slot < this.maxPlayers; slot++) {
+            if (this.assignments[slot] === undefined || this.assignments[slot] === null) {
+                return slot;
+            }
+        }
+        return -1;
+    }
+
+    readPad(pad, slot) {
+        const held = pad.buttons.map(button => button.pressed || button.value > this.triggerThreshold);
+        const previous = this.previousButtons[pad.index] || [];
+        this.previousButtons[pad.index] = held;
+
+        const axis = (index) => this.shapeAxis(pad.axes[index] || 0);
+
+        return {
+            slot: slot,
+            throttle: -axis(GamepadAxis.LEFT_Y), // Stick up is negative
+            steer: axis(GamepadAxis.LEFT_X),
+            aim: -axis(GamepadAxis.RIGHT_Y),
+            held: held,
+            pressed: held.map((down, i) => down && !previous[i])
+        };
+    }
+
+    // Deadzone, rescaled so the usable range still starts at zero, then snapped
+    shapeAxis(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < this.deadzone) return 0;
+
+        const scaled = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone));
+        return Math.sign(value) * Math.round(scaled * this.resolution) / this.resolution;
+    }
+}
+
+// Scripted stand-in for navigator.getGamepads(), for headless runs and tests
+class FakeGamepadSource {
+    constructor() {
+        this.pads = [];
+    }
+
+    connect(index = this.pads.length) {
+        this.pads[index] = {
+            index: index,
+            id: `Fake Gamepad ${index + 1}`,
+            mapping: 'standard',
+            connected: true,
+            axes: [0, 0, 0, 0],
+            buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+        };
+        return this.pads[index];
+    }
+
+    disconnect(index) {
+        this.pads[index] = null;
+    }
+
+    setAxis(index, axis, value) {
+        this.pads[index].axes[axis] = value;
+    }
+
+    setButton(index, button, pressed) {
+        this.pads[index].buttons[button] = { pressed: pressed, value: pressed ? 1 : 0 };
+    }
+
+    getGamepads() {
+        return this.pads.slice();
+    }
+}
+
+// Make available globally
+window.GamepadButton = GamepadButton;
+window.GamepadAxis = GamepadAxis;
+window.GamepadInput = GamepadInput;
+window.FakeGamepadSource = FakeGamepadSource;
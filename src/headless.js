@@ -0,0 +1,75 @@
+// Battlezone - Headless Backends (no WebGL, DOM or Web Audio)
+
+// Calls each recorder keeps - long runs only remember the latest ones
+const RECORDED_CALLS_LIMIT = 1000;
+
+// Stand-in for Renderer, AudioManager or UI that accepts every call the real
+// class supports and records it, so scripted runs can assert on what happened.
+class RecordingBackend {
+    constructor(name, source, overrides = {}) {
+        this.name = name;
+        this.calls = [];
+
+        // Mirror every method of the real backend as a recorder
+        for (const method of Object.getOwnPropertyNames(source.prototype)) {
+            if (method === 'constructor') continue;
+
+            this[method] = (...args) => {
+                this.calls.push({ method: method, args: args });
+                if (this.calls.length > RECORDED_CALLS_LIMIT * 2) {
+                    this.calls.splice(0, this.calls.length - RECORDED_CALLS_LIMIT);
+                }
+                return overrides[method] ? overrides[method](...args) : undefined;
+            };
+        }
+    }
+
+    // Among the recorded calls (see RECORDED_CALLS_LIMIT)
+    count(method) {
+        return this.calls.filter(c => c.method === method).length;
+    }
+
+    last(method) {
+        for (let i = this.calls.length - 1; i >= 0; i--) {
+            if (this.calls[i].method === method) return this.calls[i];
+        }
+        return null;
+    }
+
+    clear() {
+        this.calls = [];
+    }
+}
+
+const Headless = {
+    createRenderer: function () {
+        return new RecordingBackend('renderer', Renderer);
+    },
+
+    createAudio: function () {
+        const audio = new RecordingBackend('audio', AudioManager);
+        audio.enabled = false;
+        return audio;
+    },
+
+    createUI: function () {
+        // Behaves like the menu seed field: empty means "pick a random one"
+        let seedInput = '';
+        return new RecordingBackend('ui', UI, {
+            getSeedInput: () => seedInput,
+            setSeedInput: (seed) => { seedInput = String(seed); }
+        });
+    },
+
+    createBackends: function () {
+        return {
+            renderer: Headless.createRenderer(),
+            audio: Headless.createAudio(),
+            ui: Headless.createUI()
+        };
+    }
+};
+
+// Make available globally
+window.RecordingBackend = RecordingBackend;
+window.Headless = Headless;
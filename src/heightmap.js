@@ -0,0 +1,57 @@
+// Battlezone - Heightmap Images (grayscale PNG import/export)
+//
+// Brightness maps linearly to elevation: black is the ground plane, white is
+// the terrain's maxElevation. Image row 0 is the north (-Z) edge of the map.
+
+const HeightMapImage = {
+    // Decode an image File into { data: 0..1 brightness per pixel, width, height }
+    readFile: function (file) {
+        return createImageBitmap(file).then(bitmap => {
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+            bitmap.close();
+
+            // Luminance, so colour images still import sensibly
+            const data = new Float32Array(canvas.width * canvas.height);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255;
+            }
+
+            return { data: data, width: canvas.width, height: canvas.height };
+        });
+    },
+
+    // Encode the terrain's heightmap as a grayscale PNG Blob
+    toBlob: function (terrain) {
+        const image = terrain.getHeightMapImage();
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(image.width, image.height);
+
+        for (let i = 0; i < image.data.length; i++) {
+            const value = Math.round(image.data[i] * 255);
+            imageData.data[i * 4] = value;
+            imageData.data[i * 4 + 1] = value;
+            imageData.data[i * 4 + 2] = value;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    },
+
+    download: function (terrain, filename) {
+        return HeightMapImage.toBlob(terrain).then(blob => Utils.downloadBlob(blob, filename));
+    }
+};
+
+// Make available globally
+window.HeightMapImage = HeightMapImage;
@@ -0,0 +1,348 @@
+// Battlezone - Level Definitions and Level Packs
+//
+// A level pack is { name, endless, levels: [...] }. Levels play in order; an
+// endless pack keeps replaying its last level, otherwise clearing the last
+// level wins the campaign. Every field of a level is optional:
+//
+//   {
+//     "name": "Outpost",
+//     "terrain": {                       // omit to keep the previous battlefield
+//       "maxElevation": 5,
+//       "mountains": { "count": 20, "minScale": 0.8, "maxScale": 1.5 },
+//       "obstacles": [{ "type": "cube", "position": [10, -20], "size": [4, 3, 4], "rotation": 0 }]
+//     },
+//     "enemies": {
+//       "initial": 3, "max": 5, "spawnInterval": 5,
+//       "roster": [{ "type": "tank", "weight": 1, "color": [0.5, 0.15, 0.1], "points": 100 }]
+//     },                                 // types: tank, scout, heavy, artillery, missile
+//     "ufo": { "enabled": true, "startChance": 0, "chancePerTick": 0.01 },
+//     "powerups": { "spawnInterval": 20, "max": 3, "table": { "shield": 1, "freeze": 1, "xray": 1, "speed": 1 } },
+//     "win": { "type": "destroyAll" }    // or kills/count, survive/seconds, score/points
+//   }
+//
+// "mountains" and "obstacles" take either generator settings (an object) or a
+// fixed layout (an array of pieces placed at [x, z]).
+
+const WinCondition = {
+    DESTROY_ALL: 'destroyAll',
+    KILLS: 'kills',
+    SURVIVE: 'survive',
+    SCORE: 'score'
+};
+
+const Levels = {
+    ENEMY_TYPES: Object.keys(EnemyClasses),
+    OBSTACLE_TYPES: ['cube', 'pyramid'],
+
+    // The number each win condition is measured against
+    WIN_PARAMETERS: {
+        [WinCondition.KILLS]: 'count',
+        [WinCondition.SURVIVE]: 'seconds',
+        [WinCondition.SCORE]: 'points'
+    },
+
+    // Values used for anything a level leaves out
+    DEFAULTS: {
+        name: '',
+        terrain: null,
+        enemies: {
+            initial: 3,
+            max: 5,
+            spawnInterval: 5,
+            roster: [{ type: 'tank', weight: 1 }]
+        },
+        ufo: {
+            enabled: true,
+            startChance: 0,
+            chancePerTick: 0.01
+        },
+        powerups: {
+            spawnInterval: 20,
+            max: 3,
+            table: { shield: 1, freeze: 1, xray: 1, speed: 1 }
+        },
+        win: { type: WinCondition.DESTROY_ALL }
+    },
+
+    // Fill in defaults section by section
+    normalize: function (level) {
+        const d = Levels.DEFAULTS;
+        return {
+            name: level.name || d.name,
+            terrain: level.terrain || d.terrain,
+            enemies: { ...d.enemies, ...level.enemies },
+            ufo: { ...d.ufo, ...level.ufo },
+            powerups: { ...d.powerups, ...level.powerups },
+            win: { ...(level.win || d.win) }
+        };
+    },
+
+    // Level definition for a 1-based level number (endless packs repeat the last one)
+    getLevel: function (pack, number) {
+        const index = Math.min(number, pack.levels.length) - 1;
+        return Levels.normalize(pack.levels[index]);
+    },
+
+    hasLevel: function (pack, number) {
+        return pack.endless || number <= pack.levels.length;
+    },
+
+    validatePack: function (pack) {
+        if (!pack || typeof pack !== 'object' || !Array.isArray(pack.levels)) {
+            throw new Error('Level pack must have a "levels" array');
+        }
+        if (pack.levels.length === 0) {
+            throw new Error('Level pack has no levels');
+        }
+        pack.levels.forEach((level, i) => Levels.validateLevel(level, i + 1));
+        return pack;
+    },
+
+    validateLevel: function (level, number) {
+        const where = `Level ${number}`;
+        if (!level || typeof level !== 'object') {
+            throw new Error(`${where} is not an object`);
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const fail = (message) => {
+            throw new Error(`${where}: ${message}`);
+        };
+
+        // Numbers a section may leave out (the defaults fill in), but not get wrong
+        const checkNumbers = (name, fields) => {
+            const section = level[name];
+            if (section === undefined) return;
+            if (!section || typeof section !== 'object') fail(`${name} must be an object`);
+            for (const field of fields) {
+                const value = section[field];
+                if (value !== undefined && !(isNumber(value) && value >= 0)) {
+                    fail(`${name}.${field} must be a number of 0 or more`);
+                }
+            }
+        };
+        checkNumbers('enemies', ['initial', 'max', 'spawnInterval']);
+        checkNumbers('ufo', ['startChance', 'chancePerTick']);
+        checkNumbers('powerups', ['spawnInterval', 'max']);
+
+        const roster = level.enemies && level.enemies.roster;
+        if (roster) {
+            if (!Array.isArray(roster) || roster.length === 0) {
+                fail('enemies.roster must be a non-empty array');
+            }
+            roster.forEach((entry, i) => {
+                if (!entry || !Levels.ENEMY_TYPES.includes(entry.type)) {
+                    fail(`unknown enemy type "${entry && entry.type}"`);
+                }
+                if (entry.weight !== undefined && !(isNumber(entry.weight) && entry.weight > 0)) {
+                    fail(`enemies.roster[${i}].weight must be a positive number`);
+                }
+            });
+        }
+
+        const table = level.powerups && level.powerups.table;
+        if (table) {
+            const types = Object.values(PowerUpType);
+            for (const type in table) {
+                if (!types.includes(type)) {
+                    fail(`unknown power-up type "${type}"`);
+                }
+                if (!(isNumber(table[type]) && table[type] >= 0)) {
+                    fail(`powerups.table.${type} must be a number of 0 or more`);
+                }
+            }
+        }
+
+        if (level.win) {
+            if (!Object.values(WinCondition).includes(level.win.type)) {
+                fail(`unknown win condition "${level.win.type}"`);
+            }
+            const parameter = Levels.WIN_PARAMETERS[level.win.type];
+            if (parameter && !(isNumber(level.win[parameter]) && level.win[parameter] > 0)) {
+                fail(`win.${parameter} must be a positive number for "${level.win.type}"`);
+            }
+        }
+
+        if (level.terrain) {
+            Levels.validateTerrain(level.terrain, where);
+        }
+    },
+
+    // A terrain layout as Terrain.generate() takes it - from a level or a
+    // map editor file
+    validateTerrain: function (terrain, where) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const isOptional = (value, test) => value === undefined || test(value);
+        const isPositive = (value) => isNumber(value) && value > 0;
+        const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+        const fail = (message) => {
+            throw new Error(`${where}: terrain.${message}`);
+        };
+
+        if (!isObject(terrain)) {
+            throw new Error(`${where}: terrain must be an object`);
+        }
+        if (!isOptional(terrain.maxElevation, value => isNumber(value) && value >= 0)) {
+            fail('maxElevation must be a number of 0 or more');
+        }
+
+        // Generator settings
+        const checkSettings = (name, settings, fields) => {
+            for (const field of fields) {
+                if (!isOptional(settings[field], value => isNumber(value) && value >= 0)) {
+                    fail(`${name}.${field} must be a number of 0 or more`);
+                }
+            }
+        };
+
+        if (Array.isArray(terrain.mountains)) {
+            terrain.mountains.forEach((m, i) => {
+                if (!isObject(m) || !isPoint(m.position)) fail(`mountains[${i}].position must be [x, z]`);
+                if (!isOptional(m.scale, isPositive)) fail(`mountains[${i}].scale must be a positive number`);
+                if (!isOptional(m.rotation, isNumber)) fail(`mountains[${i}].rotation must be a number`);
+            });
+        } else if (terrain.mountains !== undefined) {
+            if (!isObject(terrain.mountains)) fail('mountains must be an array or an object');
+            checkSettings('mountains', terrain.mountains, ['count', 'minScale', 'maxScale']);
+        }
+
+        if (Array.isArray(terrain.obstacles)) {
+            terrain.obstacles.forEach((o, i) => {
+                if (!isObject(o) || !isPoint(o.position)) fail(`obstacles[${i}].position must be [x, z]`);
+                if (!isOptional(o.type, type => Levels.OBSTACLE_TYPES.includes(type))) {
+                    fail(`obstacles[${i}].type must be one of ${Levels.OBSTACLE_TYPES.join(', ')}`);
+                }
+                const isSize = (size) => isPositive(size) ||
+                    (Array.isArray(size) && size.length === 3 && size.every(isPositive));
+                if (!isOptional(o.size, isSize)) fail(`obstacles[${i}].size must be a positive number or [w, h, d]`);
+                if (!isOptional(o.rotation, isNumber)) fail(`obstacles[${i}].rotation must be a number`);
+            });
+        } else if (terrain.obstacles !== undefined) {
+            if (!isObject(terrain.obstacles)) fail('obstacles must be an array or an object');
+            checkSettings('obstacles', terrain.obstacles, ['count', 'minSize', 'maxSize']);
+        }
+
+        // Map editor extras
+        if (terrain.heightMap) {
+            const size = terrain.heightMapSize;
+            if (!Number.isInteger(size) || size < 2) fail('heightMapSize must be a whole number of 2 or more');
+            if (!Array.isArray(terrain.heightMap) || !terrain.heightMap.every(isNumber)) {
+                fail('heightMap must be an array of numbers');
+            }
+            if (terrain.heightMap.length !== size * size) {
+                fail(`heightMap has ${terrain.heightMap.length} values, expected ${size}x${size}`);
+            }
+        }
+
+        if (terrain.spawnZones !== undefined) {
+            if (!isObject(terrain.spawnZones)) fail('spawnZones must be an object');
+            for (const kind of ['player', 'enemy']) {
+                const zones = terrain.spawnZones[kind];
+                if (zones === undefined) continue;
+                if (!Array.isArray(zones)) fail(`spawnZones.${kind} must be an array`);
+                zones.forEach((zone, i) => {
+                    if (!isObject(zone) || !isPoint(zone.position) || !isPositive(zone.radius)) {
+                        fail(`spawnZones.${kind}[${i}] must have a position [x, z] and a positive radius`);
+                    }
+                });
+            }
+        }
+    },
+
+    // Turn a manifest into a full pack. String entries are level files, fetched
+    // through load(name) in the order they are listed.
+    resolvePack: function (manifest, load) {
+        const entries = manifest.levels || [];
+        return Promise.all(entries.map(entry => typeof entry === 'string' ? load(entry) : entry))
+            .then(levels => Levels.validatePack({
+                name: manifest.name || 'Custom',
+                endless: !!manifest.endless,
+                levels: levels
+            }));
+    },
+
+    // Load a manifest over HTTP; level files are relative to it
+    fetchPack: function (url) {
+        const getJSON = (fileUrl) => fetch(fileUrl).then(response => {
+            if (!response.ok) throw new Error(`Could not load ${fileUrl}`);
+            return response.json();
+        });
+
+        return getJSON(url).then(manifest => {
+            return Levels.resolvePack(manifest, name => getJSON(new URL(name, new URL(url, location.href)).href));
+        });
+    },
+
+    // Load from files picked in the menu: a manifest plus the level files it
+    // names, or just level files, which then play in file name order
+    loadFiles: function (files) {
+        const sorted = Array.from(files).sort((a, b) => a.name.localeCompare(b.name));
+
+        return Promise.all(sorted.map(file => Utils.readJSONFile(file))).then(parsed => {
+            const byName = {};
+            sorted.forEach((file, i) => { byName[file.name] = parsed[i]; });
+
+            const manifest = parsed.find(data => Array.isArray(data.levels));
+            if (manifest) {
+                return Levels.resolvePack(manifest, name => {
+                    const fileName = name.split('/').pop();
+                    if (!byName[fileName]) throw new Error(`Level file "${fileName}" was not selected`);
+                    return byName[fileName];
+                });
+            }
+
+            return Levels.resolvePack({ name: 'Custom', levels: parsed }, null);
+        });
+    }
+};
+
+// Built-in campaign: the original progression, repeating level 5 forever.
+// A new enemy class joins the roster on each level after the first.
+const LevelPacks = {
+    classic: {
+        name: 'Classic',
+        endless: true,
+        levels: [
+            { enemies: { initial: 3, max: 5 } },
+            {
+                enemies: {
+                    initial: 5, max: 5,
+                    roster: [{ type: 'tank', weight: 3 }, { type: 'scout', weight: 1 }]
+                }
+            },
+            {
+                enemies: {
+                    initial: 6, max: 6,
+                    roster: [{ type: 'tank', weight: 3 }, { type: 'scout', weight: 2 }, { type: 'heavy', weight: 1 }]
+                },
+                ufo: { startChance: 0.5 }
+            },
+            {
+                enemies: {
+                    initial: 7, max: 7,
+                    roster: [
+                        { type: 'tank', weight: 3 }, { type: 'scout', weight: 2 },
+                        { type: 'heavy', weight: 1 }, { type: 'artillery', weight: 1 }
+                    ]
+                },
+                ufo: { startChance: 0.5 }
+            },
+            {
+                enemies: {
+                    initial: 8, max: 8,
+                    roster: [
+                        { type: 'tank', weight: 3 }, { type: 'scout', weight: 2 }, { type: 'heavy', weight: 2 },
+                        { type: 'artillery', weight: 1 }, { type: 'missile', weight: 1 }
+                    ]
+                },
+                ufo: { startChance: 0.5 }
+            }
+        ]
+    }
+};
+
+// Make available globally
+window.WinCondition = WinCondition;
+window.Levels = Levels;
+window.LevelPacks = LevelPacks;
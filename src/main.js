@@ -20,11 +20,15 @@
         // Set canvas size
         resizeCanvas(canvas);
 
+        // Optional seed from the URL, e.g. index.html?seed=1234
+        const params = new URLSearchParams(window.location.search);
+
         // Create game instance
         game = new Game({
             use3DGameplay: true,   // ENABLED: Terrain elevation active
             useBallistics: false,  // Use straight-line projectiles per requirements
-            enableSecondPlayer: false  // Set to true for second player
+            enableSecondPlayer: false,  // Set to true for second player
+            seed: params.get('seed')
         });
 
         // Initialize game
@@ -36,11 +40,20 @@
             return;
         }
 
+        // Optional campaign from the URL, e.g. index.html?levels=levels/example/pack.json
+        const levelsUrl = params.get('levels');
+        if (levelsUrl) {
+            Levels.fetchPack(levelsUrl)
+                .then(pack => game.setLevelPack(pack))
+                .catch(err => console.error('Failed to load level pack:', err));
+        }
+
         // Handle window resize
         window.addEventListener('resize', () => {
             resizeCanvas(canvas);
             if (game && game.renderer) {
                 game.renderer.resize();
+                game.ui.init(); // Radar size can change with the layout (touch, orientation)
             }
         });
 
@@ -81,15 +94,15 @@
         setLevel: (level) => {
             if (game) {
                 game.level = level;
+                game.levelDef = Levels.getLevel(game.levelPack, level);
                 game.ui.updateLevel(level);
-                game.enemyManager.reset(game.terrain, game.player, level, 3 + level);
+                game.setupLevel();
                 console.log('Level set to:', level);
             }
         },
         addScore: (points) => {
             if (game) {
-                game.score += points;
-                game.ui.updateScore(game.score);
+                game.addScore(points);
             }
         },
         toggleBallistics: () => {
@@ -111,7 +124,7 @@
         },
         spawnUFO: () => {
             if (game) {
-                game.enemyManager.spawnUFO(game.terrain);
+                game.spawnUFO();
                 console.log('UFO spawned');
             }
         },
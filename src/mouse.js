@@ -0,0 +1,97 @@
+// Battlezone - Mouse Aiming (pointer lock)
+//
+// With mouse aim on, clicking the game captures the pointer. Moving the mouse
+// traverses the turret (X) and raises or lowers the barrel (Y); left click
+// fires the cannon and right click the guided missile. Movement is summed into
+// the one-shot aimYaw/aimPitch inputs, so replays see it like any other input.
+
+class MouseAim {
+    constructor(game) {
+        this.game = game;
+        this.settings = Controls.loadMouse();
+
+        this.canvas = null;
+        this.locked = false;
+
+        this.yawScale = 0.0025; // Radians per pixel at sensitivity 1
+        this.pitchScale = 0.0015;
+        this.resolution = 10000; // Deltas are rounded so replays stay compact
+    }
+
+    setupInput(canvas) {
+        this.canvas = canvas;
+        if (!canvas.requestPointerLock) return;
+
+        canvas.addEventListener('click', () => {
+            if (this.canCapture()) {
+                canvas.requestPointerLock();
+            }
+        });
+
+        document.addEventListener('pointerlockchange', () => this.onLockChange());
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    // Only a live game (not menus or replays) takes the pointer
+    canCapture() {
+        const game = this.game;
+        return this.settings.enabled && game.state === GameState.PLAYING && !game.replay;
+    }
+
+    onLockChange() {
+        this.locked = document.pointerLockElement === this.canvas;
+
+        // ESC releases the lock in the browser, so treat that as a pause
+        if (!this.locked && this.game.state === GameState.PLAYING && !this.game.replay) {
+            this.game.pause();
+        }
+    }
+
+    // Called every frame: let the pointer go once play stops
+    update() {
+        if (this.locked && !this.canCapture()) {
+            document.exitPointerLock();
+        }
+    }
+
+    onMouseMove(e) {
+        if (!this.locked || !this.canCapture()) return;
+
+        const input = this.game.player.input;
+        const sensitivity = this.settings.sensitivity;
+        const invert = this.settings.invertY ? 1 : -1; // Mouse down lowers the barrel unless inverted
+
+        input.aimYaw = this.snap(input.aimYaw - e.movementX * this.yawScale * sensitivity);
+        input.aimPitch = this.snap(input.aimPitch + e.movementY * this.pitchScale * sensitivity * invert);
+    }
+
+    onMouseDown(e) {
+        if (!this.locked || !this.canCapture()) return;
+
+        e.preventDefault();
+        if (e.button === 0) {
+            this.game.player.input.shoot = true;
+        } else if (e.button === 2) {
+            this.game.player.input.missile = true;
+        }
+    }
+
+    snap(value) {
+        return Math.round(value * this.resolution) / this.resolution;
+    }
+
+    // Settings changes from the controls menu
+    configure(changes) {
+        this.settings = { ...this.settings, ...changes };
+        Controls.saveMouse(this.settings);
+
+        if (!this.settings.enabled && this.locked) {
+            document.exitPointerLock();
+        }
+    }
+}
+
+// Make available globally
+window.MouseAim = MouseAim;
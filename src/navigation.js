@@ -0,0 +1,336 @@
+// Battlezone - Navigation Grid (A* paths around obstacles and mountains)
+//
+// The battlefield is cut into square cells. A cell is blocked when a tank
+// standing in its middle would touch an obstacle or a mountain, or would be
+// outside the area tanks are kept in. Paths are found with A* over the free
+// cells (eight directions, no cutting corners), then smoothed by dropping
+// every waypoint the tank can skip in a straight line.
+//
+// The grid only knows the map, not the tanks - steering around each other
+// is left to the tanks (see EnemyTank.steerAround).
+
+const NAV_CELL_SIZE = 2;
+const NAV_CLEARANCE = 2.5;      // Tank collision radius plus a little room
+const NAV_BOUNDS_MARGIN = 15;   // Same margin EnemyTank.update clamps to
+const NAV_MAX_EXPANSIONS = 4000; // Give up (with a partial path) on huge searches
+const NAV_SNAP_RADIUS = 8;      // Cells searched for a free one around a blocked end
+
+class NavGrid {
+    constructor(cellSize = NAV_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.columns = 0;
+        this.rows = 0;
+        this.minX = 0;
+        this.minZ = 0;
+        this.blocked = new Uint8Array(0);
+
+        // Scratch space for searches, sized on build
+        this.cost = new Float64Array(0);
+        this.parent = new Int32Array(0);
+        this.visited = new Uint32Array(0); // Search number that last touched the cell
+        this.closed = new Uint32Array(0);
+        this.search = 0;
+    }
+
+    // Mark the cells blocked by the terrain's obstacles and mountains
+    build(terrain) {
+        const size = this.cellSize;
+        this.minX = terrain.bounds.minX;
+        this.minZ = terrain.bounds.minZ;
+        this.columns = Math.ceil((terrain.bounds.maxX - this.minX) / size);
+        this.rows = Math.ceil((terrain.bounds.maxZ - this.minZ) / size);
+
+        const count = this.columns * this.rows;
+        this.blocked = new Uint8Array(count);
+        this.cost = new Float64Array(count);
+        this.parent = new Int32Array(count);
+        this.visited = new Uint32Array(count);
+        this.closed = new Uint32Array(count);
+        this.search = 0;
+
+        // Same radii the tanks collide with
+        const circles = [
+            ...terrain.obstacles.map(o => ({ x: o.position[0], z: o.position[2], radius: Math.max(o.size[0], o.size[2]) * 0.8 })),
+            ...terrain.mountains.map(m => ({ x: m.position[0], z: m.position[2], radius: 8 * m.scale }))
+        ];
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.columns; col++) {
+                const x = this.minX + (col + 0.5) * size;
+                const z = this.minZ + (row + 0.5) * size;
+
+                let blocked = !terrain.isInBounds(x, z, NAV_BOUNDS_MARGIN);
+                for (let i = 0; i < circles.length && !blocked; i++) {
+                    const c = circles[i];
+                    blocked = Collision.pointVsCircle(x, z, c.x, c.z, c.radius + NAV_CLEARANCE);
+                }
+                this.blocked[row * this.columns + col] = blocked ? 1 : 0;
+            }
+        }
+    }
+
+    isReady() {
+        return this.blocked.length > 0;
+    }
+
+    // Cell index under a world position (clamped onto the grid)
+    cellAt(x, z) {
+        const col = Utils.clamp(Math.floor((x - this.minX) / this.cellSize), 0, this.columns - 1);
+        const row = Utils.clamp(Math.floor((z - this.minZ) / this.cellSize), 0, this.rows - 1);
+        return row * this.columns + col;
+    }
+
+    // [x, z] of a cell's middle
+    cellCenter(cell) {
+        const col = cell % this.columns;
+        const row = Math.floor(cell / this.columns);
+        return [this.minX + (col + 0.5) * this.cellSize, this.minZ + (row + 0.5) * this.cellSize];
+    }
+
+    isBlocked(x, z) {
+        return this.blocked[this.cellAt(x, z)] === 1;
+    }
+
+    // Whether a tank can drive straight from a to b ([x, z] or [x, y, z])
+    isWalkable(a, b) {
+        const ax = a[0];
+        const az = a[a.length - 1];
+        const dx = b[0] - ax;
+        const dz = b[b.length - 1] - az;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dz * dz) / (this.cellSize * 0.5));
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (this.isBlocked(ax + dx * t, az + dz * t)) return false;
+        }
+        return true;
+    }
+
+    // The nearest free cell, searching outwards ring by ring (-1 for none)
+    nearestFree(cell) {
+        if (!this.blocked[cell]) return cell;
+
+        const col = cell % this.columns;
+        const row = Math.floor(cell / this.columns);
+
+        for (let ring = 1; ring <= NAV_SNAP_RADIUS; ring++) {
+            let best = -1;
+            let bestDist = Infinity;
+
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+                    if (r < 0 || c < 0 || r >= this.rows || c >= this.columns) continue;
+
+                    const index = r * this.columns + c;
+                    const dist = (r - row) * (r - row) + (c - col) * (c - col);
+                    if (!this.blocked[index] && dist < bestDist) {
+                        best = index;
+                        bestDist = dist;
+                    }
+                }
+            }
+            if (best !== -1) return best;
+        }
+        return -1;
+    }
+
+    // Waypoints [[x, z], ...] from one position to another, not including the
+    // start. Blocked ends move to the nearest free cell; when the goal can't
+    // be reached the path leads to the closest place that can. Empty for none.
+    findPath(from, to) {
+        if (!this.isReady()) return [];
+
+        const fromX = from[0], fromZ = from[from.length - 1];
+        const toX = to[0], toZ = to[to.length - 1];
+
+        const start = this.nearestFree(this.cellAt(fromX, fromZ));
+        const goal = this.nearestFree(this.cellAt(toX, toZ));
+        if (start === -1 || goal === -1) return [];
+
+        // Real ends if they're on open ground, otherwise the free cells next to them
+        const end = goal === this.cellAt(toX, toZ) ? [toX, toZ] : this.cellCenter(goal);
+        const startOpen = start === this.cellAt(fromX, fromZ);
+        const origin = startOpen ? [fromX, fromZ] : this.cellCenter(start);
+        const path = startOpen ? [] : [origin];
+
+        if (this.isWalkable(origin, end)) {
+            path.push(end);
+            return path;
+        }
+
+        const reached = this.runSearch(start, goal);
+        const points = this.tracePath(reached, start).map(cell => this.cellCenter(cell));
+        if (reached === goal && points.length > 0) {
+            points[points.length - 1] = end;
+        }
+
+        return path.concat(this.smoothPath(origin, points));
+    }
+
+    // A* from start to goal; returns the goal, or the closest cell reached
+    runSearch(start, goal) {
+        // Wrap the search counter around (once in a very long while)
+        if (this.search === 0xffffffff) {
+            this.visited.fill(0);
+            this.closed.fill(0);
+            this.search = 0;
+        }
+
+        const search = ++this.search;
+        const columns = this.columns;
+        const goalCol = goal % columns;
+        const goalRow = Math.floor(goal / columns);
+
+        // Octile distance - exact on open ground with diagonal moves
+        const heuristic = (cell) => {
+            const dc = Math.abs(cell % columns - goalCol);
+            const dr = Math.abs(Math.floor(cell / columns) - goalRow);
+            return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+        };
+
+        const open = new NavHeap();
+        this.cost[start] = 0;
+        this.parent[start] = -1;
+        this.visited[start] = search;
+        open.push(start, heuristic(start));
+
+        let closest = start;
+        let closestDist = heuristic(start);
+        let expansions = 0;
+
+        while (open.size() > 0 && expansions < NAV_MAX_EXPANSIONS) {
+            const cell = open.pop();
+            if (this.closed[cell] === search) continue;
+            this.closed[cell] = search;
+            expansions++;
+
+            if (cell === goal) return goal;
+
+            const h = heuristic(cell);
+            if (h < closestDist) {
+                closest = cell;
+                closestDist = h;
+            }
+
+            const col = cell % columns;
+            const row = Math.floor(cell / columns);
+
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+
+                    const c = col + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || c >= columns || r >= this.rows) continue;
+
+                    const next = r * columns + c;
+                    if (this.blocked[next] || this.closed[next] === search) continue;
+
+                    // Diagonals may not squeeze between two blocked cells
+                    if (dr !== 0 && dc !== 0 &&
+                        (this.blocked[row * columns + c] || this.blocked[r * columns + col])) {
+                        continue;
+                    }
+
+                    const cost = this.cost[cell] + (dr !== 0 && dc !== 0 ? Math.SQRT2 : 1);
+                    if (this.visited[next] !== search || cost < this.cost[next]) {
+                        this.visited[next] = search;
+                        this.cost[next] = cost;
+                        this.parent[next] = cell;
+                        open.push(next, cost + heuristic(next));
+                    }
+                }
+            }
+        }
+
+        return closest;
+    }
+
+    // Cells from just after start to the given cell
+    tracePath(cell, start) {
+        const cells = [];
+        while (cell !== start && cell !== -1) {
+            cells.push(cell);
+            cell = this.parent[cell];
+        }
+        return cells.reverse();
+    }
+
+    // Keep only the waypoints needed to steer around things
+    smoothPath(start, points) {
+        const smoothed = [];
+        let anchor = start;
+        let i = 0;
+
+        while (i < points.length) {
+            // Furthest waypoint still in a straight line from the anchor
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.isWalkable(anchor, points[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+        return smoothed;
+    }
+}
+
+// Binary min-heap of cells keyed by their A* score. Equal scores come out
+// in the order they went in, so paths are the same on every machine.
+class NavHeap {
+    constructor() {
+        this.items = [];
+        this.counter = 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(cell, score) {
+        const items = this.items;
+        items.push({ cell: cell, score: score, order: this.counter++ });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top.cell;
+    }
+
+    less(a, b) {
+        return a.score < b.score || (a.score === b.score && a.order < b.order);
+    }
+}
+
+// Make available globally
+window.NavGrid = NavGrid;
@@ -0,0 +1,284 @@
+// Battlezone - Networked Multiplayer: protocol, socket and snapshot buffer
+//
+// Online games run on tools/server.js, which steps the real simulation for
+// each room. Clients send their input every tick and get back snapshots of
+// the world 20 times a second. Everything is JSON over a WebSocket:
+//
+//   client -> server                          server -> client
+//   { type: 'create', version, settings }     { type: 'joined', room, slot, token }
+//   { type: 'join', version, room, token? }   { type: 'lobby', room, slot, players, running }
+//   { type: 'start' }                         { type: 'level', level, terrain, config, players }
+//   { type: 'next' }                          { type: 'snapshot', ack, tick, ... events }
+//   { type: 'input', seq, input }             { type: 'error', message }
+//   { type: 'leave' }
+//
+// The token from 'joined' lets a dropped player take their slot back. The
+// slot in 'lobby' is the receiver's own, which changes if the other player
+// leaves before the game starts.
+
+const NetProtocol = {
+    VERSION: 1,
+    DEFAULT_PORT: 8080,
+    MAX_PLAYERS: 2,
+
+    ROOM_CODE_LENGTH: 4,
+    ROOM_CODE_CHARS: 'ABCDEFGHJKLMNPQRSTUVWXYZ', // No I or O to misread
+
+    SNAPSHOT_INTERVAL: 3,     // Ticks between snapshots (20 per second)
+    INTERPOLATION_DELAY: 6,   // Ticks remote objects are drawn behind the newest snapshot
+    MAX_AIM_DELTA: 0.5,       // Largest mouse turret turn accepted in one tick (radians)
+
+    HELD_INPUTS: ['forward', 'backward', 'left', 'right', 'turretUp', 'turretDown'],
+    ANALOG_INPUTS: ['throttle', 'steer', 'aim'],
+    PRESS_INPUTS: ['shoot', 'missile', 'orderFollow', 'orderHold', 'orderAttack'], // Act once, then clear
+
+    // Upper-case a typed room code; '' if it can't be one
+    normalizeRoomCode: function (code) {
+        const text = String(code || '').trim().toUpperCase();
+        const valid = text.length === NetProtocol.ROOM_CODE_LENGTH &&
+            [...text].every(c => NetProtocol.ROOM_CODE_CHARS.includes(c));
+        return valid ? text : '';
+    },
+
+    // One tick of a player's controls, leaving out everything that is off
+    readInput: function (input) {
+        const result = {};
+        for (const name of NetProtocol.HELD_INPUTS) {
+            if (input[name]) result[name] = 1;
+        }
+        for (const name of [...NetProtocol.ANALOG_INPUTS, 'aimYaw', 'aimPitch']) {
+            if (input[name]) result[name] = input[name];
+        }
+        for (const name of NetProtocol.PRESS_INPUTS) {
+            if (input[name]) result[name] = 1;
+        }
+        return result;
+    },
+
+    // Input from the wire can't be trusted: keep known fields, clamp the numbers
+    sanitizeInput: function (input) {
+        const result = {};
+        if (!input || typeof input !== 'object') return result;
+
+        const number = (value, limit) => (typeof value === 'number' && isFinite(value)) ?
+            Utils.clamp(value, -limit, limit) : 0;
+
+        for (const name of NetProtocol.HELD_INPUTS) {
+            if (input[name]) result[name] = 1;
+        }
+        for (const name of NetProtocol.ANALOG_INPUTS) {
+            const value = number(input[name], 1);
+            if (value) result[name] = value;
+        }
+        for (const name of ['aimYaw', 'aimPitch']) {
+            const value = number(input[name], NetProtocol.MAX_AIM_DELTA);
+            if (value) result[name] = value;
+        }
+        for (const name of NetProtocol.PRESS_INPUTS) {
+            if (input[name]) result[name] = 1;
+        }
+        return result;
+    },
+
+    // Held and analog controls are replaced; presses and aim deltas add up until
+    // Game.processInput uses them
+    applyInput: function (target, input) {
+        for (const name of NetProtocol.HELD_INPUTS) {
+            target[name] = !!input[name];
+        }
+        for (const name of NetProtocol.ANALOG_INPUTS) {
+            target[name] = input[name] || 0;
+        }
+        for (const name of NetProtocol.PRESS_INPUTS) {
+            if (input[name]) target[name] = true;
+        }
+        target.aimYaw = (target.aimYaw || 0) + (input.aimYaw || 0);
+        target.aimPitch = (target.aimPitch || 0) + (input.aimPitch || 0);
+    },
+
+    // Moving parts of the world (the terrain only goes out with each level)
+    buildSnapshot: function (game) {
+        const ufo = game.enemyManager.ufo;
+        return {
+            type: 'snapshot',
+            tick: game.tick,
+            state: game.state,
+            level: game.level,
+            time: game.levelTime,
+            score: game.score,
+            players: game.getPlayers().map(p => ({ id: p.id, ...p.serialize() })),
+            enemies: game.enemyManager.enemies.filter(e => e.alive).map(e => e.serialize()),
+            allies: game.allyManager.getAlive().map(a => a.serialize()),
+            ufo: ufo && ufo.alive ? ufo.serialize() : null,
+            projectiles: game.projectileManager.serialize(),
+            powerups: game.powerupManager.serialize()
+        };
+    },
+
+    // Game events as plain data - objects become ids, the client looks them up again
+    packEvent: function (type, payload) {
+        const id = (entity) => entity ? entity.id : null;
+
+        switch (type) {
+            case GameEvent.SHOT_FIRED:
+            case GameEvent.MISSILE_LAUNCHED:
+                return { type: type, ownerId: id(payload.owner) };
+            case GameEvent.ENEMY_DESTROYED:
+                return {
+                    type: type,
+                    enemyId: payload.enemy.id,
+                    position: [...payload.enemy.position],
+                    ufo: payload.enemy instanceof UFO,
+                    points: payload.points
+                };
+            case GameEvent.OBSTACLE_HIT:
+                return { type: type, position: [...payload.projectile.position] };
+            case GameEvent.TANK_DAMAGED:
+                return {
+                    type: type,
+                    targetId: payload.target.id,
+                    position: [...payload.projectile.position],
+                    damage: payload.damage,
+                    face: payload.face
+                };
+            case GameEvent.PLAYER_HIT:
+                return { type: type, playerId: id(payload.player), killerId: id(payload.killer) };
+            case GameEvent.PLAYER_OUT:
+                return { type: type, playerId: id(payload.player) };
+            case GameEvent.PLAYER_RESPAWNED:
+                return { type: type, playerId: id(payload.player), position: [...payload.position] };
+            case GameEvent.POWERUP_COLLECTED:
+                return { type: type, playerId: id(payload.player), powerup: payload.powerup.type };
+            case GameEvent.SCORE_CHANGED:
+                return { type: type, score: payload.score, delta: payload.delta, playerId: id(payload.player) };
+            case GameEvent.LIVES_CHANGED:
+                return { type: type, lives: payload.lives, playerId: id(payload.player) };
+            case GameEvent.UFO_SPAWNED:
+                return { type: type };
+            case GameEvent.ALLY_DESTROYED:
+                return { type: type, allyId: payload.ally.id, position: [...payload.ally.position] };
+            case GameEvent.ALLY_ORDERED:
+                return { type: type, order: payload.order, playerId: id(payload.player) };
+            case GameEvent.MATCH_OVER:
+                return { type: type, winnerId: id(payload.winner), reason: payload.reason };
+            case GameEvent.GAME_STARTED:
+            case GameEvent.LEVEL_STARTED:
+            case GameEvent.LEVEL_COMPLETE:
+            case GameEvent.GAME_OVER:
+                return { type: type, ...payload };
+            default:
+                return null;
+        }
+    }
+};
+
+// Browser side of the connection. handlers: { open, message(data), close(event) }
+class NetworkClient {
+    constructor(address, handlers, WebSocketClass = window.WebSocket) {
+        this.url = NetworkClient.getUrl(address);
+        this.handlers = handlers;
+        this.socket = new WebSocketClass(this.url);
+
+        this.socket.onopen = () => this.handlers.open();
+        this.socket.onclose = (e) => this.handlers.close(e);
+        this.socket.onmessage = (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.data);
+            } catch (err) {
+                console.warn('Ignoring bad message from server:', err);
+                return;
+            }
+            this.handlers.message(data);
+        };
+    }
+
+    // "host:port", "host" or a full ws:// URL
+    static getUrl(address) {
+        const text = String(address || '').trim();
+        if (/^wss?:\/\//.test(text)) return text;
+
+        const secure = typeof location !== 'undefined' && location.protocol === 'https:';
+        const host = text || `localhost:${NetProtocol.DEFAULT_PORT}`;
+        return `${secure ? 'wss' : 'ws'}://${host}${host.includes(':') ? '' : ':' + NetProtocol.DEFAULT_PORT}/`;
+    }
+
+    isOpen() {
+        return this.socket.readyState === 1;
+    }
+
+    send(message) {
+        if (this.isOpen()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        this.socket.onclose = null;
+        this.socket.close();
+    }
+}
+
+// Recent snapshots, for drawing remote objects a little in the past
+class SnapshotBuffer {
+    constructor(size = 30) {
+        this.size = size;
+        this.snapshots = [];
+    }
+
+    push(snapshot) {
+        // Late arrivals are useless once newer ones are here
+        const latest = this.latest();
+        if (latest && snapshot.tick <= latest.tick) return;
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.size) {
+            this.snapshots.shift();
+        }
+    }
+
+    latest() {
+        return this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1] : null;
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+
+    // Objects from getList(snapshot) as they were at a (fractional) tick, their
+    // positions blended between the snapshots either side. Objects that only
+    // exist in the later one appear where it has them.
+    sample(tick, getList) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return [];
+
+        let after = snapshots.findIndex(s => s.tick >= tick);
+        if (after === -1) return getList(snapshots[snapshots.length - 1]);
+        if (after === 0) return getList(snapshots[0]);
+
+        const from = snapshots[after - 1];
+        const to = snapshots[after];
+        const t = (tick - from.tick) / (to.tick - from.tick);
+        const previous = new Map(getList(from).map(item => [item.id, item]));
+
+        return getList(to).map(item => {
+            const old = previous.get(item.id);
+            if (!old) return item;
+
+            return {
+                ...item,
+                position: [
+                    Utils.lerp(old.position[0], item.position[0], t),
+                    Utils.lerp(old.position[1], item.position[1], t),
+                    Utils.lerp(old.position[2], item.position[2], t)
+                ],
+                rotation: Utils.lerpAngle(old.rotation, item.rotation, t)
+            };
+        });
+    }
+}
+
+// Make available globally
+window.NetProtocol = NetProtocol;
+window.NetworkClient = NetworkClient;
+window.SnapshotBuffer = SnapshotBuffer;
@@ -0,0 +1,490 @@
+// Battlezone - Online Session (client side of a networked game)
+//
+// The server runs the real game; this side only draws it. The local tank is
+// predicted: every tick its input is sent off and also applied here straight
+// away, and when a snapshot says where the server had it, the inputs the
+// server hasn't seen yet are replayed on top. Everything else (the other
+// player, enemies, shots) is drawn a few ticks in the past, blended between
+// the two snapshots either side of that moment.
+
+class OnlineSession {
+    constructor(game) {
+        this.game = game;
+        this.client = null;
+
+        // Lobby
+        this.room = null;
+        this.slot = 0;
+        this.token = null;
+        this.lobby = null;
+        this.inGame = false;
+
+        // Reconnecting after a dropped connection
+        this.leaving = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 3;
+        this.reconnectTimer = null;
+
+        // Prediction: inputs the server hasn't acknowledged yet
+        this.seq = 0;
+        this.pending = [];
+        this.predictInput = {};
+
+        // Interpolation of everything else
+        this.snapshots = new SnapshotBuffer();
+        this.renderTick = 0;
+    }
+
+    // Open a new room with this browser's game settings
+    create(address, settings) {
+        this.connect(address, { type: 'create', version: NetProtocol.VERSION, settings: settings });
+    }
+
+    join(address, room) {
+        this.connect(address, { type: 'join', version: NetProtocol.VERSION, room: room });
+    }
+
+    connect(address, firstMessage) {
+        this.address = address;
+        this.client = new NetworkClient(address, {
+            open: () => {
+                this.reconnectAttempts = 0;
+                this.client.send(firstMessage);
+            },
+            message: (data) => this.onMessage(data),
+            close: () => this.onClose()
+        });
+    }
+
+    send(message) {
+        if (this.client) {
+            this.client.send(message);
+        }
+    }
+
+    // Walk away for good - no reconnecting
+    close() {
+        this.leaving = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.client) {
+            this.send({ type: 'leave' });
+            this.client.close();
+            this.client = null;
+        }
+    }
+
+    onClose() {
+        if (this.leaving) return;
+
+        // Never got into a room - nothing to go back to
+        if (!this.token || this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.game.leaveOnline(this.token ? 'CONNECTION LOST' : 'COULD NOT REACH SERVER');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        this.game.ui.showStatus('CONNECTION LOST - RECONNECTING...', 3000);
+        this.reconnectTimer = setTimeout(() => {
+            this.connect(this.address, {
+                type: 'join',
+                version: NetProtocol.VERSION,
+                room: this.room,
+                token: this.token
+            });
+        }, 1000 * this.reconnectAttempts);
+    }
+
+    onMessage(data) {
+        switch (data.type) {
+            case 'joined':
+                this.room = data.room;
+                this.slot = data.slot;
+                this.token = data.token;
+                break;
+            case 'lobby':
+                this.onLobby(data);
+                break;
+            case 'level':
+                if (!this.inGame) {
+                    this.enterGame(data.players);
+                }
+                this.loadLevel(data);
+                break;
+            case 'snapshot':
+                if (this.inGame) {
+                    this.onSnapshot(data);
+                }
+                break;
+            case 'error':
+                this.game.leaveOnline(String(data.message).toUpperCase());
+                break;
+        }
+    }
+
+    onLobby(data) {
+        const previous = this.lobby;
+        this.lobby = data;
+
+        // Someone left the lobby and we moved up
+        if (typeof data.slot === 'number') {
+            this.slot = data.slot;
+        }
+
+        // Let the other player know when their partner drops or comes back
+        if (previous && this.inGame) {
+            const partner = (lobby) => lobby.players.find(p => p.slot !== this.slot);
+            const before = partner(previous);
+            const now = partner(data);
+            if (before && !now) {
+                this.game.ui.showStatus('PARTNER LEFT THE GAME', 3000);
+            } else if (before && now && before.connected !== now.connected) {
+                this.game.ui.showStatus(now.connected ? 'PARTNER RECONNECTED' : 'PARTNER DISCONNECTED', 3000);
+            }
+        }
+
+        this.game.ui.updateOnlineLobby(data, this.slot);
+    }
+
+    // Swap in player objects for the two ends of the connection: the local
+    // tank is always game.player (camera, HUD, keys), the other one is player2
+    enterGame(playerCount) {
+        const game = this.game;
+        const LocalClass = this.slot === 0 ? Player : Player2;
+        const RemoteClass = this.slot === 0 ? Player2 : Player;
+
+        game.player = new LocalClass();
+        game.player.keyMap = game.keyMaps[0];
+        game.player2 = playerCount > 1 ? new RemoteClass() : null;
+        if (game.player2) {
+            game.player2.keyMap = {};
+        }
+
+        game.replay = null;
+        game.recorder.stop();
+        game.state = GameState.PLAYING;
+        game.score = 0;
+        this.inGame = true;
+
+        game.ui.setOnlineMenuVisible(false);
+        game.updateScoreboard();
+        game.ui.updateViewMode(game.player.thirdPerson);
+        game.ui.showStatus(`ONLINE - ROOM ${this.room}`, 2000);
+    }
+
+    loadLevel(data) {
+        const game = this.game;
+
+        game.level = data.level;
+        game.config.use3DGameplay = data.config.use3DGameplay;
+        game.config.useBallistics = data.config.useBallistics;
+        game.config.gameMode = data.config.gameMode || 'coop';
+        game.versusRules = Versus.normalize(data.config.versus);
+        game.terrain.deserialize(data.terrain);
+        if (game.config.use3DGameplay) {
+            game.renderer.setTerrain(game.terrain);
+        }
+        game.applyThemeColors();
+
+        game.enemyManager.clear();
+        game.allyManager.clear();
+        game.projectileManager.clear();
+        game.particleSystem.clear();
+        game.powerupManager.clear();
+
+        this.snapshots.clear();
+        this.pending = [];
+        game.player.prevPosition = null;
+
+        game.ui.hideGameMessage();
+        game.ui.updateLevel(game.level);
+    }
+
+    // Called every frame instead of Game's own fixed-step loop
+    update(frameTime) {
+        const game = this.game;
+        if (!this.inGame) return;
+
+        if (game.state === GameState.PLAYING) {
+            game.accumulator += frameTime;
+            let steps = 0;
+            while (game.accumulator >= game.fixedDelta && steps < game.maxStepsPerFrame) {
+                this.tick(game.fixedDelta);
+                game.accumulator -= game.fixedDelta;
+                steps++;
+            }
+            if (steps >= game.maxStepsPerFrame) {
+                game.accumulator = 0;
+            }
+            game.interpolationAlpha = Utils.clamp(game.accumulator / game.fixedDelta, 0, 1);
+        } else {
+            game.accumulator = 0;
+            game.interpolationAlpha = 1;
+        }
+
+        this.interpolate(frameTime);
+        game.updateHud();
+    }
+
+    // One local tick: send this tick's input and predict what it does
+    tick(deltaTime) {
+        const game = this.game;
+        const player = game.player;
+
+        Utils.storePreviousTransform(player);
+
+        const input = NetProtocol.readInput(player.input);
+        for (const name of NetProtocol.PRESS_INPUTS) {
+            player.input[name] = false;
+        }
+        player.input.aimYaw = 0;
+        player.input.aimPitch = 0;
+
+        this.seq++;
+        this.send({ type: 'input', seq: this.seq, input: input });
+        this.pending.push({ seq: this.seq, input: input });
+        this.predict(input, deltaTime);
+
+        game.radarBeepTimer += deltaTime;
+        if (game.radarBeepTimer >= game.radarBeepInterval) {
+            game.audio.playRadarBeep();
+            game.radarBeepTimer = 0;
+        }
+        if (player.alive) {
+            game.audio.updateEngine(player.currentSpeed);
+        }
+        game.particleSystem.emitDamageSmoke(game.getDamageableTanks(), deltaTime);
+        game.particleSystem.update(deltaTime);
+    }
+
+    // Move the local tank the way the server will (see Game.processInput and step)
+    predict(input, deltaTime) {
+        const game = this.game;
+        const player = game.player;
+        if (!player.alive) return;
+
+        if (input.aimYaw || input.aimPitch) {
+            player.aimTurret(input.aimYaw || 0, input.aimPitch || 0);
+        }
+
+        NetProtocol.applyInput(this.predictInput, input);
+        const liveInput = player.input;
+        player.input = this.predictInput;
+        player.update(deltaTime, game.physics, game.terrain, game.terrain.obstacles,
+            game.enemyManager.getAllEntities());
+        player.input = liveInput;
+    }
+
+    onSnapshot(snapshot) {
+        const game = this.game;
+        this.snapshots.push(snapshot);
+
+        game.score = snapshot.score;
+        game.level = snapshot.level;
+        game.levelTime = snapshot.time;
+        game.state = snapshot.state;
+
+        // Start from where the server had us, then redo what it hasn't seen yet
+        const local = game.player;
+        const mine = snapshot.players.find(p => p.id === local.id);
+        if (mine) {
+            const { prevPosition, prevRotation, thirdPerson } = local;
+            local.deserialize(mine);
+            local.thirdPerson = thirdPerson;
+
+            this.pending = this.pending.filter(p => p.seq > snapshot.ack);
+            for (const { input } of this.pending) {
+                this.predict(input, game.fixedDelta);
+            }
+
+            // Keep blending from where the tank was drawn, unless it jumped (respawn)
+            const moved = prevPosition ? Utils.distance2D(prevPosition[0], prevPosition[2], local.position[0], local.position[2]) : Infinity;
+            if (moved < 10) {
+                local.prevPosition = prevPosition;
+                local.prevRotation = prevRotation;
+            }
+        }
+
+        // Lives and scores straight away; the partner's tank moves in interpolate()
+        const remote = game.player2;
+        const theirs = remote ? snapshot.players.find(p => p.id === remote.id) : null;
+        if (theirs) {
+            remote.lives = theirs.lives;
+            remote.score = theirs.score;
+            remote.deaths = theirs.deaths;
+        }
+
+        game.powerupManager.deserialize(snapshot.powerups);
+
+        for (const event of snapshot.events || []) {
+            this.emitEvent(event);
+        }
+    }
+
+    // Draw the world as it was INTERPOLATION_DELAY ticks before the newest snapshot
+    interpolate(frameTime) {
+        const game = this.game;
+        const latest = this.snapshots.latest();
+        if (!latest) return;
+
+        const target = latest.tick - NetProtocol.INTERPOLATION_DELAY;
+        this.renderTick += frameTime / game.fixedDelta;
+        if (Math.abs(this.renderTick - target) > NetProtocol.INTERPOLATION_DELAY * 2) {
+            this.renderTick = target; // Fell too far behind or ahead - jump
+        } else {
+            this.renderTick += (target - this.renderTick) * 0.05; // Drift back toward the delay
+        }
+
+        const tick = this.renderTick;
+        const enemies = game.enemyManager;
+
+        enemies.enemies = this.sync(enemies.enemies, this.snapshots.sample(tick, s => s.enemies),
+            data => createEnemyTank(data.type, { id: data.id }));
+
+        const ufos = this.sync(enemies.ufo ? [enemies.ufo] : [], this.snapshots.sample(tick, s => s.ufo ? [s.ufo] : []),
+            data => new UFO({ id: data.id }));
+        enemies.ufo = ufos[0] || null;
+
+        game.allyManager.allies = this.sync(game.allyManager.allies, this.snapshots.sample(tick, s => s.allies || []),
+            data => new AllyTank({ id: data.id }));
+
+        game.projectileManager.projectiles = this.sync(game.projectileManager.projectiles,
+            this.snapshots.sample(tick, s => s.projectiles), data => new Projectile({ id: data.id }));
+
+        const remote = game.player2;
+        if (remote) {
+            const [data] = this.snapshots.sample(tick, s => s.players.filter(p => p.id === remote.id));
+            if (data) {
+                const { lives, score, deaths } = remote;
+                remote.deserialize(data);
+                remote.lives = lives;
+                remote.score = score;
+                remote.deaths = deaths;
+            }
+        }
+    }
+
+    // Reuse the objects already on screen, by id
+    sync(current, items, create) {
+        const byId = new Map(current.map(o => [o.id, o]));
+        return items.map(data => {
+            const object = byId.get(data.id) || create(data);
+            object.deserialize(data);
+            object.prevPosition = null;
+            return object;
+        });
+    }
+
+    // Turn a packed server event back into the payload Game's handlers expect
+    emitEvent(event) {
+        const game = this.game;
+        const players = game.getPlayers();
+        const findPlayer = (id) => players.find(p => p.id === id) || null;
+        const findEnemy = (id) => game.enemyManager.getAllEntities().find(e => e.id === id) || null;
+        const at = (position) => ({ position: position });
+
+        switch (event.type) {
+            case GameEvent.SHOT_FIRED:
+            case GameEvent.MISSILE_LAUNCHED:
+                game.events.emit(event.type, { owner: findPlayer(event.ownerId) || findEnemy(event.ownerId) });
+                break;
+            case GameEvent.ENEMY_DESTROYED: {
+                const enemy = findEnemy(event.enemyId) || new (event.ufo ? UFO : EnemyTank)({ id: event.enemyId });
+                enemy.position = event.position;
+                game.events.emit(event.type, { enemy: enemy, projectile: null, points: event.points });
+                break;
+            }
+            case GameEvent.OBSTACLE_HIT:
+                game.events.emit(event.type, { projectile: at(event.position), obstacle: null });
+                break;
+            case GameEvent.TANK_DAMAGED: {
+                const target = findPlayer(event.targetId) || findEnemy(event.targetId) ||
+                    game.allyManager.allies.find(a => a.id === event.targetId);
+                if (target) {
+                    game.events.emit(event.type, {
+                        target: target,
+                        projectile: at(event.position),
+                        damage: event.damage,
+                        face: event.face
+                    });
+                }
+                break;
+            }
+            case GameEvent.PLAYER_HIT:
+            case GameEvent.PLAYER_OUT: {
+                const player = findPlayer(event.playerId);
+                if (player) {
+                    game.events.emit(event.type, { player: player, projectile: null, killer: findPlayer(event.killerId) });
+                }
+                break;
+            }
+            case GameEvent.PLAYER_RESPAWNED: {
+                const player = findPlayer(event.playerId);
+                if (player) {
+                    game.events.emit(event.type, { player: player, position: event.position });
+                }
+                break;
+            }
+            case GameEvent.POWERUP_COLLECTED:
+                game.events.emit(event.type, { powerup: { type: event.powerup }, player: findPlayer(event.playerId) });
+                break;
+            case GameEvent.SCORE_CHANGED:
+                game.events.emit(event.type, { score: event.score, delta: event.delta, player: findPlayer(event.playerId) });
+                break;
+            case GameEvent.LIVES_CHANGED:
+                game.events.emit(event.type, { lives: event.lives, player: findPlayer(event.playerId) });
+                break;
+            case GameEvent.UFO_SPAWNED:
+                game.events.emit(event.type, { ufo: null });
+                break;
+            case GameEvent.ALLY_DESTROYED: {
+                const ally = game.allyManager.allies.find(a => a.id === event.allyId) || new AllyTank({ id: event.allyId });
+                ally.position = event.position;
+                ally.alive = false;
+                game.events.emit(event.type, { ally: ally, projectile: null });
+                break;
+            }
+            case GameEvent.ALLY_ORDERED:
+                game.events.emit(event.type, { order: event.order, player: findPlayer(event.playerId), target: null });
+                break;
+            case GameEvent.MATCH_OVER:
+                game.events.emit(event.type, {
+                    winner: findPlayer(event.winnerId),
+                    reason: event.reason,
+                    standings: Versus.getStandings(players)
+                });
+                break;
+            default: {
+                const { type, ...payload } = event;
+                game.events.emit(type, payload);
+            }
+        }
+    }
+
+    // ENTER / START: restart after game over, or go on after a level
+    advance() {
+        const state = this.game.state;
+        if (!this.inGame) return;
+
+        if (state === GameState.GAME_OVER) {
+            this.send({ type: 'start' });
+        } else if (state === GameState.LEVEL_COMPLETE) {
+            this.send({ type: 'next' });
+        }
+    }
+
+    // Keys with a different meaning online; true if the key was used
+    handleKey(e) {
+        switch (e.code) {
+            case 'Enter':
+                this.advance();
+                return true;
+            case 'Escape':
+                this.game.leaveOnline('LEFT ONLINE GAME');
+                return true;
+        }
+        return false;
+    }
+}
+
+// Make available globally
+window.OnlineSession = OnlineSession;
@@ -63,6 +63,11 @@ class PhysicsEngine {
         if (input.forward) targetSpeed = maxSpeed;
         if (input.backward) targetSpeed = -maxSpeed * 0.5;
 
+        // Proportional throttle from a gamepad stick when no key is held
+        if (!input.forward && !input.backward && input.throttle) {
+            targetSpeed = maxSpeed * input.throttle * (input.throttle < 0 ? 0.5 : 1);
+        }
+
         // Accelerate/decelerate toward target speed
         let newSpeed = currentSpeed;
         if (targetSpeed > currentSpeed) {
@@ -92,6 +97,9 @@ class PhysicsEngine {
         if (input.right) {
             tank.rotation -= effectiveTurnSpeed * deltaTime;
         }
+        if (!input.left && !input.right && input.steer) {
+            tank.rotation -= effectiveTurnSpeed * input.steer * deltaTime;
+        }
 
         // Normalize rotation
         tank.rotation = Utils.normalizeAngle(tank.rotation);
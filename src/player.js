@@ -1,11 +1,19 @@
 // Battlezone - Player Tank
 
+// State written to save games
+const PLAYER_SAVE_FIELDS = [
+    'position', 'rotation', 'velocity', 'groundVelocity', 'currentSpeed', 'speedMultiplier', 'turretPitch', 'turretHeading',
+    'alive', 'hitPoints', 'maxHitPoints', 'invulnerable', 'invulnerabilityTime', 'respawnTimer', 'thirdPerson', 'flashTimer',
+    'lives', 'score', 'deaths'
+];
+
 class Player {
     constructor(config = {}) {
         this.id = 'player';
         this.position = config.position ? [...config.position] : [0, 0, 0];
         this.rotation = config.rotation || 0;
         this.velocity = [0, 0, 0];
+        this.groundVelocity = [0, 0, 0]; // How it really moved, walls and all - AI gunners lead by this
 
         // Tank properties
         this.collisionRadius = 2.0;
@@ -17,18 +25,27 @@ class Player {
         this.currentSpeed = 0;
         this.speedMultiplier = 1.0; // Added for speed powerup
 
-        // Turret for 3D gameplay
+        // Turret - heading is relative to the hull (mouse aiming), pitch is for 3D gameplay
+        this.turretHeading = 0;
         this.turretPitch = 0; // Up/down angle
         this.maxTurretPitch = Math.PI / 4;
         this.minTurretPitch = -Math.PI / 12;
 
         // Combat
         this.alive = true;
+        this.maxHitPoints = 100; // See armor.js
+        this.hitPoints = this.maxHitPoints;
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         this.invulnerabilityDuration = 3.0;
+        this.respawnTimer = 0; // Seconds until respawn while destroyed
         this.canShoot = true;
 
+        // Each player has their own lives and score; the game adds them up
+        this.lives = 0;
+        this.score = 0;
+        this.deaths = 0; // Versus only
+
         // Camera
         this.thirdPerson = false;
         this.cameraDistance = 10;
@@ -46,7 +63,38 @@ class Player {
             right: false,
             turretUp: false,
             turretDown: false,
-            shoot: false
+            shoot: false,
+            missile: false,
+
+            // Wingman orders (see allies.js)
+            orderFollow: false,
+            orderHold: false,
+            orderAttack: false,
+
+            // Analog gamepad axes, -1..1 (keys win when both are used)
+            throttle: 0,
+            steer: 0,
+            aim: 0,
+
+            // Mouse aiming deltas in radians, applied once per tick
+            aimYaw: 0,
+            aimPitch: 0
+        };
+
+        // Default key bindings (see controls.js; the menu can rebind them)
+        this.keyMap = {
+            forward: 'ArrowUp',
+            backward: 'ArrowDown',
+            left: 'ArrowLeft',
+            right: 'ArrowRight',
+            turretUp: 'PageUp',
+            turretDown: 'PageDown',
+            shoot: 'Space',
+            missile: 'KeyE',
+            toggleView: 'Tab',
+            orderFollow: 'KeyJ',
+            orderHold: 'KeyK',
+            orderAttack: 'KeyL'
         };
     }
 
@@ -82,6 +130,10 @@ class Player {
         if (this.input.turretDown) {
             this.turretPitch = Math.max(this.minTurretPitch, this.turretPitch - deltaTime);
         }
+        if (this.input.aim && !this.input.turretUp && !this.input.turretDown) {
+            this.turretPitch = Utils.clamp(this.turretPitch + this.input.aim * deltaTime,
+                this.minTurretPitch, this.maxTurretPitch);
+        }
 
         // Apply terrain height if using 3D gameplay
         if (terrain.use3DGameplay) {
@@ -136,11 +188,21 @@ class Player {
 
         // Keep in bounds
         terrain.clampToBounds(this.position, 10);
+
+        this.groundVelocity[0] = (this.position[0] - oldPosition[0]) / deltaTime;
+        this.groundVelocity[2] = (this.position[2] - oldPosition[2]) / deltaTime;
     }
 
-    takeDamage() {
+    // True once the tank is destroyed
+    takeDamage(amount = this.maxHitPoints) {
+        // Already destroyed by another hit this tick
+        if (!this.alive) return false;
         if (this.invulnerable) return false;
 
+        this.hitPoints -= amount;
+        if (this.hitPoints > 0) return false;
+
+        this.hitPoints = 0;
         this.alive = false;
         return true;
     }
@@ -149,29 +211,38 @@ class Player {
         this.position = position ? [...position] : [...this.position];
         this.rotation = 0;
         this.velocity = [0, 0, 0];
+        this.groundVelocity = [0, 0, 0];
+        this.prevPosition = null; // Don't interpolate across the teleport
         this.alive = true;
+        this.hitPoints = this.maxHitPoints;
+        this.respawnTimer = 0;
         this.invulnerable = true;
         this.invulnerabilityTime = this.invulnerabilityDuration;
+        this.turretHeading = 0;
         this.turretPitch = 0;
     }
 
-    getViewMatrix() {
+    getViewMatrix(alpha = 1) {
         const viewMatrix = mat4.create();
+        const { position, rotation } = Utils.getRenderTransform(this, alpha);
+
+        // The camera follows the turret, which may point away from the hull
+        const heading = rotation + this.turretHeading;
 
         if (this.thirdPerson) {
             // Third person camera - also apply turret pitch
-            const forward = Utils.angleToVector(this.rotation);
+            const forward = Utils.angleToVector(heading);
 
-            const eyeX = this.position[0] - forward[0] * this.cameraDistance;
-            const eyeY = this.position[1] + this.cameraHeight;
-            const eyeZ = this.position[2] - forward[2] * this.cameraDistance;
+            const eyeX = position[0] - forward[0] * this.cameraDistance;
+            const eyeY = position[1] + this.cameraHeight;
+            const eyeZ = position[2] - forward[2] * this.cameraDistance;
 
             // Apply turret pitch to target
             const pitchOffset = Math.sin(this.turretPitch) * 8;
 
-            const targetX = this.position[0] + forward[0] * 5;
-            const targetY = this.position[1] + 1.5 + pitchOffset;
-            const targetZ = this.position[2] + forward[2] * 5;
+            const targetX = position[0] + forward[0] * 5;
+            const targetY = position[1] + 1.5 + pitchOffset;
+            const targetZ = position[2] + forward[2] * 5;
 
             mat4.lookAt(viewMatrix,
                 [eyeX, eyeY, eyeZ],
@@ -181,11 +252,11 @@ class Player {
         } else {
             // First person camera
             const eyeHeight = 2.0;
-            const forward = Utils.angleToVector(this.rotation);
+            const forward = Utils.angleToVector(heading);
 
-            const eyeX = this.position[0];
-            const eyeY = this.position[1] + eyeHeight;
-            const eyeZ = this.position[2];
+            const eyeX = position[0];
+            const eyeY = position[1] + eyeHeight;
+            const eyeZ = position[2];
 
             // Apply turret pitch
             const pitchOffset = Math.sin(this.turretPitch) * 10;
@@ -204,15 +275,27 @@ class Player {
         return viewMatrix;
     }
 
-    getModelMatrix() {
+    getModelMatrix(alpha = 1) {
         const matrix = mat4.create();
-        mat4.translate(matrix, matrix, this.position);
-        mat4.rotateY(matrix, matrix, this.rotation);
+        const { position, rotation } = Utils.getRenderTransform(this, alpha);
+        mat4.translate(matrix, matrix, position);
+        mat4.rotateY(matrix, matrix, rotation);
         return matrix;
     }
 
+    // World heading of the turret
+    getTurretRotation() {
+        return Utils.normalizeAngle(this.rotation + this.turretHeading);
+    }
+
+    // Turn the turret by mouse deltas (radians)
+    aimTurret(yaw, pitch) {
+        this.turretHeading = Utils.normalizeAngle(this.turretHeading + yaw);
+        this.turretPitch = Utils.clamp(this.turretPitch + pitch, this.minTurretPitch, this.maxTurretPitch);
+    }
+
     getShootDirection() {
-        const forward = Utils.angleToVector(this.rotation);
+        const forward = Utils.angleToVector(this.getTurretRotation());
 
         // Apply turret pitch
         const cosPitch = Math.cos(this.turretPitch);
@@ -233,6 +316,15 @@ class Player {
         this.thirdPerson = !this.thirdPerson;
     }
 
+    serialize() {
+        return Utils.copyFields({}, this, PLAYER_SAVE_FIELDS);
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, PLAYER_SAVE_FIELDS);
+        this.prevPosition = null;
+    }
+
     isVisible() {
         // Flash when invulnerable
         if (this.invulnerable) {
@@ -257,7 +349,12 @@ class Player2 extends Player {
             right: 'KeyD',
             turretUp: 'KeyR',
             turretDown: 'KeyF',
-            shoot: 'KeyG'
+            shoot: 'KeyG',
+            missile: 'KeyT',
+            toggleView: 'KeyV',
+            orderFollow: 'KeyZ',
+            orderHold: 'KeyX',
+            orderAttack: 'KeyC'
         };
     }
 }
@@ -7,6 +7,11 @@ const PowerUpType = {
     SPEED: 'speed'
 };
 
+// State written to save games
+const POWERUP_SAVE_FIELDS = [
+    'id', 'position', 'type', 'lifetime', 'age', 'rotation', 'bobPhase'
+];
+
 class PowerUp {
     constructor(config = {}) {
         this.id = config.id || `powerup_${Date.now()}_${Math.random()}`;
@@ -19,7 +24,7 @@ class PowerUp {
 
         // Animation
         this.rotation = 0;
-        this.bobPhase = Math.random() * Math.PI * 2;
+        this.bobPhase = Random.next() * Math.PI * 2;
 
         // Visual based on type
         this.color = this.getColorForType();
@@ -77,6 +82,14 @@ class PowerUp {
         return false;
     }
 
+    serialize() {
+        return Utils.copyFields({}, this, POWERUP_SAVE_FIELDS);
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, POWERUP_SAVE_FIELDS);
+    }
+
     getModelMatrix() {
         const matrix = mat4.create();
         const bobHeight = 1.5 + Math.sin(this.bobPhase) * 0.3;
@@ -100,14 +113,23 @@ class PowerUpManager {
         this.spawnTimer = 0;
         this.spawnInterval = 20;
         this.maxPowerups = 3;
+        this.spawnTable = Object.values(PowerUpType).map(type => ({ type: type, weight: 1 }));
+    }
+
+    // Apply a level's "powerups" section (see levels.js)
+    setLevelConfig(settings) {
+        this.spawnInterval = settings.spawnInterval;
+        this.maxPowerups = settings.max;
+        this.spawnTable = Object.keys(settings.table)
+            .filter(type => settings.table[type] > 0)
+            .map(type => ({ type: type, weight: settings.table[type] }));
     }
 
     spawn(terrain, avoidPositions = []) {
-        if (this.powerups.length >= this.maxPowerups) return null;
+        if (this.powerups.length >= this.maxPowerups || this.spawnTable.length === 0) return null;
 
-        // Random type
-        const types = Object.values(PowerUpType);
-        const type = types[Utils.randomInt(0, types.length - 1)];
+        // Random type, weighted by the level's spawn table
+        const type = Utils.pickWeighted(this.spawnTable).type;
 
         // Find position
         const position = terrain.getRandomSpawnPosition(20, avoidPositions, 10);
@@ -121,12 +143,13 @@ class PowerUpManager {
         return powerup;
     }
 
-    update(deltaTime, player, terrain) {
+    // Returns [{ powerup, player }] for everything picked up this tick
+    update(deltaTime, players, terrain) {
         // Update spawn timer
         this.spawnTimer += deltaTime;
 
         if (this.spawnTimer >= this.spawnInterval && this.powerups.length < this.maxPowerups) {
-            this.spawn(terrain, [player.position]);
+            this.spawn(terrain, players.map(p => p.position));
             this.spawnTimer = 0;
         }
 
@@ -143,9 +166,11 @@ class PowerUpManager {
                 powerup.position[1] = terrain.getHeightAt(powerup.position[0], powerup.position[2]);
             }
 
-            if (powerup.checkCollection(player)) {
-                this.activate(powerup.type, powerup.duration);
-                collectedPowerups.push(powerup);
+            // First player to reach it gets it
+            const collector = players.find(player => player.alive && powerup.checkCollection(player));
+            if (collector) {
+                this.activate(powerup.type, powerup.duration, collector.id);
+                collectedPowerups.push({ powerup: powerup, player: collector });
             }
 
             if (powerup.collected) {
@@ -154,48 +179,68 @@ class PowerUpManager {
         }
 
         // Update active powerup timers
-        for (const type in this.activePowerups) {
-            this.activePowerups[type] -= deltaTime;
+        for (const playerId in this.activePowerups) {
+            const timers = this.activePowerups[playerId];
+            for (const type in timers) {
+                timers[type] -= deltaTime;
+
+                if (timers[type] <= 0) {
+                    delete timers[type];
+                }
+            }
 
-            if (this.activePowerups[type] <= 0) {
-                delete this.activePowerups[type];
+            if (Object.keys(timers).length === 0) {
+                delete this.activePowerups[playerId];
             }
         }
 
         return collectedPowerups;
     }
 
-    activate(type, duration) {
-        this.activePowerups[type] = duration;
+    // Timers are kept per player: { playerId: { type: seconds left } }
+    activate(type, duration, playerId = 'player') {
+        this.activePowerups[playerId] = this.activePowerups[playerId] || {};
+        this.activePowerups[playerId][type] = duration;
     }
 
-    isActive(type) {
-        return this.activePowerups[type] > 0;
+    // Without a player id, asks whether anyone has it
+    getRemainingTime(type, playerId = null) {
+        const owners = playerId === null ? Object.keys(this.activePowerups) : [playerId];
+        let remaining = 0;
+        for (const owner of owners) {
+            const timers = this.activePowerups[owner];
+            if (timers && timers[type] > remaining) {
+                remaining = timers[type];
+            }
+        }
+        return remaining;
     }
 
-    getActiveTypes() {
-        return Object.keys(this.activePowerups);
+    isActive(type, playerId = null) {
+        return this.getRemainingTime(type, playerId) > 0;
     }
 
-    getRemainingTime(type) {
-        return this.activePowerups[type] || 0;
+    getActiveTypes(playerId = null) {
+        return Object.values(PowerUpType).filter(type => this.isActive(type, playerId));
     }
 
-    applyEffects(player, enemies) {
-        // Shield effect
-        if (this.isActive(PowerUpType.SHIELD)) {
-            player.invulnerable = true;
-            player.invulnerabilityTime = this.activePowerups[PowerUpType.SHIELD];
-        }
+    applyEffects(players, enemies) {
+        for (const player of players) {
+            // Shield effect
+            if (this.isActive(PowerUpType.SHIELD, player.id)) {
+                player.invulnerable = true;
+                player.invulnerabilityTime = this.getRemainingTime(PowerUpType.SHIELD, player.id);
+            }
 
-        // Speed effect - player moves faster
-        if (this.isActive(PowerUpType.SPEED)) {
-            player.speedMultiplier = 1.5;
-        } else {
-            player.speedMultiplier = 1.0;
+            // Speed effect - player moves faster
+            if (this.isActive(PowerUpType.SPEED, player.id)) {
+                player.speedMultiplier = 1.5;
+            } else {
+                player.speedMultiplier = 1.0;
+            }
         }
 
-        // Freeze effect - enemies don't move
+        // Freeze effect - enemies don't move, whoever collected it
         // This is handled in the enemy update loop by checking this.isActive(PowerUpType.FREEZE)
     }
 
@@ -203,12 +248,47 @@ class PowerUpManager {
         return this.isActive(PowerUpType.FREEZE);
     }
 
-    isXRayActive() {
-        return this.isActive(PowerUpType.XRAY);
+    isXRayActive(playerId = null) {
+        return this.isActive(PowerUpType.XRAY, playerId);
+    }
+
+    isSpeedActive(playerId = null) {
+        return this.isActive(PowerUpType.SPEED, playerId);
+    }
+
+    serialize() {
+        return {
+            powerups: this.powerups.filter(p => !p.collected).map(p => p.serialize()),
+            activePowerups: JSON.parse(JSON.stringify(this.activePowerups)),
+            spawnTimer: this.spawnTimer,
+            spawnInterval: this.spawnInterval,
+            maxPowerups: this.maxPowerups,
+            spawnTable: this.spawnTable.map(entry => ({ ...entry }))
+        };
     }
 
-    isSpeedActive() {
-        return this.isActive(PowerUpType.SPEED);
+    deserialize(data) {
+        this.powerups = data.powerups.map(saved => {
+            const powerup = new PowerUp({ id: saved.id, type: saved.type });
+            powerup.deserialize(saved);
+            return powerup;
+        });
+        this.activePowerups = PowerUpManager.readActivePowerups(data.activePowerups);
+        this.spawnTimer = data.spawnTimer;
+        this.spawnInterval = data.spawnInterval;
+        this.maxPowerups = data.maxPowerups;
+        if (data.spawnTable) {
+            this.spawnTable = data.spawnTable.map(entry => ({ ...entry }));
+        }
+    }
+
+    // Older saves kept one shared { type: seconds } set, which was always player 1's
+    static readActivePowerups(saved) {
+        const values = Object.values(saved || {});
+        if (values.some(value => typeof value === 'number')) {
+            return { player: { ...saved } };
+        }
+        return JSON.parse(JSON.stringify(saved || {}));
     }
 
     clear() {
@@ -1,5 +1,11 @@
 // Battlezone - Projectile System
 
+// State written to save games (the homing target is saved by id)
+const PROJECTILE_SAVE_FIELDS = [
+    'id', 'ownerId', 'position', 'velocity', 'rotation', 'speed', 'damage',
+    'lifetime', 'age', 'type', 'turnRate', 'color', 'scale'
+];
+
 class Projectile {
     constructor(config = {}) {
         this.id = config.id || `projectile_${Date.now()}_${Math.random()}`;
@@ -8,11 +14,11 @@ class Projectile {
         this.velocity = config.velocity ? [...config.velocity] : [0, 0, 0];
         this.rotation = config.rotation || 0;
         this.speed = config.speed || 50;
-        this.damage = config.damage || 1;
+        this.type = config.type || 'normal'; // normal, guided, ballistic
+        this.damage = config.damage || Armor.getProjectileDamage(this.type); // Before armor (see armor.js)
         this.lifetime = config.lifetime || 5;
         this.age = 0;
         this.alive = true;
-        this.type = config.type || 'normal'; // normal, guided, ballistic
         this.target = config.target || null;
         this.turnRate = config.turnRate || 3.5; // Faster turning for guided missiles
 
@@ -125,13 +131,29 @@ class Projectile {
         return null;
     }
 
-    getModelMatrix() {
+    getModelMatrix(alpha = 1) {
         const matrix = mat4.create();
-        mat4.translate(matrix, matrix, this.position);
-        mat4.rotateY(matrix, matrix, this.rotation);
+        const { position, rotation } = Utils.getRenderTransform(this, alpha);
+        mat4.translate(matrix, matrix, position);
+        mat4.rotateY(matrix, matrix, rotation);
         mat4.scale(matrix, matrix, [this.scale, this.scale, this.scale * 2]);
         return matrix;
     }
+
+    serialize() {
+        const data = Utils.copyFields({}, this, PROJECTILE_SAVE_FIELDS);
+        data.targetId = this.target ? this.target.id : null;
+        return data;
+    }
+
+    deserialize(data) {
+        Utils.copyFields(this, data, PROJECTILE_SAVE_FIELDS);
+
+        // Saved before damage was per projectile
+        if (typeof data.damage !== 'number') {
+            this.damage = Armor.getProjectileDamage(this.type);
+        }
+    }
 }
 
 class ProjectileManager {
@@ -213,7 +235,7 @@ class ProjectileManager {
             ownerId: entity.id,
             position: position,
             velocity: velocity,
-            rotation: entity.rotation,
+            rotation: entity.getTurretRotation ? entity.getTurretRotation() : entity.rotation,
             speed: speed,
             type: config.type || 'normal',
             target: config.target,
@@ -222,7 +244,8 @@ class ProjectileManager {
         });
     }
 
-    update(deltaTime, physics, terrain, obstacles, entities) {
+    // canHit(projectile, entity), when given, can let a shot pass through some entities
+    update(deltaTime, physics, terrain, obstacles, entities, canHit = null) {
         const hits = [];
 
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
@@ -234,7 +257,8 @@ class ProjectileManager {
             // Check collisions
             if (projectile.alive) {
                 const excludeId = projectile.ownerId;
-                const hit = projectile.checkCollisions(obstacles, entities, excludeId);
+                const targets = canHit ? entities.filter(e => canHit(projectile, e)) : entities;
+                const hit = projectile.checkCollisions(obstacles, targets, excludeId);
 
                 if (hit) {
                     hits.push({
@@ -253,6 +277,20 @@ class ProjectileManager {
         return hits;
     }
 
+    serialize() {
+        return this.projectiles.filter(p => p.alive).map(p => p.serialize());
+    }
+
+    // Entities are needed to re-link guided missiles to their targets
+    deserialize(data, entities = []) {
+        this.projectiles = data.map(saved => {
+            const projectile = new Projectile({ id: saved.id });
+            projectile.deserialize(saved);
+            projectile.target = entities.find(e => e.id === saved.targetId) || null;
+            return projectile;
+        });
+    }
+
     getProjectilesForOwner(ownerId) {
         return this.projectiles.filter(p => p.ownerId === ownerId && p.alive);
     }
@@ -281,6 +319,7 @@ class ParticleSystem {
         const lifetime = config.lifetime || 1;
         const size = config.size || 0.3;
         const spread = config.spread || 1;
+        const gravity = config.gravity ?? -15;
 
         for (let i = 0; i < count; i++) {
             if (this.particles.length >= this.maxParticles) {
@@ -302,7 +341,8 @@ class ParticleSystem {
                 color: [...color],
                 lifetime: lifetime * (0.5 + Math.random() * 0.5),
                 age: 0,
-                size: size * (0.5 + Math.random() * 0.5)
+                size: size * (0.5 + Math.random() * 0.5),
+                gravity: gravity
             });
         }
     }
@@ -354,9 +394,31 @@ class ParticleSystem {
         });
     }
 
-    update(deltaTime) {
-        const gravity = -15;
+    // Smoke drifting up from damaged tanks, thicker the worse the damage
+    emitDamageSmoke(entities, deltaTime) {
+        for (const entity of entities) {
+            const health = Armor.getHealth(entity);
+            if (!entity.alive || health >= Armor.SMOKE_HEALTH) continue;
+
+            // Up to about 12 puffs a second for a tank on its last legs
+            const rate = 12 * (1 - health / Armor.SMOKE_HEALTH);
+            if (Math.random() >= rate * deltaTime) continue;
+
+            const dark = 0.15 + health * 0.3;
+            this.emit({
+                position: [entity.position[0], entity.position[1] + (entity.height || 2.5), entity.position[2]],
+                color: [dark, dark, dark],
+                count: 1,
+                speed: 2,
+                lifetime: 1.5,
+                size: 0.6,
+                spread: 0.4,
+                gravity: 1.5
+            });
+        }
+    }
 
+    update(deltaTime) {
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
 
@@ -367,8 +429,8 @@ class ParticleSystem {
                 continue;
             }
 
-            // Apply gravity
-            p.velocity[1] += gravity * deltaTime;
+            // Apply gravity (smoke floats up instead)
+            p.velocity[1] += p.gravity * deltaTime;
 
             // Update position
             p.position[0] += p.velocity[0] * deltaTime;
@@ -0,0 +1,73 @@
+// Battlezone - Seeded Random Number Generator
+
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    // Reset the generator so the same seed always replays the same sequence
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Mulberry32 - small, fast and good enough for gameplay decisions
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Full generator state, for save games
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+
+    // Random number between min and max
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Random integer between min and max (inclusive)
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    // Accepts numbers, numeric strings or any text (hashed), returns a uint32
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed === undefined || seed === null ? '' : seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for word seeds like "desert"
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// Shared generator for every gameplay decision (terrain, spawns, AI)
+const Random = new SeededRandom();
+
+// Make available globally
+window.SeededRandom = SeededRandom;
+window.Random = Random;
@@ -1,5 +1,76 @@
 // Battlezone - WebGL Renderer
 
+// Where the turret ring sits on the hull; turret geometry is built around it
+const TURRET_PIVOT = [0, 0, -0.4];
+
+// Hull and turret boxes ([centerX, centerY, centerZ, width, height, length])
+// for each enemy class (see enemytypes.js); plain tanks use the player's model
+const TANK_MODELS = {
+    scout: {
+        hull: [
+            [0, 0.5, 0, 1.8, 0.6, 3.2],
+            [0, 0.95, -0.2, 1.4, 0.3, 2.2],
+            [0, 0.7, 1.7, 1.4, 0.3, 0.4],
+            [-1.05, 0.35, 0, 0.4, 0.7, 3.4],
+            [1.05, 0.35, 0, 0.4, 0.7, 3.4]
+        ],
+        turret: [
+            [0, 1.3, -0.4, 1.0, 0.4, 1.2],
+            [0, 1.3, 1.4, 0.12, 0.12, 2.6],
+            [0, 1.65, -0.7, 0.4, 0.1, 0.4]
+        ]
+    },
+    heavy: {
+        hull: [
+            [0, 0.7, 0, 2.8, 1.0, 4.4],
+            [0, 1.4, -0.2, 2.4, 0.5, 3.4],
+            [0, 0.9, 2.3, 2.4, 0.8, 0.3],
+            [-1.65, 0.5, 0, 0.6, 1.0, 4.6],
+            [1.65, 0.5, 0, 0.6, 1.0, 4.6],
+            [-1.65, 1.05, 0, 0.7, 0.2, 4.2],
+            [1.65, 1.05, 0, 0.7, 0.2, 4.2]
+        ],
+        turret: [
+            [0, 1.95, -0.4, 2.0, 0.8, 2.2],
+            [0, 1.9, 0.9, 1.2, 0.6, 0.6],
+            [-0.25, 1.9, 2.5, 0.25, 0.25, 3.4],
+            [0.25, 1.9, 2.5, 0.25, 0.25, 3.4],
+            [0.5, 2.4, -0.8, 0.6, 0.15, 0.6]
+        ]
+    },
+    artillery: {
+        hull: [
+            [0, 0.6, 0, 2.4, 0.8, 4.0],
+            [0, 0.5, -2.3, 1.8, 0.4, 0.4],
+            [-1.4, 0.4, 0, 0.5, 0.8, 4.2],
+            [1.4, 0.4, 0, 0.5, 0.8, 4.2]
+        ],
+        turret: [
+            // Boxy casemate with the barrel stepping up toward the sky
+            [0, 1.5, -0.6, 1.8, 0.9, 2.0],
+            [0, 1.8, 0.8, 0.35, 0.35, 1.4],
+            [0, 2.2, 1.9, 0.3, 0.3, 1.2],
+            [0, 2.6, 2.9, 0.3, 0.3, 1.0]
+        ]
+    },
+    missile: {
+        hull: [
+            [0, 0.6, 0, 2.2, 0.8, 3.8],
+            [0, 1.15, -0.2, 1.8, 0.3, 2.8],
+            [-1.3, 0.4, 0, 0.5, 0.8, 4.0],
+            [1.3, 0.4, 0, 0.5, 0.8, 4.0]
+        ],
+        turret: [
+            // Launcher base and two missile pods
+            [0, 1.5, -0.4, 1.2, 0.4, 1.2],
+            [-0.6, 2.0, -0.2, 0.7, 0.7, 2.2],
+            [0.6, 2.0, -0.2, 0.7, 0.7, 2.2],
+            [-0.6, 2.0, 1.0, 0.4, 0.4, 0.3],
+            [0.6, 2.0, 1.0, 0.4, 0.4, 0.3]
+        ]
+    }
+};
+
 class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
@@ -142,8 +213,18 @@ class Renderer {
         // Create cube geometry
         this.geometries.cube = this.createCubeGeometry();
 
-        // Create tank geometry
-        this.geometries.tank = this.createTankGeometry();
+        // Create tank geometry - hull and turret are separate so the turret can traverse
+        this.geometries.tankHull = this.createTankHullGeometry();
+        this.geometries.tankTurret = this.createTankTurretGeometry();
+
+        // The enemy classes' variants of it
+        this.geometries.tankModels = {};
+        for (const [name, model] of Object.entries(TANK_MODELS)) {
+            this.geometries.tankModels[name] = {
+                hull: this.createBoxesGeometry(model.hull),
+                turret: this.createTurretGeometry(model.turret)
+            };
+        }
 
         // Create projectile geometry
         this.geometries.projectile = this.createProjectileGeometry();
@@ -210,8 +291,61 @@ class Renderer {
         return this.createBufferedGeometry(positions, normals, indices);
     }
 
-    createTankGeometry() {
-        const gl = this.gl;
+    createTankHullGeometry() {
+        return this.createBoxesGeometry([
+            // Lower Chassis (Main Body)
+            [0, 0.6, 0, 2.2, 0.8, 3.8],
+            // Upper Chassis (Sloped look approximated with smaller box)
+            [0, 1.2, -0.2, 1.8, 0.4, 2.8],
+            // Tracks (Left): main block, front and rear wheel bulges
+            [-1.3, 0.4, 0, 0.5, 0.8, 4.0],
+            [-1.3, 0.4, 1.5, 0.6, 0.6, 0.6],
+            [-1.3, 0.4, -1.5, 0.6, 0.6, 0.6],
+            // Tracks (Right)
+            [1.3, 0.4, 0, 0.5, 0.8, 4.0],
+            [1.3, 0.4, 1.5, 0.6, 0.6, 0.6],
+            [1.3, 0.4, -1.5, 0.6, 0.6, 0.6],
+            // Engine Vents (Back)
+            [0, 1.0, -1.8, 1.4, 0.1, 0.4]
+        ]);
+    }
+
+    createTankTurretGeometry() {
+        return this.createTurretGeometry([
+            // Turret Base
+            [0, 1.6, -0.4, 1.4, 0.6, 1.6],
+            // Turret Front (Mantlet)
+            [0, 1.6, 0.6, 0.8, 0.4, 0.6],
+            // Cannon Barrel
+            [0, 1.6, 2.0, 0.2, 0.2, 3.0],
+            // Muzzle Brake
+            [0, 1.6, 3.6, 0.3, 0.3, 0.4],
+            // Commander's Hatch
+            [0.4, 1.95, -0.6, 0.5, 0.1, 0.5],
+            // Antenna
+            [-0.5, 2.2, -0.8, 0.05, 1.2, 0.05]
+        ]);
+    }
+
+    // Turret boxes moved relative to the turret ring so it rotates in place
+    createTurretGeometry(boxes) {
+        const [px, py, pz] = TURRET_PIVOT;
+        return this.createBoxesGeometry(boxes.map(([x, y, z, w, h, l]) => [x - px, y - py, z - pz, w, h, l]));
+    }
+
+    // Hull plus turret; turretHeading is relative to the hull, model picks an enemy class's look
+    drawTank(modelMatrix, turretHeading, uniforms, model = 'tank') {
+        const variant = this.geometries.tankModels[model];
+        this.drawGeometry(variant ? variant.hull : this.geometries.tankHull, modelMatrix, uniforms);
+
+        const turretMatrix = mat4.clone(modelMatrix);
+        mat4.translate(turretMatrix, turretMatrix, TURRET_PIVOT);
+        mat4.rotateY(turretMatrix, turretMatrix, turretHeading);
+        this.drawGeometry(variant ? variant.turret : this.geometries.tankTurret, turretMatrix, uniforms);
+    }
+
+    // One geometry from a list of [centerX, centerY, centerZ, width, height, length] boxes
+    createBoxesGeometry(boxes) {
         const positions = [];
         const normals = [];
         const indices = [];
@@ -291,42 +425,9 @@ class Renderer {
             indexOffset += 24;
         };
 
-        // Lower Chassis (Main Body)
-        addBox(0, 0.6, 0, 2.2, 0.8, 3.8);
-
-        // Upper Chassis (Sloped look approximated with smaller box)
-        addBox(0, 1.2, -0.2, 1.8, 0.4, 2.8);
-
-        // Turret Base
-        addBox(0, 1.6, -0.4, 1.4, 0.6, 1.6);
-
-        // Turret Front (Mantlet)
-        addBox(0, 1.6, 0.6, 0.8, 0.4, 0.6);
-
-        // Cannon Barrel
-        addBox(0, 1.6, 2.0, 0.2, 0.2, 3.0);
-
-        // Muzzle Brake
-        addBox(0, 1.6, 3.6, 0.3, 0.3, 0.4);
-
-        // Commander's Hatch
-        addBox(0.4, 1.95, -0.6, 0.5, 0.1, 0.5);
-
-        // Antenna
-        addBox(-0.5, 2.2, -0.8, 0.05, 1.2, 0.05);
-
-        // Tracks (Left)
-        addBox(-1.3, 0.4, 0, 0.5, 0.8, 4.0); // Main track block
-        addBox(-1.3, 0.4, 1.5, 0.6, 0.6, 0.6); // Front wheel bulge
-        addBox(-1.3, 0.4, -1.5, 0.6, 0.6, 0.6); // Rear wheel bulge
-
-        // Tracks (Right)
-        addBox(1.3, 0.4, 0, 0.5, 0.8, 4.0); // Main track block
-        addBox(1.3, 0.4, 1.5, 0.6, 0.6, 0.6); // Front wheel bulge
-        addBox(1.3, 0.4, -1.5, 0.6, 0.6, 0.6); // Rear wheel bulge
-
-        // Engine Vents (Back)
-        addBox(0, 1.0, -1.8, 1.4, 0.1, 0.4);
+        for (const box of boxes) {
+            addBox(...box);
+        }
 
         return this.createBufferedGeometry(positions, normals, indices);
     }
@@ -380,7 +481,21 @@ class Renderer {
 
     setTerrain(terrain) {
         // Re-create ground geometry with terrain height
-        this.geometries.ground = this.createGroundGeometry(200, 200, 64, terrain);
+        if (this.geometries.ground) {
+            this.deleteGeometry(this.geometries.ground);
+        }
+        // One grid vertex per heightmap sample (16-bit indices cap the grid at 254)
+        const divisions = Math.min(terrain.heightMapSize, 254);
+        this.geometries.ground = this.createGroundGeometry(terrain.size, terrain.size, divisions, terrain);
+    }
+
+    deleteGeometry(geometry) {
+        const gl = this.gl;
+        for (const name of ['positionBuffer', 'normalBuffer', 'indexBuffer', 'texCoordBuffer', 'colorBuffer']) {
+            if (geometry[name]) {
+                gl.deleteBuffer(geometry[name]);
+            }
+        }
     }
 
     createGroundGeometry(width, depth, divisions, terrain = null) {
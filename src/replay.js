@@ -0,0 +1,153 @@
+// Battlezone - Input Recording and Replay
+//
+// A replay is the seed, difficulty and every change to player.input keyed by
+// simulation tick. Feeding those changes back through Game.step() rebuilds
+// the whole match, so the file stays tiny. Buttons are stored as 0/1, analog
+// inputs (gamepad sticks) as their value.
+
+const Replay = {
+    VERSION: 1,
+
+    // Inputs that trigger once per press or carry a per-tick delta (consumed by Game.processInput)
+    ONE_SHOT_INPUTS: ['shoot', 'missile', 'aimYaw', 'aimPitch', 'orderFollow', 'orderHold', 'orderAttack'],
+
+    encodeInput: function (value) {
+        if (typeof value === 'number') return value;
+        return value ? 1 : 0;
+    },
+
+    validate: function (data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay data is empty or not an object');
+        }
+        if (data.version !== Replay.VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (data.seed === undefined || !Array.isArray(data.inputs)) {
+            throw new Error('Replay data is incomplete');
+        }
+    },
+
+    // Download the recording as a .json file
+    exportFile: function (data) {
+        Utils.downloadJSON(data, `battlezone-replay-${data.seed}.json`);
+    },
+
+    // Read a recording from a File chosen by the user
+    importFile: function (file) {
+        return Utils.readJSONFile(file).then(data => {
+            Replay.validate(data);
+            return data;
+        });
+    }
+};
+
+class ReplayRecorder {
+    constructor() {
+        this.recording = null;
+        this.lastInputs = [];
+    }
+
+    start(game) {
+        this.recording = {
+            version: Replay.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: game.seed,
+            difficulty: game.difficulty,
+            difficultySettings: Difficulty.clone(game.enemyManager.difficultySettings),
+            levelPack: game.levelPack === LevelPacks.classic ? null : game.levelPack,
+            config: {
+                use3DGameplay: game.config.use3DGameplay,
+                useBallistics: game.config.useBallistics,
+                enableSecondPlayer: game.config.enableSecondPlayer,
+                gameMode: game.config.gameMode,
+                versus: game.versusRules,
+                allies: game.allySettings
+            },
+            ticks: 0,
+            inputs: [] // [tick, playerIndex, inputName, 0|1 or analog value]
+        };
+        this.lastInputs = [];
+    }
+
+    stop() {
+        this.recording = null;
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    // Record whatever changed on each player's input since the last tick
+    capture(tick, players) {
+        if (!this.recording) return;
+
+        players.forEach((player, index) => {
+            if (!this.lastInputs[index]) {
+                this.lastInputs[index] = {};
+            }
+            const last = this.lastInputs[index];
+
+            for (const name in player.input) {
+                const value = Replay.encodeInput(player.input[name]);
+
+                if (Replay.ONE_SHOT_INPUTS.includes(name)) {
+                    // Every press counts, even twice in a row
+                    if (value) {
+                        this.recording.inputs.push([tick, index, name, value]);
+                    }
+                } else if ((last[name] || 0) !== value) {
+                    this.recording.inputs.push([tick, index, name, value]);
+                    last[name] = value;
+                }
+            }
+        });
+
+        this.recording.ticks = tick;
+    }
+
+    getRecording() {
+        return this.recording;
+    }
+}
+
+class ReplayPlayer {
+    constructor(data) {
+        Replay.validate(data);
+        this.data = data;
+        this.index = 0;
+    }
+
+    // Clear held inputs so playback starts from the same blank state as the recording
+    start(players) {
+        this.index = 0;
+        for (const player of players) {
+            for (const name in player.input) {
+                player.input[name] = typeof player.input[name] === 'number' ? 0 : false;
+            }
+        }
+    }
+
+    // Apply every recorded change up to and including this tick
+    applyTick(tick, players) {
+        const inputs = this.data.inputs;
+
+        while (this.index < inputs.length && inputs[this.index][0] <= tick) {
+            const [, playerIndex, name, value] = inputs[this.index];
+            if (players[playerIndex]) {
+                const input = players[playerIndex].input;
+                input[name] = typeof input[name] === 'number' ? value : value === 1;
+            }
+            this.index++;
+        }
+    }
+
+    isFinished(tick) {
+        return tick >= this.data.ticks;
+    }
+}
+
+// Make available globally
+window.Replay = Replay;
+window.ReplayRecorder = ReplayRecorder;
+window.ReplayPlayer = ReplayPlayer;
@@ -0,0 +1,228 @@
+// Battlezone - Save Games (localStorage + JSON file export/import)
+
+const SaveGame = {
+    STORAGE_KEY: 'battlezone.save',
+    VERSION: 1,
+
+    // Snapshot the full game state as plain JSON-safe data
+    serialize: function (game) {
+        return {
+            version: SaveGame.VERSION,
+            savedAt: new Date().toISOString(),
+            state: game.state,
+            seed: game.seed,
+            random: Random.getState(),
+            difficulty: game.difficulty,
+            level: game.level,
+            levelKills: game.levelKills,
+            levelTime: game.levelTime,
+            levelPack: game.levelPack === LevelPacks.classic ? null : game.levelPack,
+            score: game.score,
+            tick: game.tick,
+            radarBeepTimer: game.radarBeepTimer,
+            alternateMode: game.alternateMode,
+            config: {
+                use3DGameplay: game.config.use3DGameplay,
+                useBallistics: game.config.useBallistics,
+                enableSecondPlayer: game.config.enableSecondPlayer,
+                allies: game.allySettings
+            },
+            terrain: game.terrain.serialize(),
+            player: game.player.serialize(),
+            player2: game.player2 ? game.player2.serialize() : null,
+            enemies: game.enemyManager.serialize(),
+            allies: game.allyManager.serialize(),
+            projectiles: game.projectileManager.serialize(),
+            powerups: game.powerupManager.serialize()
+        };
+    },
+
+    // Rebuild the game from a snapshot produced by serialize(). If that fails
+    // partway the game is put back the way it was before the error is thrown.
+    restore: function (game, data) {
+        SaveGame.validate(data);
+
+        const backup = SaveGame.serialize(game);
+        try {
+            SaveGame.apply(game, data);
+        } catch (e) {
+            SaveGame.apply(game, backup);
+            throw e;
+        }
+    },
+
+    apply: function (game, data) {
+        game.difficulty = data.difficulty;
+        game.level = data.level;
+        game.levelPack = data.levelPack ? Levels.validatePack(data.levelPack) : LevelPacks.classic;
+        game.levelDef = Levels.getLevel(game.levelPack, game.level);
+        game.levelKills = data.levelKills || 0;
+        game.levelTime = data.levelTime || 0;
+        game.score = data.score;
+        game.tick = data.tick;
+        game.seed = data.seed;
+        game.radarBeepTimer = data.radarBeepTimer || 0;
+        game.config.use3DGameplay = data.config.use3DGameplay;
+        game.config.useBallistics = data.config.useBallistics;
+        game.config.enableSecondPlayer = data.config.enableSecondPlayer;
+        game.allySettings = Allies.normalize(data.config.allies);
+
+        // Terrain first - everything else sits on it
+        game.terrain.deserialize(data.terrain);
+        if (game.terrain.use3DGameplay) {
+            game.renderer.setTerrain(game.terrain);
+        }
+        game.navGrid.build(game.terrain);
+
+        game.player.deserialize(data.player);
+        if (data.player2) {
+            game.player2 = game.player2 || new Player2();
+            game.player2.deserialize(data.player2);
+        } else {
+            game.player2 = null;
+        }
+
+        // Older saves kept one shared lives count and score
+        if (data.player.lives === undefined) {
+            for (const player of game.getPlayers()) {
+                player.lives = data.lives;
+                player.score = 0;
+            }
+            game.player.score = data.score;
+        }
+
+        game.enemyManager.deserialize(data.enemies);
+        if (data.allies) {
+            game.allyManager.deserialize(data.allies, [...game.getPlayers(), ...game.enemyManager.getAllEntities()]);
+        } else {
+            game.allyManager.clear(); // Saved before wingmen
+        }
+        game.projectileManager.deserialize(data.projectiles, [
+            ...game.getPlayers(), ...game.enemyManager.getAllEntities(), ...game.allyManager.allies
+        ]);
+        game.powerupManager.deserialize(data.powerups);
+        game.particleSystem.clear();
+
+        if (game.alternateMode !== data.alternateMode) {
+            game.toggleAlternateMode();
+        }
+        game.applyThemeColors();
+
+        // Restore last so object construction above can't disturb the sequence
+        Random.setState(data.random);
+    },
+
+    validate: function (data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Save data is empty or not an object');
+        }
+        if (data.version !== SaveGame.VERSION) {
+            throw new Error(`Unsupported save version: ${data.version}`);
+        }
+        if (!data.terrain || !data.player || !data.enemies) {
+            throw new Error('Save data is incomplete');
+        }
+
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const isPosition = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+        const isEntity = (value) => isObject(value) && isPosition(value.position);
+        const check = (ok, section) => {
+            if (!ok) throw new Error(`Save data has a bad ${section} section`);
+        };
+
+        // Everything restore() reads, so a bad file is turned away before
+        // anything in the running game changes
+        check(isObject(data.config), 'config');
+        check(Number.isInteger(data.level) && data.level >= 1, 'level');
+        check(isNumber(data.score) && isNumber(data.tick), 'score');
+        check(isObject(data.random) && isNumber(data.random.seed) && isNumber(data.random.state), 'random');
+
+        const terrain = data.terrain;
+        check(isObject(terrain) && isNumber(terrain.size) && terrain.size > 0, 'terrain');
+        check(Array.isArray(terrain.obstacles) && terrain.obstacles.every(isEntity), 'terrain');
+        check(Array.isArray(terrain.mountains) && terrain.mountains.every(isEntity), 'terrain');
+        check(!terrain.heightMap || (Array.isArray(terrain.heightMap) &&
+            terrain.heightMap.length === terrain.heightMapSize * terrain.heightMapSize &&
+            terrain.heightMap.every(isNumber)), 'terrain');
+
+        check(isEntity(data.player), 'player');
+        check(!data.player2 || isEntity(data.player2), 'player 2');
+
+        const enemies = data.enemies;
+        check(isObject(enemies) && Array.isArray(enemies.enemies) && enemies.enemies.every(isEntity), 'enemies');
+        check(!enemies.ufo || isEntity(enemies.ufo), 'enemies');
+        Difficulty.normalize(enemies.difficultySettings);
+
+        // Saves from before wingmen have no allies
+        check(!data.allies || (isObject(data.allies) && Array.isArray(data.allies.allies) &&
+            data.allies.allies.every(isEntity)), 'allies');
+        check(Array.isArray(data.projectiles) &&
+            data.projectiles.every(p => isEntity(p) && isPosition(p.velocity)), 'projectiles');
+        check(isObject(data.powerups) && Array.isArray(data.powerups.powerups) &&
+            data.powerups.powerups.every(isEntity), 'powerups');
+
+        if (data.levelPack) {
+            Levels.validatePack(data.levelPack);
+        }
+    },
+
+    // localStorage helpers - storage can be unavailable (headless, private mode, quota)
+    hasStorage: function () {
+        return typeof localStorage !== 'undefined';
+    },
+
+    saveToStorage: function (game) {
+        if (!SaveGame.hasStorage()) return false;
+
+        try {
+            localStorage.setItem(SaveGame.STORAGE_KEY, JSON.stringify(SaveGame.serialize(game)));
+            return true;
+        } catch (e) {
+            console.warn('Could not save game:', e);
+            return false;
+        }
+    },
+
+    loadFromStorage: function () {
+        if (!SaveGame.hasStorage()) return null;
+
+        try {
+            const json = localStorage.getItem(SaveGame.STORAGE_KEY);
+            return json ? JSON.parse(json) : null;
+        } catch (e) {
+            console.warn('Could not read saved game:', e);
+            return null;
+        }
+    },
+
+    hasSave: function () {
+        return SaveGame.loadFromStorage() !== null;
+    },
+
+    clearStorage: function () {
+        if (!SaveGame.hasStorage()) return;
+
+        try {
+            localStorage.removeItem(SaveGame.STORAGE_KEY);
+        } catch (e) {
+            console.warn('Could not clear saved game:', e);
+        }
+    },
+
+    // Download the snapshot as a .json file
+    exportFile: function (data) {
+        Utils.downloadJSON(data, `battlezone-save-level${data.level}.json`);
+    },
+
+    // Read a snapshot from a File chosen by the user
+    importFile: function (file) {
+        return Utils.readJSONFile(file).then(data => {
+            SaveGame.validate(data);
+            return data;
+        });
+    }
+};
+
+// Make available globally
+window.SaveGame = SaveGame;
@@ -0,0 +1,222 @@
+// Battlezone - Enemy Squad Tactics
+//
+// Enemy tanks going after the same player work together as a squad, each
+// with a role:
+//
+//   bait        drives in close in front of the target to draw its fire
+//   flanker     swings round to the target's side or rear, where the armor is thin
+//   suppressor  stands off in front and keeps the target busy
+//
+// Every member gets a lane of its own - a bearing around the target - so
+// they don't crowd the same line of approach, and on the way in nobody runs
+// far ahead of the rest. With enough teamwork the squad also saves its shots
+// for volleys, so the target takes fire from several sides at once.
+//
+// How much of this happens is the difficulty's teamwork curve (0-1): it's
+// the share of the tanks on a target that join its squad, and volleys need
+// VOLLEY_TEAMWORK or more. Artillery plays its own game.
+
+const SQUAD_MIN_SIZE = 2;
+const SQUAD_HYSTERESIS = 15;        // Members count as this much closer, so squads don't churn
+const VOLLEY_TEAMWORK = 0.6;
+
+const BAIT_DISTANCE = 18;
+const FLANKER_DISTANCE = 20;
+const FLANKER_BEARING = 2;          // Radians off the target's nose - side and rear armor
+const SUPPRESSOR_DISTANCE = 35;
+const SUPPRESSOR_SPREAD = 0.45;     // Radians between suppressor lanes
+const LANE_MARGIN = 20;             // Lanes end this far inside the battlefield
+const LANE_MIN_RANGE = 6;
+const FORMATION_RANGE = 50;         // Further out than this the squad keeps together
+const FORMATION_SLACK = 12;         // How far ahead of the squad a tank may get
+const VOLLEY_MAX_HOLD = 1.5;        // Longest a loaded gun waits for the rest
+const VOLLEY_WINDOW = 0.5;          // Time after the call to get the shots off
+
+class SquadCoordinator {
+    constructor() {
+        // Per target id: { key, holdTime, fireTime } - key names the members
+        this.squads = {};
+    }
+
+    // Runs before the tanks do; orders go on the tanks (squadRole and friends)
+    update(deltaTime, enemies, targets, terrain, teamwork) {
+        const squads = {};
+        const candidates = new Map();
+
+        for (const enemy of enemies) {
+            if (!enemy.alive || !enemy.joinsSquads) {
+                enemy.clearSquad();
+                continue;
+            }
+
+            const target = chooseTarget(enemy, targets);
+            if (!target || !target.alive) {
+                enemy.clearSquad();
+                continue;
+            }
+            if (!candidates.has(target)) candidates.set(target, []);
+            candidates.get(target).push(enemy);
+        }
+
+        for (const [target, group] of candidates) {
+            const members = this.pickMembers(group, target, teamwork);
+            for (const enemy of group) {
+                if (!members.includes(enemy)) enemy.clearSquad();
+            }
+            if (members.length === 0) continue;
+
+            // Roles only change when the squad does
+            const key = members.map(e => e.id).sort().join(',');
+            const previous = this.squads[target.id];
+            const squad = previous && previous.key === key ? previous : { key: key, holdTime: 0, fireTime: 0 };
+            if (squad !== previous || members.some(e => !e.squadRole)) {
+                this.assignRoles(members, target);
+            }
+
+            this.setGoals(members, target, terrain);
+            this.updateVolley(squad, members, teamwork, deltaTime);
+            squads[target.id] = squad;
+        }
+
+        this.squads = squads;
+    }
+
+    // The tanks nearest the target, as many as teamwork allows (none below SQUAD_MIN_SIZE)
+    pickMembers(group, target, teamwork) {
+        const count = Math.round(teamwork * group.length);
+        if (count < SQUAD_MIN_SIZE) return [];
+
+        const rank = (enemy) => Utils.distance2D(enemy.position[0], enemy.position[2], target.position[0], target.position[2]) -
+            (enemy.squadRole ? SQUAD_HYSTERESIS : 0);
+        return group
+            .map(enemy => ({ enemy: enemy, rank: rank(enemy) }))
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, count)
+            .map(entry => entry.enemy);
+    }
+
+    // Bait and two flankers once there are three, suppressors after that.
+    // Tank classes get the role they're built for when there's one going.
+    assignRoles(members, target) {
+        const roles = members.length >= 3 ? ['bait', 'flanker', 'flanker'] : ['flanker'];
+        while (roles.length < members.length) roles.push('suppressor');
+
+        const left = [...members];
+        const flankers = [];
+        const suppressors = [];
+
+        for (const role of roles) {
+            const enemy = left.find(e => e.preferredRole === role) || left.find(e => !e.preferredRole) || left[0];
+            left.splice(left.indexOf(enemy), 1);
+            enemy.squadRole = role;
+
+            if (role === 'bait') {
+                enemy.squadBearing = 0;
+                enemy.squadRange = BAIT_DISTANCE;
+            } else if (role === 'flanker') {
+                flankers.push(enemy);
+            } else {
+                suppressors.push(enemy);
+            }
+        }
+
+        // Flankers take the side they're already nearer
+        const bearing = (enemy) => Utils.normalizeAngle(
+            Math.atan2(enemy.position[0] - target.position[0], enemy.position[2] - target.position[2]) - target.rotation);
+        flankers.sort((a, b) => bearing(a) - bearing(b));
+        flankers.forEach((enemy, i) => {
+            const side = flankers.length === 2 ? (i === 0 ? -1 : 1) : (Math.sign(bearing(enemy)) || 1);
+            enemy.squadBearing = side * FLANKER_BEARING;
+            enemy.squadRange = FLANKER_DISTANCE;
+        });
+
+        // Suppressor lanes fan out across the front, leaving the middle to the bait
+        const hasBait = members.some(e => e.squadRole === 'bait');
+        suppressors.forEach((enemy, i) => {
+            const lane = hasBait ? i + 1 : i;
+            const step = Math.ceil(lane / 2) * (lane % 2 === 1 ? 1 : -1);
+            enemy.squadBearing = step * SUPPRESSOR_SPREAD;
+            enemy.squadRange = SUPPRESSOR_DISTANCE;
+        });
+    }
+
+    // Each member's spot in its lane, and whether to wait for the others
+    setGoals(members, target, terrain) {
+        const distance = (enemy) => Utils.distance2D(enemy.position[0], enemy.position[2], target.position[0], target.position[2]);
+
+        // The median, so one straggler (or a fresh spawn) doesn't hold everyone up
+        const distances = members.map(distance).sort((a, b) => a - b);
+        const middle = distances[Math.floor(distances.length / 2)];
+
+        for (const enemy of members) {
+            enemy.squadGoal = this.getLaneGoal(target, enemy.squadBearing, enemy.squadRange, terrain);
+
+            // Out of the fight yet, the ones in front let the rest catch up
+            enemy.squadWait = middle > FORMATION_RANGE && distance(enemy) < middle - FORMATION_SLACK;
+        }
+    }
+
+    // The end of a lane. One running off the battlefield flips round to the
+    // target's other end (front to back), and failing that stops short, so
+    // lanes stay apart even with the target backed up to the edge.
+    getLaneGoal(target, bearing, range, terrain) {
+        const at = (angle, distance) => {
+            const dir = Utils.angleToVector(target.rotation + angle);
+            return [target.position[0] + dir[0] * distance, 0, target.position[2] + dir[2] * distance];
+        };
+        const fits = (point) => !terrain || terrain.isInBounds(point[0], point[2], LANE_MARGIN);
+
+        const goal = at(bearing, range);
+        if (fits(goal)) return goal;
+
+        const flipped = at(Math.PI - bearing, range);
+        if (fits(flipped)) return flipped;
+
+        let distance = range;
+        let shorter = goal;
+        while (distance > LANE_MIN_RANGE && !fits(shorter)) {
+            distance -= 2;
+            shorter = at(bearing, distance);
+        }
+        terrain.clampToBounds(shorter, LANE_MARGIN);
+        return shorter;
+    }
+
+    // Loaded guns hold until the others are ready too, then all fire together
+    updateVolley(squad, members, teamwork, deltaTime) {
+        if (teamwork < VOLLEY_TEAMWORK) {
+            members.forEach(enemy => { enemy.holdFire = false; });
+            return;
+        }
+
+        if (squad.fireTime > 0) {
+            squad.fireTime -= deltaTime;
+        } else {
+            const canSee = members.filter(e => e.hasLineOfSight);
+            const ready = canSee.filter(e => e.shootTimer <= 0);
+
+            squad.holdTime = ready.length > 0 ? squad.holdTime + deltaTime : 0;
+            if (ready.length > 0 && (ready.length === canSee.length || ready.length >= 3 || squad.holdTime >= VOLLEY_MAX_HOLD)) {
+                squad.fireTime = VOLLEY_WINDOW;
+                squad.holdTime = 0;
+            }
+        }
+
+        members.forEach(enemy => { enemy.holdFire = squad.fireTime <= 0; });
+    }
+
+    clear() {
+        this.squads = {};
+    }
+
+    serialize() {
+        return JSON.parse(JSON.stringify(this.squads));
+    }
+
+    deserialize(data) {
+        this.squads = data ? JSON.parse(JSON.stringify(data)) : {};
+    }
+}
+
+// Make available globally
+window.SquadCoordinator = SquadCoordinator;
@@ -0,0 +1,48 @@
+// Battlezone - Match Statistics (fed by the event bus)
+
+class GameStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.shotsFired = 0;
+        this.missilesLaunched = 0;
+        this.enemiesDestroyed = 0;
+        this.ufosDestroyed = 0;
+        this.deaths = 0;
+        this.powerupsCollected = 0;
+        this.levelsCompleted = 0;
+    }
+
+    attach(events) {
+        events.on(GameEvent.GAME_STARTED, () => this.reset());
+        events.on(GameEvent.SHOT_FIRED, ({ owner }) => {
+            if (owner instanceof Player) this.shotsFired++;
+        });
+        events.on(GameEvent.MISSILE_LAUNCHED, ({ owner }) => {
+            if (owner instanceof Player) this.missilesLaunched++;
+        });
+        events.on(GameEvent.PLAYER_HIT, () => this.deaths++);
+        events.on(GameEvent.POWERUP_COLLECTED, () => this.powerupsCollected++);
+        events.on(GameEvent.LEVEL_COMPLETE, () => this.levelsCompleted++);
+        events.on(GameEvent.ENEMY_DESTROYED, ({ enemy, projectile }) => {
+            if (projectile && Allies.isAllyId(projectile.ownerId)) return; // The wingmen's kills aren't the player's
+
+            if (enemy instanceof UFO) {
+                this.ufosDestroyed++;
+            } else {
+                this.enemiesDestroyed++;
+            }
+        });
+    }
+
+    getAccuracy() {
+        const shots = this.shotsFired + this.missilesLaunched;
+        const kills = this.enemiesDestroyed + this.ufosDestroyed;
+        return shots > 0 ? kills / shots : 0;
+    }
+}
+
+// Make available globally
+window.GameStats = GameStats;
@@ -0,0 +1,138 @@
+// Battlezone - Predictive Targeting
+//
+// AI gunners aim where their target is going to be, not where it is: the
+// intercept point from the target's velocity and the shot's speed. Shells
+// that fall under gravity (ballistic mode, artillery) take longer to get
+// there the higher they arc, so their flight time is worked out on the arc.
+//
+// Two things from the difficulty (see difficulty.js) keep this beatable:
+//
+//   lead      0-1, how much of the target's movement the gunner allows for
+//   accuracy  0-1, the width of a random error cone round the aim - and the
+//             cone opens up with distance, so long shots miss more often
+
+const LEAD_ITERATIONS = 4;          // Refinements of a falling shell's flight time
+const AIM_ERROR_RANGE = 40;         // The error cone is its nominal width at this distance
+const AIM_ERROR_MIN_SCALE = 0.4;    // ...narrowing to this share of it close in
+const AIM_ERROR_MAX_SCALE = 1.6;    // ...and widening to this much far out
+const AIM_ERROR_PITCH = 0.3;        // The cone is flattened - high or low shells just look silly
+
+const Targeting = {
+    // Where something is heading, per second, across the ground. A player's
+    // velocity is what the engine is doing, which pressed up against the edge
+    // of the map isn't what the tank is doing, so players keep both.
+    getVelocity: function (entity) {
+        return entity.groundVelocity || entity.velocity || [0, 0, 0];
+    },
+
+    // Seconds for a straight shot from origin to meet something at position
+    // moving at velocity, or null if the shot can't catch it
+    getInterceptTime: function (origin, position, velocity, speed) {
+        const dx = position[0] - origin[0];
+        const dy = position[1] - origin[1];
+        const dz = position[2] - origin[2];
+
+        // |d + v t| = speed * t
+        const a = velocity[0] * velocity[0] + velocity[2] * velocity[2] - speed * speed;
+        const b = 2 * (dx * velocity[0] + dz * velocity[2]);
+        const c = dx * dx + dy * dy + dz * dz;
+
+        // Target exactly as fast as the shot
+        if (Math.abs(a) < 1e-6) {
+            return b < 0 ? -c / b : null;
+        }
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+
+        const root = Math.sqrt(discriminant);
+        const t1 = (-b - root) / (2 * a);
+        const t2 = (-b + root) / (2 * a);
+        const time = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+        return time > 0 ? time : null;
+    },
+
+    // The point to aim a shot from origin at: the target's position plus lead
+    // times how far it moves while the shot is on its way. With physics the
+    // shot is a falling shell, fired with PhysicsEngine.calculateBallisticShot.
+    getAimPoint: function (origin, target, speed, lead = 1, physics = null) {
+        const velocity = Targeting.getVelocity(target);
+        const ahead = (time) => [
+            target.position[0] + velocity[0] * lead * time,
+            target.position[1],
+            target.position[2] + velocity[2] * lead * time
+        ];
+
+        if (lead <= 0) return ahead(0);
+
+        if (!physics) {
+            const led = [velocity[0] * lead, 0, velocity[2] * lead];
+            const time = Targeting.getInterceptTime(origin, target.position, led, speed);
+            return ahead(time === null ? 0 : time);
+        }
+
+        // A falling shell crosses the ground slower the higher it arcs, and
+        // the arc depends on where it's going
+        let time = Utils.distance2D(origin[0], origin[2], target.position[0], target.position[2]) / speed;
+        for (let i = 0; i < LEAD_ITERATIONS; i++) {
+            const point = ahead(time);
+            if (!Targeting.canReach(origin, point, speed, physics)) {
+                // Running out of range - the shell can't get there, so fire at the target as it is
+                return ahead(0);
+            }
+
+            const shot = physics.calculateBallisticShot(origin, point, speed);
+            const across = Math.sqrt(shot[0] * shot[0] + shot[2] * shot[2]);
+            time = Utils.distance2D(origin[0], origin[2], point[0], point[2]) / across;
+        }
+        return ahead(time);
+    },
+
+    // Whether a falling shell at speed can reach point at all (otherwise
+    // PhysicsEngine.calculateBallisticShot just fires it straight)
+    canReach: function (origin, point, speed, physics) {
+        const dy = point[1] - origin[1];
+        const across = Utils.distance2D(origin[0], origin[2], point[0], point[2]);
+        const g = Math.abs(physics.gravity);
+        const v2 = speed * speed;
+        return v2 * v2 - g * (g * across * across + 2 * dy * v2) >= 0;
+    },
+
+    // Widest error (radians off the aim) for a gunner at a distance
+    getSpread: function (accuracy, distance) {
+        const scale = Utils.clamp(distance / AIM_ERROR_RANGE, AIM_ERROR_MIN_SCALE, AIM_ERROR_MAX_SCALE);
+        return (1 - accuracy) * Difficulty.MAX_AIM_ERROR * scale;
+    },
+
+    // Turns a shot direction or velocity (in place, keeping its length) to a
+    // random point in the error cone. Perfect aim draws no random numbers.
+    applyError: function (vector, accuracy, distance) {
+        if (accuracy >= 1) return vector;
+
+        // Evenly over the cone, not bunched in the middle
+        const offset = Targeting.getSpread(accuracy, distance) * Math.sqrt(Random.next());
+        const around = Random.next() * Math.PI * 2;
+        const yaw = offset * Math.cos(around);
+        const pitch = offset * Math.sin(around) * AIM_ERROR_PITCH;
+
+        // Left or right
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        const x = vector[0];
+        vector[0] = x * cos + vector[2] * sin;
+        vector[2] = vector[2] * cos - x * sin;
+
+        // Up or down
+        const across = Math.sqrt(vector[0] * vector[0] + vector[2] * vector[2]);
+        if (across > 0) {
+            const flat = across * Math.cos(pitch) - vector[1] * Math.sin(pitch);
+            vector[1] = vector[1] * Math.cos(pitch) + across * Math.sin(pitch);
+            vector[0] *= flat / across;
+            vector[2] *= flat / across;
+        }
+        return vector;
+    }
+};
+
+// Make available globally
+window.Targeting = Targeting;
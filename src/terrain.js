@@ -5,6 +5,7 @@ class Terrain {
         this.size = config.size || 200;
         this.obstacles = [];
         this.mountains = [];
+        this.spawnZones = { player: [], enemy: [] };
         this.bounds = {
             minX: -this.size / 2,
             maxX: this.size / 2,
@@ -16,24 +17,50 @@ class Terrain {
         this.heightMap = null;
         this.heightMapSize = config.heightMapSize || 64;
         this.maxElevation = config.maxElevation || 5;
+        this.defaultMaxElevation = this.maxElevation;
         this.use3DGameplay = config.use3DGameplay || false;
 
         this.generate();
     }
 
-    generate() {
+    // Build the battlefield; layout comes from a level's "terrain" section (see
+    // levels.js) or a map saved by the editor (see exportLayout)
+    generate(layout = {}) {
+        this.maxElevation = layout.maxElevation !== undefined ? layout.maxElevation : this.defaultMaxElevation;
+
         if (this.use3DGameplay) {
-            this.generateHeightMap();
+            if (layout.heightMap) {
+                this.loadHeightMap(layout.heightMap, layout.heightMapSize);
+            } else {
+                this.generateHeightMap();
+            }
+        }
+
+        this.spawnZones = {
+            player: layout.spawnZones ? JSON.parse(JSON.stringify(layout.spawnZones.player || [])) : [],
+            enemy: layout.spawnZones ? JSON.parse(JSON.stringify(layout.spawnZones.enemy || [])) : []
+        };
+
+        // Arrays are fixed layouts, objects are generator settings
+        if (Array.isArray(layout.mountains)) {
+            this.placeMountains(layout.mountains);
+        } else {
+            this.generateMountains(layout.mountains);
         }
 
-        this.generateMountains();
-        this.generateObstacles();
+        if (Array.isArray(layout.obstacles)) {
+            this.placeObstacles(layout.obstacles);
+        } else {
+            this.generateObstacles(layout.obstacles);
+        }
     }
 
-    generateMountains() {
+    generateMountains(settings = {}) {
         this.mountains = [];
 
-        const mountainCount = 20;
+        const mountainCount = settings.count !== undefined ? settings.count : 20;
+        const minScale = settings.minScale || 0.8;
+        const maxScale = settings.maxScale || 1.5;
         const edgeDistance = this.size / 2 - 10;
 
         // Place mountains around the perimeter
@@ -52,17 +79,29 @@ class Terrain {
 
             this.mountains.push({
                 position: [x, y, z],
-                scale: Utils.random(0.8, 1.5),
+                scale: Utils.random(minScale, maxScale),
                 rotation: Utils.random(0, Math.PI * 2),
                 color: [0.3, 0.35, 0.25] // Earthy mountain color
             });
         }
     }
 
-    generateObstacles() {
+    // Mountains at fixed [x, z] positions
+    placeMountains(layout) {
+        this.mountains = layout.map(m => ({
+            position: [m.position[0], this.getHeightAt(m.position[0], m.position[1]), m.position[1]],
+            scale: m.scale || 1,
+            rotation: m.rotation || 0,
+            color: [0.3, 0.35, 0.25]
+        }));
+    }
+
+    generateObstacles(settings = {}) {
         this.obstacles = [];
 
-        const obstacleCount = 15;
+        const obstacleCount = settings.count !== undefined ? settings.count : 15;
+        const minSize = settings.minSize || 3;
+        const maxSize = settings.maxSize || 6;
         const margin = 20;
 
         for (let i = 0; i < obstacleCount; i++) {
@@ -84,8 +123,8 @@ class Terrain {
                 position[1] = this.getHeightAt(position[0], position[2]);
             }
 
-            const type = Math.random() > 0.5 ? 'cube' : 'pyramid';
-            const baseSize = Utils.random(3, 6);
+            const type = Random.next() > 0.5 ? 'cube' : 'pyramid';
+            const baseSize = Utils.random(minSize, maxSize);
 
             this.obstacles.push({
                 id: `obstacle_${i}`,
@@ -101,6 +140,26 @@ class Terrain {
         }
     }
 
+    // Obstacles at fixed [x, z] positions; size is [width, height, depth] or a base size
+    placeObstacles(layout) {
+        this.obstacles = layout.map((o, i) => {
+            const type = o.type || 'cube';
+            const base = typeof o.size === 'number' ? o.size : 4;
+            const size = Array.isArray(o.size) ? [...o.size] :
+                [base, type === 'pyramid' ? base * 1.5 : base, base];
+
+            return {
+                id: `obstacle_${i}`,
+                position: [o.position[0], this.getHeightAt(o.position[0], o.position[1]), o.position[1]],
+                rotation: o.rotation || 0,
+                type: type,
+                size: size,
+                color: [0.4, 0.35, 0.3],
+                collisionRadius: Math.max(size[0], size[2]) * 0.7
+            };
+        });
+    }
+
     checkObstacleOverlap(position, minDistance) {
         for (const obstacle of this.obstacles) {
             const dist = Utils.distance2D(
@@ -139,6 +198,91 @@ class Terrain {
         }
     }
 
+    // Heights saved by the map editor (world units, row-major), resampled if the grid size differs
+    loadHeightMap(heights, size = this.heightMapSize) {
+        if (heights.length !== size * size) {
+            throw new Error(`Height map has ${heights.length} values, expected ${size}x${size}`);
+        }
+        this.heightMap = this.resampleGrid(heights, size, size);
+    }
+
+    // Grayscale image brightness (0..1, row-major, row 0 = north) scaled by maxElevation
+    loadHeightMapImage(image) {
+        const grid = this.resampleGrid(image.data, image.width, image.height);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] *= this.maxElevation;
+        }
+
+        this.heightMap = grid;
+        this.snapToGround();
+    }
+
+    // Heights as 0..1 brightness for exporting (white = maxElevation)
+    getHeightMapImage() {
+        const size = this.heightMapSize;
+        const data = new Float32Array(size * size);
+
+        if (this.heightMap && this.maxElevation > 0) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Utils.clamp(this.heightMap[i] / this.maxElevation, 0, 1);
+            }
+        }
+        return { data: data, width: size, height: size };
+    }
+
+    // Bilinear resample of a width x height grid onto the heightMapSize grid
+    resampleGrid(values, width, height) {
+        const size = this.heightMapSize;
+        const grid = new Float32Array(size * size);
+        const sample = (x, z) => values[z * width + x];
+
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                const sx = size > 1 ? x / (size - 1) * (width - 1) : 0;
+                const sz = size > 1 ? z / (size - 1) * (height - 1) : 0;
+                const x0 = Math.floor(sx);
+                const z0 = Math.floor(sz);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const z1 = Math.min(z0 + 1, height - 1);
+
+                const top = Utils.lerp(sample(x0, z0), sample(x1, z0), sx - x0);
+                const bottom = Utils.lerp(sample(x0, z1), sample(x1, z1), sx - x0);
+                grid[z * size + x] = Utils.lerp(top, bottom, sz - z0);
+            }
+        }
+        return grid;
+    }
+
+    // Re-seat obstacles and mountains after the ground under them changed
+    snapToGround() {
+        for (const piece of [...this.obstacles, ...this.mountains]) {
+            piece.position[1] = this.getHeightAt(piece.position[0], piece.position[2]);
+        }
+    }
+
+    // Current map in the format generate() accepts
+    exportLayout() {
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return {
+            maxElevation: this.maxElevation,
+            heightMapSize: this.heightMapSize,
+            heightMap: this.heightMap ? Array.from(this.heightMap, round) : null,
+            mountains: this.mountains.map(m => ({
+                position: [round(m.position[0]), round(m.position[2])],
+                scale: round(m.scale),
+                rotation: round(m.rotation)
+            })),
+            obstacles: this.obstacles.map(o => ({
+                type: o.type,
+                position: [round(o.position[0]), round(o.position[2])],
+                size: o.size.map(round),
+                rotation: round(o.rotation)
+            })),
+            spawnZones: JSON.parse(JSON.stringify(this.spawnZones))
+        };
+    }
+
     // Simple noise function
     noise(x, z) {
         const X = Math.floor(x) & 255;
@@ -220,6 +364,37 @@ class Terrain {
         return normal;
     }
 
+    serialize() {
+        return {
+            size: this.size,
+            use3DGameplay: this.use3DGameplay,
+            heightMapSize: this.heightMapSize,
+            maxElevation: this.maxElevation,
+            heightMap: this.heightMap ? Array.from(this.heightMap) : null,
+            obstacles: JSON.parse(JSON.stringify(this.obstacles)),
+            mountains: JSON.parse(JSON.stringify(this.mountains)),
+            spawnZones: JSON.parse(JSON.stringify(this.spawnZones))
+        };
+    }
+
+    deserialize(data) {
+        this.size = data.size;
+        this.bounds = {
+            minX: -this.size / 2,
+            maxX: this.size / 2,
+            minZ: -this.size / 2,
+            maxZ: this.size / 2
+        };
+        this.use3DGameplay = data.use3DGameplay;
+        this.heightMapSize = data.heightMapSize;
+        this.maxElevation = data.maxElevation;
+        this.heightMap = data.heightMap ? new Float32Array(data.heightMap) : null;
+        this.obstacles = JSON.parse(JSON.stringify(data.obstacles));
+        this.mountains = JSON.parse(JSON.stringify(data.mountains));
+        this.spawnZones = data.spawnZones ?
+            JSON.parse(JSON.stringify(data.spawnZones)) : { player: [], enemy: [] };
+    }
+
     isInBounds(x, z, margin = 0) {
         return x >= this.bounds.minX + margin &&
             x <= this.bounds.maxX - margin &&
@@ -270,14 +445,64 @@ class Terrain {
                 valid = false;
             }
 
-            if (valid) return position;
+            if (valid) return this.placeOnGround(position);
             attempts++;
         } while (attempts < 50);
 
+        return this.placeOnGround(position);
+    }
+
+    // Spawn points sit on the (possibly imported) heightmap
+    placeOnGround(position) {
+        position[1] = this.use3DGameplay ? this.getHeightAt(position[0], position[2]) : 0;
         return position;
     }
 
+    // Player spawns use the map's player zones when it has any
+    getPlayerSpawnPosition(avoidPositions = [], minDistance = 20) {
+        if (this.spawnZones.player.length > 0) {
+            return this.getZoneSpawnPosition(this.spawnZones.player, avoidPositions, minDistance);
+        }
+        return this.getRandomSpawnPosition(10, avoidPositions, minDistance);
+    }
+
+    // Random clear point inside one of the given { position: [x, z], radius } zones
+    getZoneSpawnPosition(zones, avoidPositions = [], minDistance = 15) {
+        let position;
+        let attempts = 0;
+
+        do {
+            const zone = zones[Utils.randomInt(0, zones.length - 1)];
+            const angle = Utils.random(0, Math.PI * 2);
+            const distance = Math.sqrt(Random.next()) * zone.radius;
+
+            position = this.clampToBounds([
+                zone.position[0] + Math.cos(angle) * distance,
+                0,
+                zone.position[1] + Math.sin(angle) * distance
+            ]);
+
+            let valid = !Collision.checkObstacleCollision(position, 5, this.obstacles);
+            for (const avoidPos of avoidPositions) {
+                if (Utils.distance2D(position[0], position[2], avoidPos[0], avoidPos[2]) < minDistance) {
+                    valid = false;
+                    break;
+                }
+            }
+
+            if (valid) return this.placeOnGround(position);
+            attempts++;
+        } while (attempts < 30);
+
+        return this.placeOnGround(position);
+    }
+
     getEdgeSpawnPosition(avoidPositions = [], viewDirection = null) {
+        // Maps with enemy zones spawn there instead of at the edge
+        if (this.spawnZones.enemy.length > 0) {
+            return this.getZoneSpawnPosition(this.spawnZones.enemy, avoidPositions, 20);
+        }
+
         let position;
         let attempts = 0;
 
@@ -345,11 +570,11 @@ class Terrain {
                 }
             }
 
-            if (valid) return position;
+            if (valid) return this.placeOnGround(position);
             attempts++;
         } while (attempts < 30);
 
-        return position;
+        return this.placeOnGround(position);
     }
 }
 
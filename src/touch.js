@@ -0,0 +1,152 @@
+// Battlezone - Touch Controls (virtual joystick and buttons for phones/tablets)
+//
+// The overlay appears once the device reports a touch. The stick writes the
+// same analog inputs as a gamepad (throttle, steer), so physics and replays
+// treat both alike. Each finger is tracked by its touch identifier, so the
+// stick and the buttons can be used at the same time.
+
+class TouchControls {
+    constructor(game) {
+        this.game = game;
+        this.enabled = false;
+
+        this.overlay = null;
+        this.stick = null;
+        this.knob = null;
+
+        this.stickTouchId = null;
+        this.stickCenter = [0, 0];
+        this.stickRadius = 1;
+        this.deadzone = 0.15;
+        this.resolution = 20; // Same snapping as gamepad sticks keeps replays small
+    }
+
+    setupInput() {
+        this.overlay = document.getElementById('touch-controls');
+        this.stick = document.getElementById('touch-stick');
+        this.knob = document.getElementById('touch-knob');
+        if (!this.overlay || !this.stick) return;
+
+        // Show the overlay on the first touch, or straight away on touch-first devices
+        window.addEventListener('touchstart', () => this.enable(), { once: true, passive: true });
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.enable();
+        }
+
+        this.stick.addEventListener('touchstart', (e) => this.onStickStart(e), { passive: false });
+        window.addEventListener('touchmove', (e) => this.onStickMove(e), { passive: false });
+        window.addEventListener('touchend', (e) => this.onStickEnd(e));
+        window.addEventListener('touchcancel', (e) => this.onStickEnd(e));
+
+        this.overlay.querySelectorAll('.touch-btn').forEach(btn => {
+            btn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                btn.classList.add('pressed');
+                this.press(btn.dataset.action);
+            }, { passive: false });
+
+            const release = () => btn.classList.remove('pressed');
+            btn.addEventListener('touchend', release);
+            btn.addEventListener('touchcancel', release);
+        });
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.game.ui.setTouchControlsVisible(true);
+    }
+
+    // Tank input only goes to a live game (not menus or replays)
+    getPlayer() {
+        const game = this.game;
+        return game.state === GameState.PLAYING && !game.replay ? game.player : null;
+    }
+
+    press(action) {
+        const game = this.game;
+
+        if (action === 'pause') {
+            if (game.state === GameState.PLAYING) {
+                game.pause();
+            } else if (game.state === GameState.PAUSED) {
+                game.resume();
+            }
+            return;
+        }
+
+        const player = this.getPlayer();
+        if (!player) return;
+
+        if (action === 'view') {
+            player.toggleView();
+            game.ui.updateViewMode(player.thirdPerson);
+        } else {
+            player.input[action] = true; // shoot / missile
+        }
+    }
+
+    onStickStart(e) {
+        e.preventDefault();
+        if (this.stickTouchId !== null) return;
+
+        const touch = e.changedTouches[0];
+        const rect = this.stick.getBoundingClientRect();
+        this.stickTouchId = touch.identifier;
+        this.stickCenter = [rect.left + rect.width / 2, rect.top + rect.height / 2];
+        this.stickRadius = rect.width / 2;
+        this.moveStick(touch);
+    }
+
+    onStickMove(e) {
+        const touch = this.findStickTouch(e.changedTouches);
+        if (!touch) return;
+
+        e.preventDefault();
+        this.moveStick(touch);
+    }
+
+    onStickEnd(e) {
+        if (!this.findStickTouch(e.changedTouches)) return;
+
+        this.stickTouchId = null;
+        this.setStick(0, 0);
+    }
+
+    findStickTouch(touches) {
+        return Array.from(touches).find(touch => touch.identifier === this.stickTouchId) || null;
+    }
+
+    moveStick(touch) {
+        let x = (touch.clientX - this.stickCenter[0]) / this.stickRadius;
+        let y = (touch.clientY - this.stickCenter[1]) / this.stickRadius;
+
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        this.setStick(x, y);
+    }
+
+    setStick(x, y) {
+        // The knob is half the base, so 50% of its own size reaches the rim
+        if (this.knob) {
+            this.knob.style.transform = `translate(${x * 50}%, ${y * 50}%)`;
+        }
+
+        const player = this.getPlayer();
+        if (!player) return;
+
+        player.input.steer = this.shapeAxis(x);
+        player.input.throttle = this.shapeAxis(-y); // Screen up is forward
+    }
+
+    shapeAxis(value) {
+        if (Math.abs(value) < this.deadzone) return 0;
+        return Math.round(value * this.resolution) / this.resolution;
+    }
+}
+
+// Make available globally
+window.TouchControls = TouchControls;
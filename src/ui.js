@@ -5,8 +5,18 @@ class UI {
         // Get DOM elements
         this.scoreValue = document.getElementById('score-value');
         this.livesValue = document.getElementById('lives-value');
+        this.p2Display = document.getElementById('p2-display');
+        this.p2ScoreValue = document.getElementById('p2-score-value');
+        this.p2LivesValue = document.getElementById('p2-lives-value');
+        this.healthFill = document.getElementById('health-fill');
+        this.p2HealthFill = document.getElementById('p2-health-fill');
         this.levelValue = document.getElementById('level-value');
+        this.scoreLabel = document.getElementById('score-label');
+        this.livesLabel = document.getElementById('lives-label');
+        this.p2LivesLabel = document.getElementById('p2-lives-label');
+        this.levelLabel = document.getElementById('level-label');
         this.viewLabel = document.getElementById('view-label');
+        this.viewLabelP2 = document.getElementById('view-label-p2');
         this.statusMessage = document.getElementById('status-message');
         this.gameMessage = document.getElementById('game-message');
         this.messageTitle = document.getElementById('message-title');
@@ -17,42 +27,186 @@ class UI {
         this.freezeIndicator = document.getElementById('freeze-indicator');
         this.xrayIndicator = document.getElementById('xray-indicator');
         this.speedIndicator = document.getElementById('speed-indicator');
-
-        // Radar canvas
+        this.seedInput = document.getElementById('seed-input');
+        this.continueButton = document.getElementById('continue-btn');
+        this.exportSaveButton = document.getElementById('export-save-btn');
+        this.downloadReplayButton = document.getElementById('download-replay-btn');
+        this.loadLevelsButton = document.getElementById('load-levels-btn');
+        this.classicLevelsButton = document.getElementById('classic-levels-btn');
+        this.gameContainer = document.getElementById('game-container');
+        this.editorPanel = document.getElementById('editor-panel');
+        this.difficultyBuilder = document.getElementById('difficulty-builder');
+        this.difficultyPresetSelect = document.getElementById('difficulty-preset-select');
+        this.difficultyName = document.getElementById('difficulty-name');
+        this.difficultyCode = document.getElementById('difficulty-code');
+        this.controlsMenu = document.getElementById('controls-menu');
+        this.controlsTable = document.getElementById('controls-table');
+
+        // Radar canvas (Player 2 has its own in split-screen)
         this.radarCanvas = document.getElementById('radar-canvas');
         this.radarCtx = this.radarCanvas.getContext('2d');
+        this.radarCanvasP2 = document.getElementById('radar-canvas-p2');
+        this.radarCtxP2 = this.radarCanvasP2 ? this.radarCanvasP2.getContext('2d') : null;
+        this.splitLayout = null;
+        this.versusMode = false;
+        this.matchClock = undefined;
 
         this.statusTimeout = null;
     }
 
     init() {
         // Set radar canvas size
-        const container = this.radarCanvas.parentElement;
-        this.radarCanvas.width = container.clientWidth;
-        this.radarCanvas.height = container.clientHeight;
+        for (const canvas of [this.radarCanvas, this.radarCanvasP2]) {
+            if (!canvas) continue;
+            const container = canvas.parentElement;
+            canvas.width = container.clientWidth;
+            canvas.height = container.clientHeight;
+        }
+    }
+
+    // 'vertical' (side by side), 'horizontal' (top and bottom) or null for one view
+    setSplitScreen(layout) {
+        if (layout === this.splitLayout) return;
+        this.splitLayout = layout;
+
+        this.gameContainer.classList.toggle('split-vertical', layout === 'vertical');
+        this.gameContainer.classList.toggle('split-horizontal', layout === 'horizontal');
+        this.init(); // Radars change size
     }
 
-    updateScore(score) {
-        if (this.scoreValue) {
-            this.scoreValue.textContent = score.toString().padStart(6, '0');
+    updateSplitLayoutButton(layout, twoPlayers) {
+        const btn = document.getElementById('split-layout-btn');
+        if (btn) {
+            btn.textContent = layout === 'horizontal' ? 'SPLIT: TOP/BOTTOM' : 'SPLIT: SIDE BY SIDE';
+            btn.classList.toggle('hidden', !twoPlayers);
         }
     }
 
-    updateLives(lives) {
-        if (this.livesValue) {
-            this.livesValue.textContent = lives;
+    // 2 player toggle, co-op/versus mode and the versus rule buttons
+    updatePlayerModeButtons(twoPlayers, gameMode, rules) {
+        const toggle2PlayerBtn = document.getElementById('toggle-2player');
+        if (toggle2PlayerBtn) {
+            toggle2PlayerBtn.textContent = twoPlayers ? '2 PLAYER: ON' : '2 PLAYER: OFF';
+            toggle2PlayerBtn.classList.toggle('active', twoPlayers);
+        }
+
+        const p2Controls = document.getElementById('p2-controls');
+        if (p2Controls) {
+            p2Controls.classList.toggle('hidden', !twoPlayers);
+        }
+
+        const versus = gameMode === 'versus';
+        const modeBtn = document.getElementById('game-mode-btn');
+        if (modeBtn) {
+            modeBtn.textContent = versus ? 'MODE: VERSUS' : 'MODE: CO-OP';
+            modeBtn.classList.toggle('active', versus);
+        }
+
+        const options = document.getElementById('versus-options');
+        if (options) {
+            options.classList.toggle('hidden', !versus);
+        }
+
+        const texts = {
+            'versus-kills-btn': rules.killLimit > 0 ? `KILLS: ${rules.killLimit}` : 'KILLS: OFF',
+            'versus-time-btn': rules.timeLimit > 0 ? `TIME: ${Versus.formatTime(rules.timeLimit)}` : 'TIME: OFF',
+            'versus-hazards-btn': rules.hazards ? 'AI TANKS: ON' : 'AI TANKS: OFF'
+        };
+        for (const id in texts) {
+            const btn = document.getElementById(id);
+            if (btn) btn.textContent = texts[id];
         }
     }
 
+    // Wingmen don't join versus matches, so their buttons hide there
+    updateWingmenButtons(settings, versus) {
+        const options = document.getElementById('wingmen-options');
+        if (options) {
+            options.classList.toggle('hidden', versus);
+        }
+
+        const countBtn = document.getElementById('wingmen-btn');
+        if (countBtn) {
+            countBtn.textContent = `WINGMEN: ${settings.count}`;
+            countBtn.classList.toggle('active', settings.count > 0);
+        }
+
+        const fireBtn = document.getElementById('friendly-fire-btn');
+        if (fireBtn) {
+            fireBtn.textContent = settings.friendlyFire ? 'FRIENDLY FIRE: ON' : 'FRIENDLY FIRE: OFF';
+            fireBtn.classList.toggle('active', settings.friendlyFire);
+        }
+    }
+
+    // Versus shows kills, deaths and the match clock where score, lives and level go
+    setVersusMode(on) {
+        if (on === this.versusMode) return;
+        this.versusMode = on;
+
+        const labels = [
+            [this.scoreLabel, 'KILLS', 'SCORE'],
+            [this.livesLabel, 'DEATHS', 'LIVES'],
+            [this.p2LivesLabel, 'DEATHS', 'LIVES'],
+            [this.levelLabel, 'TIME', 'LEVEL']
+        ];
+        for (const [label, versusText, coopText] of labels) {
+            if (label) label.textContent = on ? versusText : coopText;
+        }
+        this.matchClock = undefined;
+    }
+
+    // Seconds left in a timed match, or null for none
+    updateMatchClock(secondsLeft) {
+        const text = secondsLeft === null ? '--' : Versus.formatTime(secondsLeft);
+        if (text === this.matchClock || !this.levelValue) return;
+
+        this.matchClock = text;
+        this.levelValue.textContent = text;
+    }
+
+    // Player 2's panel only shows in two player games
+    setPlayerCount(count) {
+        if (this.p2Display) {
+            this.p2Display.classList.toggle('hidden', count < 2);
+        }
+    }
+
+    updateScore(score, player = 0) {
+        const value = player === 0 ? this.scoreValue : this.p2ScoreValue;
+        if (value) {
+            value.textContent = this.versusMode ? score : score.toString().padStart(6, '0');
+        }
+    }
+
+    updateLives(lives, player = 0) {
+        const value = player === 0 ? this.livesValue : this.p2LivesValue;
+        if (value) {
+            value.textContent = lives;
+        }
+    }
+
+    // Health bar, 0..1 of full (only touches the page when it changes)
+    updateHealth(health, player = 0) {
+        const fill = player === 0 ? this.healthFill : this.p2HealthFill;
+        const percent = Math.round(health * 100);
+        if (!fill || fill.dataset.percent === String(percent)) return;
+
+        fill.dataset.percent = percent;
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('low', health <= 0.3);
+    }
+
     updateLevel(level) {
         if (this.levelValue) {
             this.levelValue.textContent = level;
         }
+        this.matchClock = undefined;
     }
 
-    updateViewMode(isThirdPerson) {
-        if (this.viewLabel) {
-            this.viewLabel.textContent = isThirdPerson ? '3RD PERSON' : '1ST PERSON';
+    updateViewMode(isThirdPerson, player = 0) {
+        const label = player === 0 ? this.viewLabel : this.viewLabelP2;
+        if (label) {
+            label.textContent = isThirdPerson ? '3RD PERSON' : '1ST PERSON';
         }
     }
 
@@ -86,15 +240,283 @@ class UI {
         }
     }
 
-    updatePowerupIndicators(powerupManager) {
+    // Seed typed in the menu (empty string means "pick a random one")
+    getSeedInput() {
+        return this.seedInput ? this.seedInput.value.trim() : '';
+    }
+
+    setSeedInput(seed) {
+        if (this.seedInput) {
+            this.seedInput.value = seed;
+        }
+    }
+
+    // Show CONTINUE / EXPORT SAVE only when there is something to load
+    setSaveAvailable(available) {
+        if (this.continueButton) {
+            this.continueButton.classList.toggle('hidden', !available);
+        }
+        if (this.exportSaveButton) {
+            this.exportSaveButton.classList.toggle('hidden', !available);
+        }
+    }
+
+    // DOWNLOAD REPLAY only makes sense once a game has been recorded
+    setReplayAvailable(available) {
+        if (this.downloadReplayButton) {
+            this.downloadReplayButton.classList.toggle('hidden', !available);
+        }
+    }
+
+    setLevelPackName(name, isCustom) {
+        if (this.loadLevelsButton) {
+            this.loadLevelsButton.textContent = `LEVELS: ${name.toUpperCase()}`;
+        }
+        if (this.classicLevelsButton) {
+            this.classicLevelsButton.classList.toggle('hidden', !isCustom);
+        }
+    }
+
+    // Menu screens replace the rest of the menu while open
+    setSubmenuVisible(panel, visible) {
+        if (panel) {
+            panel.classList.toggle('hidden', !visible);
+        }
+        if (this.gameMessage) {
+            this.gameMessage.classList.toggle('submenu', visible);
+        }
+    }
+
+    setDifficultyBuilderVisible(visible) {
+        this.setSubmenuVisible(this.difficultyBuilder, visible);
+    }
+
+    setControlsMenuVisible(visible) {
+        this.setSubmenuVisible(this.controlsMenu, visible);
+    }
+
+    setOnlineMenuVisible(visible) {
+        this.setSubmenuVisible(document.getElementById('online-menu'), visible);
+    }
+
+    // A blank server means the one this page came from (tools/server.js serves both)
+    getOnlineForm() {
+        const server = document.getElementById('online-server');
+        const room = document.getElementById('online-room');
+        const served = typeof location !== 'undefined' && location.protocol.startsWith('http');
+
+        return {
+            server: (server && server.value.trim()) || (served ? location.host : ''),
+            room: room ? room.value : ''
+        };
+    }
+
+    setOnlineStatus(text) {
+        const status = document.getElementById('online-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    // lobby is the server's { room, players: [{ slot, connected }], running }, or null once out of a room
+    updateOnlineLobby(lobby, slot) {
+        const inRoom = !!lobby;
+        const toggle = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.classList.toggle('hidden', !visible);
+        };
+
+        toggle('online-create-btn', !inRoom);
+        toggle('online-join-btn', !inRoom);
+        const waiting = inRoom && lobby.versus && lobby.players.length < 2;
+        toggle('online-start-btn', inRoom && !lobby.running && !waiting);
+        if (!inRoom) return;
+
+        const room = document.getElementById('online-room');
+        if (room) {
+            room.value = lobby.room;
+        }
+
+        const players = lobby.players.map(p => `P${p.slot + 1}${p.slot === slot ? ' (YOU)' : ''}${p.connected ? '' : ' (OFFLINE)'}`);
+        const stage = lobby.running ? 'GAME IN PROGRESS' : waiting ? 'WAITING FOR AN OPPONENT' : 'WAITING FOR START';
+        this.setOnlineStatus(`ROOM ${lobby.room} | ${lobby.versus ? 'VERSUS | ' : ''}${players.join(', ')} | ${stage}`);
+    }
+
+    // One row per action, one key button per player
+    renderControlsMenu(keyMaps, rebinding = null) {
+        if (!this.controlsTable) return;
+
+        const conflicts = Controls.findConflicts(keyMaps).map(c => c.code);
+        const header = '<tr><th></th>' + keyMaps.map((_, i) => `<th>PLAYER ${i + 1}</th>`).join('') + '</tr>';
+
+        const rows = Controls.ACTIONS.map(({ name, label }) => {
+            const cells = keyMaps.map((keyMap, player) => {
+                if (!(name in keyMap)) return '<td></td>';
+
+                const code = keyMap[name];
+                const waiting = rebinding && rebinding.player === player && rebinding.action === name;
+                const classes = ['bind-btn'];
+                if (waiting) classes.push('waiting');
+                else if (!code) classes.push('unbound');
+                else if (conflicts.includes(code)) classes.push('conflict');
+
+                const text = waiting ? 'PRESS A KEY' : Controls.keyLabel(code);
+                return `<td><button class="${classes.join(' ')}" data-player="${player}" data-action="${name}">${text}</button></td>`;
+            });
+            return `<tr><td>${label}</td>${cells.join('')}</tr>`;
+        });
+
+        this.controlsTable.innerHTML = header + rows.join('');
+    }
+
+    updateMouseSettings(settings) {
+        const mouseBtn = document.getElementById('mouse-aim-btn');
+        if (mouseBtn) {
+            mouseBtn.textContent = `MOUSE AIM: ${settings.enabled ? 'ON' : 'OFF'}`;
+            mouseBtn.classList.toggle('active', settings.enabled);
+        }
+
+        const invertBtn = document.getElementById('mouse-invert-btn');
+        if (invertBtn) {
+            invertBtn.textContent = `INVERT Y: ${settings.invertY ? 'ON' : 'OFF'}`;
+            invertBtn.classList.toggle('active', settings.invertY);
+        }
+
+        const sensitivity = document.getElementById('mouse-sensitivity');
+        if (sensitivity) {
+            sensitivity.value = settings.sensitivity;
+        }
+    }
+
+    // Key hints under the menu follow the current bindings
+    updateControlsInfo(keyMaps) {
+        const keys = (keyMap, ...actions) => actions.map(a => Controls.keyLabel(keyMap[a])).join('/');
+        const describe = (keyMap) => `${keys(keyMap, 'forward', 'backward', 'left', 'right')} - Move | ` +
+            `${keys(keyMap, 'turretUp', 'turretDown')} - Aim | ${keys(keyMap, 'shoot')} - Fire | ` +
+            `${keys(keyMap, 'missile')} - Missile | ${keys(keyMap, 'orderFollow', 'orderHold', 'orderAttack')} - Wingmen`;
+        // Player 1's view key has its own line below
+
+        ['p1-controls', 'p2-controls'].forEach((id, i) => {
+            const line = document.querySelector(`#${id} .controls-keys`);
+            if (line && keyMaps[i]) {
+                line.textContent = describe(keyMaps[i]) + (i > 0 ? ` | ${keys(keyMaps[i], 'toggleView')} - View` : '');
+            }
+        });
+
+        const viewKey = document.getElementById('view-key');
+        if (viewKey) {
+            viewKey.textContent = Controls.keyLabel(keyMaps[0].toggleView);
+        }
+    }
+
+    // Fill the form; choices are [{ value, label }] for the preset dropdown
+    setDifficultyForm(settings, choices, selected = '') {
+        if (!this.difficultyBuilder) return;
+
+        this.difficultyPresetSelect.innerHTML = '';
+        const placeholder = new Option('LOAD PRESET...', '');
+        this.difficultyPresetSelect.add(placeholder);
+        for (const choice of choices) {
+            this.difficultyPresetSelect.add(new Option(choice.label, choice.value));
+        }
+        this.difficultyPresetSelect.value = selected;
+
+        this.difficultyName.value = settings.name;
+        document.querySelectorAll('.difficulty-field').forEach(input => {
+            const [field, key] = input.dataset.field.split('.');
+            const value = key ? settings[field][key] : settings[field];
+            input.value = value === null ? '' : value;
+        });
+    }
+
+    // Raw form values; blank fields come back as null
+    getDifficultyForm() {
+        const settings = { name: this.difficultyName.value.trim() || 'Custom' };
+
+        document.querySelectorAll('.difficulty-field').forEach(input => {
+            const [field, key] = input.dataset.field.split('.');
+            const value = input.value.trim() === '' ? null : Number(input.value);
+            if (key) {
+                settings[field] = settings[field] || {};
+                settings[field][key] = value;
+            } else {
+                settings[field] = value;
+            }
+        });
+
+        return settings;
+    }
+
+    getDifficultyCode() {
+        return this.difficultyCode ? this.difficultyCode.value.trim() : '';
+    }
+
+    setDifficultyCode(code) {
+        if (this.difficultyCode) {
+            this.difficultyCode.value = code;
+            this.difficultyCode.select();
+        }
+    }
+
+    // Touch layout moves the radar and HUD out of the thumbs' way
+    setTouchControlsVisible(visible) {
+        const overlay = document.getElementById('touch-controls');
+        if (overlay) {
+            overlay.classList.toggle('hidden', !visible);
+        }
+        if (this.gameContainer) {
+            this.gameContainer.classList.toggle('touch', visible);
+        }
+        this.init();
+    }
+
+    // Gamepad menu navigation: step focus through the visible menu controls
+    moveMenuFocus(step) {
+        if (!this.gameMessage) return;
+
+        const items = Array.from(this.gameMessage.querySelectorAll('button, input, select'))
+            .filter(el => el.offsetParent !== null);
+        if (items.length === 0) return;
+
+        const index = items.indexOf(document.activeElement);
+        const next = index === -1 ? 0 : (index + step + items.length) % items.length;
+        items[next].focus();
+    }
+
+    activateMenuFocus() {
+        const focused = document.activeElement;
+        if (focused && focused.tagName === 'BUTTON' && this.gameMessage && this.gameMessage.contains(focused)) {
+            focused.click();
+        }
+    }
+
+    // Map editor toolbar; the radar becomes a square whole-map overview
+    setEditorVisible(visible) {
+        if (this.editorPanel) {
+            this.editorPanel.classList.toggle('hidden', !visible);
+        }
+        if (this.gameContainer) {
+            this.gameContainer.classList.toggle('editing', visible);
+        }
+        this.init();
+    }
+
+    setEditorTool(tool) {
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+
+    // Power-ups held by one player; freeze shows whoever picked it up, since it stops every enemy
+    updatePowerupIndicators(powerupManager, playerId = null) {
         if (!this.powerupIndicators) return;
 
-        const hasAny = powerupManager.getActiveTypes().length > 0;
+        const hasAny = powerupManager.getActiveTypes(playerId).length > 0 || powerupManager.isFreezeActive();
         this.powerupIndicators.classList.toggle('hidden', !hasAny);
 
         // Update individual indicators - only update the span text, keep images
         if (this.shieldIndicator) {
-            const shieldTime = powerupManager.getRemainingTime(PowerUpType.SHIELD);
+            const shieldTime = powerupManager.getRemainingTime(PowerUpType.SHIELD, playerId);
             this.shieldIndicator.classList.toggle('hidden', shieldTime <= 0);
             if (shieldTime > 0) {
                 const span = this.shieldIndicator.querySelector('span');
@@ -112,7 +534,7 @@ class UI {
         }
 
         if (this.xrayIndicator) {
-            const xrayTime = powerupManager.getRemainingTime(PowerUpType.XRAY);
+            const xrayTime = powerupManager.getRemainingTime(PowerUpType.XRAY, playerId);
             this.xrayIndicator.classList.toggle('hidden', xrayTime <= 0);
             if (xrayTime > 0) {
                 const span = this.xrayIndicator.querySelector('span');
@@ -121,7 +543,7 @@ class UI {
         }
 
         if (this.speedIndicator) {
-            const speedTime = powerupManager.getRemainingTime(PowerUpType.SPEED);
+            const speedTime = powerupManager.getRemainingTime(PowerUpType.SPEED, playerId);
             this.speedIndicator.classList.toggle('hidden', speedTime <= 0);
             if (speedTime > 0) {
                 const span = this.speedIndicator.querySelector('span');
@@ -130,10 +552,96 @@ class UI {
         }
     }
 
-    drawRadar(player, enemies, obstacles, terrain, ufo = null) {
+    // Whole map from above (north up) for the editor, with the visible area outlined
+    drawMapOverview(terrain, selected, camera) {
         const ctx = this.radarCtx;
         const width = this.radarCanvas.width;
         const height = this.radarCanvas.height;
+        const scale = Math.min(width, height) / terrain.size;
+
+        const toMap = (x, z) => ({
+            x: width / 2 + x * scale,
+            y: height / 2 + z * scale
+        });
+
+        ctx.fillStyle = 'rgb(0, 20, 0)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Elevation as brightness
+        if (terrain.heightMap && terrain.maxElevation > 0) {
+            const size = terrain.heightMapSize;
+            const cell = terrain.size / size * scale;
+
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    const h = terrain.heightMap[z * size + x] / terrain.maxElevation;
+                    if (h <= 0.02) continue;
+
+                    const pos = toMap((x / size - 0.5) * terrain.size, (z / size - 0.5) * terrain.size);
+                    ctx.fillStyle = `rgba(0, 255, 0, ${(h * 0.4).toFixed(2)})`;
+                    ctx.fillRect(pos.x - cell / 2, pos.y - cell / 2, cell + 0.5, cell + 0.5);
+                }
+            }
+        }
+
+        // Mountains
+        ctx.fillStyle = 'rgba(120, 140, 90, 0.6)';
+        for (const mountain of terrain.mountains) {
+            const pos = toMap(mountain.position[0], mountain.position[2]);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 8 * mountain.scale * scale, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Obstacles
+        ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+        for (const obstacle of terrain.obstacles) {
+            const pos = toMap(obstacle.position[0], obstacle.position[2]);
+            const size = Math.max(obstacle.size[0] * scale, 2);
+            ctx.fillRect(pos.x - size / 2, pos.y - size / 2, size, size);
+        }
+
+        // Spawn zones
+        const drawZones = (zones, color) => {
+            ctx.strokeStyle = color;
+            for (const zone of zones) {
+                const pos = toMap(zone.position[0], zone.position[1]);
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, zone.radius * scale, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        };
+        ctx.lineWidth = 1.5;
+        drawZones(terrain.spawnZones.player, '#00ff00');
+        drawZones(terrain.spawnZones.enemy, '#ff3333');
+
+        // Selection
+        if (selected) {
+            const item = selected.item;
+            const pos = selected.kind.endsWith('Zone') ?
+                toMap(item.position[0], item.position[1]) :
+                toMap(item.position[0], item.position[2]);
+            ctx.strokeStyle = '#ffff00';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Visible area of the main view
+        const aspect = window.innerWidth / window.innerHeight;
+        const topLeft = toMap(camera.x - camera.zoom * aspect, camera.z - camera.zoom);
+        ctx.strokeStyle = 'rgba(0, 170, 255, 0.8)';
+        ctx.strokeRect(topLeft.x, topLeft.y, camera.zoom * aspect * 2 * scale, camera.zoom * 2 * scale);
+    }
+
+    // allies are the other players' tanks; index 1 draws on Player 2's radar
+    drawRadar(player, enemies, obstacles, terrain, ufo = null, partners = [], index = 0, wingmen = []) {
+        const canvas = index === 0 ? this.radarCanvas : this.radarCanvasP2;
+        if (!canvas) return;
+
+        const ctx = index === 0 ? this.radarCtx : this.radarCtxP2;
+        const width = canvas.width;
+        const height = canvas.height;
         const centerX = width / 2;
         const centerY = height / 2;
         const radarRange = 80; // World units visible on radar
@@ -216,6 +724,46 @@ class UI {
             ctx.fill();
         }
 
+        // Draw the other players
+        ctx.fillStyle = '#66ccff';
+        for (const partner of partners) {
+            if (!partner.alive) continue;
+
+            const pos = toRadar(partner.position[0], partner.position[2]);
+            const dist = Utils.distance2D(
+                player.position[0], player.position[2],
+                partner.position[0], partner.position[2]
+            );
+
+            if (dist < radarRange) {
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        // Draw wingmen (diamonds, so they can't be mistaken for tanks to shoot)
+        ctx.fillStyle = '#33ffcc';
+        for (const ally of wingmen) {
+            if (!ally.alive) continue;
+
+            const pos = toRadar(ally.position[0], ally.position[2]);
+            const dist = Utils.distance2D(
+                player.position[0], player.position[2],
+                ally.position[0], ally.position[2]
+            );
+
+            if (dist < radarRange) {
+                ctx.beginPath();
+                ctx.moveTo(pos.x, pos.y - 5);
+                ctx.lineTo(pos.x + 4, pos.y);
+                ctx.lineTo(pos.x, pos.y + 5);
+                ctx.lineTo(pos.x - 4, pos.y);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+
         // Draw player (always at center, as a triangle pointing up)
         ctx.fillStyle = '#00ff00';
         ctx.beginPath();
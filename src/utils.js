@@ -11,14 +11,28 @@ const Utils = {
         return radians * 180 / Math.PI;
     },
 
-    // Random number between min and max
+    // Random number between min and max (seeded, see random.js)
     random: function (min, max) {
-        return Math.random() * (max - min) + min;
+        return Random.range(min, max);
     },
 
     // Random integer between min and max (inclusive)
     randomInt: function (min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Random.int(min, max);
+    },
+
+    // Pick one of [{ weight, ... }] with probability proportional to its weight
+    pickWeighted: function (entries) {
+        if (entries.length === 1) return entries[0];
+
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = Utils.random(0, total);
+
+        for (const entry of entries) {
+            roll -= entry.weight;
+            if (roll < 0) return entry;
+        }
+        return entries[entries.length - 1];
     },
 
     // Clamp value between min and max
@@ -53,6 +67,33 @@ const Utils = {
         return angle;
     },
 
+    // Interpolate between two angles along the shortest arc
+    lerpAngle: function (a, b, t) {
+        return a + Utils.normalizeAngle(b - a) * t;
+    },
+
+    // Remember an entity's transform at the start of a simulation tick
+    storePreviousTransform: function (entity) {
+        entity.prevPosition = [...entity.position];
+        entity.prevRotation = entity.rotation;
+    },
+
+    // Position/rotation blended between the previous and current tick for rendering
+    getRenderTransform: function (entity, alpha = 1) {
+        if (!entity.prevPosition || alpha >= 1) {
+            return { position: entity.position, rotation: entity.rotation };
+        }
+
+        return {
+            position: [
+                Utils.lerp(entity.prevPosition[0], entity.position[0], alpha),
+                Utils.lerp(entity.prevPosition[1], entity.position[1], alpha),
+                Utils.lerp(entity.prevPosition[2], entity.position[2], alpha)
+            ],
+            rotation: Utils.lerpAngle(entity.prevRotation, entity.rotation, alpha)
+        };
+    },
+
     // Create a unit vector from angle (in XZ plane)
     angleToVector: function (angle) {
         return [Math.sin(angle), 0, Math.cos(angle)];
@@ -132,6 +173,43 @@ const Utils = {
         ] : [1, 1, 1];
     },
 
+    // Copy the listed fields from source onto target (arrays/objects are deep-copied)
+    copyFields: function (target, source, fields) {
+        for (const field of fields) {
+            const value = source[field];
+            if (value === undefined) continue;
+
+            target[field] = (value !== null && typeof value === 'object') ?
+                JSON.parse(JSON.stringify(value)) : value;
+        }
+        return target;
+    },
+
+    // Offer data to the user as a downloadable .json file
+    downloadJSON: function (data, filename) {
+        Utils.downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+    },
+
+    // Offer a Blob (JSON, PNG, ...) to the user as a download
+    downloadBlob: function (blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Some browsers start the download after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Parse a .json File picked by the user (returns a Promise)
+    readJSONFile: function (file) {
+        return file.text().then(text => JSON.parse(text));
+    },
+
     // Create transformation matrix
     createTransformMatrix: function (position, rotation, scale) {
         const matrix = mat4.create();
@@ -0,0 +1,109 @@
+// Battlezone - Versus Mode (deathmatch between the two players)
+//
+// Player 1 and Player 2 hunt each other on one battlefield. A match ends when
+// someone reaches the kill limit or the clock runs out (either can be off, not
+// both). Kills are each player's score; dying only adds to their deaths, and
+// tanks respawn forever with the usual flashing invulnerability. Enemy tanks
+// can be left in as neutral hazards that shoot at whoever is closest.
+//
+//   { "killLimit": 5, "timeLimit": 300, "hazards": true }   // timeLimit in seconds, 0 = off
+
+const Versus = {
+    STORAGE_KEY: 'battlezone.versus',
+
+    DEFAULTS: { killLimit: 5, timeLimit: 0, hazards: true },
+
+    // Choices the menu cycles through (0 = off)
+    KILL_LIMITS: [3, 5, 10, 20, 0],
+    TIME_LIMITS: [0, 120, 300, 600],
+
+    // Respawns try to keep this far from the other tank
+    SPAWN_DISTANCE: 60,
+
+    normalize: function (settings = {}) {
+        const whole = (value, fallback) => (typeof value === 'number' && isFinite(value) && value >= 0) ?
+            Math.floor(value) : fallback;
+
+        const rules = {
+            killLimit: whole(settings.killLimit, Versus.DEFAULTS.killLimit),
+            timeLimit: whole(settings.timeLimit, Versus.DEFAULTS.timeLimit),
+            hazards: settings.hazards === undefined ? Versus.DEFAULTS.hazards : !!settings.hazards
+        };
+
+        // A match has to be able to end
+        if (rules.killLimit === 0 && rules.timeLimit === 0) {
+            rules.killLimit = Versus.DEFAULTS.killLimit;
+        }
+        return rules;
+    },
+
+    // Next value in a menu list, wrapping around
+    cycle: function (choices, current) {
+        return choices[(choices.indexOf(current) + 1) % choices.length];
+    },
+
+    // Seconds left on the clock, or null for an untimed match
+    getTimeLeft: function (rules, elapsed) {
+        return rules.timeLimit > 0 ? Math.max(0, rules.timeLimit - elapsed) : null;
+    },
+
+    // Players best first: most kills, then fewest deaths
+    getStandings: function (players) {
+        return [...players].sort((a, b) => (b.score - a.score) || (a.deaths - b.deaths));
+    },
+
+    // null while the match goes on, otherwise { winner (null for a draw), reason }
+    getResult: function (players, rules, elapsed) {
+        const [leader, second] = Versus.getStandings(players);
+
+        if (rules.killLimit > 0 && leader.score >= rules.killLimit) {
+            return { winner: leader, reason: 'kills' };
+        }
+
+        const timeLeft = Versus.getTimeLeft(rules, elapsed);
+        if (timeLeft === 0) {
+            const tied = second && second.score === leader.score && second.deaths === leader.deaths;
+            return { winner: tied ? null : leader, reason: 'time' };
+        }
+        return null;
+    },
+
+    // Menu / HUD summary, e.g. "FIRST TO 5 | 5:00"
+    describe: function (rules) {
+        const parts = [];
+        if (rules.killLimit > 0) parts.push(`FIRST TO ${rules.killLimit}`);
+        if (rules.timeLimit > 0) parts.push(Versus.formatTime(rules.timeLimit));
+        return parts.join(' | ');
+    },
+
+    formatTime: function (seconds) {
+        const whole = Math.ceil(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    },
+
+    load: function () {
+        if (typeof localStorage === 'undefined') return { ...Versus.DEFAULTS };
+
+        try {
+            return Versus.normalize(JSON.parse(localStorage.getItem(Versus.STORAGE_KEY) || '{}'));
+        } catch (e) {
+            console.warn('Could not read versus settings:', e);
+            return { ...Versus.DEFAULTS };
+        }
+    },
+
+    save: function (rules) {
+        if (typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(Versus.STORAGE_KEY, JSON.stringify(rules));
+            return true;
+        } catch (e) {
+            console.warn('Could not save versus settings:', e);
+            return false;
+        }
+    }
+};
+
+// Make available globally
+window.Versus = Versus;
@@ -0,0 +1,180 @@
+// Battlezone - Headless Regression Tests
+//
+// Runs the simulation without a browser (see tools/headless.js) and checks
+// the things that have to be exactly reproducible: replays, save games and
+// level packs.
+//
+//   node tests/headless.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createContext, createHeadlessGame, runReplay, loadLevelPack } = require('../tools/headless');
+
+const ROOT = path.join(__dirname, '..');
+
+// Turn and fire every half second, like the command line runner's script
+function drive(game, seconds) {
+    const ticks = Math.round(seconds / game.fixedDelta);
+    game.player.input.left = true;
+
+    for (let tick = 0; tick < ticks; tick++) {
+        if (game.state === 'levelcomplete') game.nextLevel();
+        if (game.state !== 'playing') break;
+
+        if (tick % 30 === 0) game.player.input.shoot = true;
+        game.step(game.fixedDelta);
+    }
+}
+
+// What two runs of the same game must agree on, as plain data (each sandbox
+// has its own Array). Ids of things spawned during a run include the wall
+// clock, so they're left out.
+function summarize(game) {
+    return JSON.parse(JSON.stringify({
+        tick: game.tick,
+        state: game.state,
+        level: game.level,
+        score: game.score,
+        lives: game.player.lives,
+        player: game.player.position,
+        enemies: game.enemyManager.enemies.map(e => [e.type, e.position, e.hitPoints]),
+        projectiles: game.projectileManager.projectiles.map(p => [p.type, p.position])
+    }));
+}
+
+test('a replay reproduces the recorded run', () => {
+    const game = createHeadlessGame({ seed: 42 });
+    drive(game, 30);
+
+    const recording = JSON.parse(JSON.stringify(game.recorder.getRecording()));
+    const replayed = runReplay(recording);
+
+    assert.equal(replayed.tick, game.tick);
+    assert.equal(replayed.score, game.score);
+    assert.equal(replayed.player.lives, game.player.lives);
+});
+
+test('a restored save matches the game it was saved from and plays on the same', () => {
+    const context = createContext();
+    const game = createHeadlessGame({ context: context, seed: 7 });
+    drive(game, 15);
+
+    const data = JSON.parse(JSON.stringify(context.SaveGame.serialize(game)));
+
+    // Each game needs its own sandbox - the random sequence is shared within one
+    const restoredContext = createContext();
+    const restored = createHeadlessGame({ context: restoredContext, seed: 1 });
+    restoredContext.SaveGame.restore(restored, data);
+
+    const resaved = JSON.parse(JSON.stringify(restoredContext.SaveGame.serialize(restored)));
+    assert.deepEqual({ ...resaved, savedAt: null }, { ...data, savedAt: null });
+
+    drive(game, 15);
+    drive(restored, 15);
+    assert.deepEqual(summarize(restored), summarize(game));
+});
+
+test('a save that fails to load leaves the game as it was', () => {
+    const context = createContext();
+    const game = createHeadlessGame({ context: context, seed: 5 });
+    drive(game, 10);
+
+    const before = summarize(game);
+    const data = JSON.parse(JSON.stringify(context.SaveGame.serialize(game)));
+    data.level = 3;
+    data.projectiles = [{ type: 'shell' }];
+
+    assert.throws(() => context.SaveGame.restore(game, data), /projectiles/);
+    assert.deepEqual(summarize(game), before);
+});
+
+test('losing a playtest keeps the saved campaign', () => {
+    const context = createContext();
+    const stored = {};
+    context.localStorage = {
+        getItem: (key) => (key in stored ? stored[key] : null),
+        setItem: (key, value) => { stored[key] = String(value); },
+        removeItem: (key) => { delete stored[key]; }
+    };
+
+    const game = createHeadlessGame({ context: context, seed: 4 });
+    drive(game, 5);
+    assert.ok(game.saveGame());
+    const saved = stored[context.SaveGame.STORAGE_KEY];
+
+    game.playtest(game.editor.getMap());
+    game.player.lives = 1;
+    game.loseLife(game.player);
+
+    assert.equal(game.state, 'gameover');
+    assert.equal(stored[context.SaveGame.STORAGE_KEY], saved);
+});
+
+test('two shots landing in the same step only destroy a tank once', () => {
+    const context = createContext();
+    const game = createHeadlessGame({ context: context, seed: 8 });
+    const { GameEvent } = context;
+
+    const destroyed = [];
+    const hit = [];
+    game.events.on(GameEvent.ENEMY_DESTROYED, (e) => destroyed.push(e.enemy.id));
+    game.events.on(GameEvent.PLAYER_HIT, (e) => hit.push(e.player.id));
+
+    // Two player shells inside an enemy, two enemy shells inside the player
+    const enemy = game.enemyManager.enemies[0];
+    const lives = game.player.lives;
+    game.player.invulnerable = false;
+    for (let i = 0; i < 2; i++) {
+        const above = (entity) => [entity.position[0], entity.position[1] + 1, entity.position[2]];
+        game.projectileManager.createProjectile({ ownerId: 'player', position: above(enemy), damage: 1000 });
+        game.projectileManager.createProjectile({ ownerId: enemy.id, position: above(game.player), damage: 1000 });
+    }
+    game.step(game.fixedDelta);
+
+    assert.deepEqual(destroyed, [enemy.id]);
+    assert.deepEqual(hit, ['player']);
+    assert.equal(game.player.lives, lives - 1);
+    assert.equal(game.score, enemy.points || 100);
+});
+
+test('a level pack plays the same every time with the same seed', async () => {
+    const file = path.join(ROOT, 'levels/example/pack.json');
+    const runs = [];
+
+    for (let i = 0; i < 2; i++) {
+        const context = createContext();
+        const pack = await loadLevelPack(context, file);
+        const game = createHeadlessGame({ context: context, seed: 11, config: { levelPack: pack } });
+        drive(game, 40);
+        runs.push(summarize(game));
+    }
+
+    assert.deepEqual(runs[1], runs[0]);
+});
+
+test('level packs with unusable numbers are turned away', () => {
+    const { Levels } = createContext();
+    const reject = (level, message) => assert.throws(() => Levels.validatePack({ levels: [level] }), message);
+
+    reject({ enemies: { initial: 'three' } }, /enemies\.initial/);
+    reject({ enemies: { max: -1 } }, /enemies\.max/);
+    reject({ enemies: { roster: [{ type: 'tank', weight: 0 }] } }, /roster\[0\]\.weight/);
+    reject({ ufo: { chancePerTick: null } }, /ufo\.chancePerTick/);
+    reject({ powerups: { table: { shield: 'lots' } } }, /powerups\.table\.shield/);
+    reject({ win: { type: 'survive' } }, /win\.seconds/);
+    reject({ terrain: { obstacles: [{ position: [0] }] } }, /obstacles\[0\]\.position/);
+
+    assert.doesNotThrow(() => Levels.validatePack({ levels: [{ enemies: { roster: [{ type: 'heavy' }] } }] }));
+});
+
+test('recording backends keep a bounded number of calls', () => {
+    const game = createHeadlessGame({ seed: 3 });
+    game.runFor(120);
+
+    for (const backend of [game.renderer, game.audio, game.ui]) {
+        assert.ok(backend.calls.length <= 2000, `${backend.name} kept ${backend.calls.length} calls`);
+    }
+});
@@ -0,0 +1,233 @@
+// Battlezone - Headless Simulation Runner (Node.js)
+//
+// Loads the game scripts into a sandbox without WebGL, DOM or Web Audio so the
+// simulation can be stepped from scripts and regression tests.
+//
+//   const { createHeadlessGame } = require('./tools/headless');
+//   const game = createHeadlessGame({ seed: 42, difficulty: 'easy' });
+//   game.runFor(30);
+//   console.log(game.score, game.player.lives);
+//
+// Or from the command line:
+//   node tools/headless.js --seed 42 --seconds 60 --difficulty hard
+//   node tools/headless.js --seed 42 --difficulty-code BZD1-...   (custom difficulty share code)
+//   node tools/headless.js --seed 42 --record run.json    (save the inputs as a replay)
+//   node tools/headless.js --replay run.json              (play a replay file back)
+//   node tools/headless.js --levels levels/example/pack.json   (play a level pack)
+//   node tools/headless.js --seed 42 --gamepad 1          (drive player 1 with a scripted fake gamepad)
+//   node tools/headless.js --seed 42 --players 2          (co-op: player 2 runs the same script, mirrored)
+//   node tools/headless.js --seed 42 --mode versus        (the two players against each other)
+//   node tools/headless.js --seed 42 --allies 2           (two AI wingmen follow player 1)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Browser-only entry points that must not run in the sandbox
+const SKIPPED_SCRIPTS = ['src/main.js'];
+
+// Script order comes from index.html so there is a single source of truth
+function getScriptList() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    const pattern = /<script\s+src="([^"]+)"/g;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        if (!SKIPPED_SCRIPTS.includes(match[1])) {
+            scripts.push(match[1]);
+        }
+    }
+
+    return scripts;
+}
+
+// Create a fresh sandbox with every game class loaded
+function createContext() {
+    const context = vm.createContext({
+        console: console,
+        performance: performance,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        URLSearchParams: URLSearchParams,
+        btoa: btoa,
+        atob: atob,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder
+    });
+    context.window = context;
+
+    for (const script of getScriptList()) {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+
+    return context;
+}
+
+// Build a headless game that is already started and ready to step
+function createHeadlessGame(options = {}) {
+    const context = options.context || createContext();
+
+    const game = new context.Game({
+        use3DGameplay: true,
+        useBallistics: false,
+        enableSecondPlayer: false,
+        ...options.config,
+        headless: true,
+        seed: options.seed
+    });
+
+    game.init(null, options.backends);
+    game.difficulty = options.difficulty || 'medium';
+
+    // Share code from the custom difficulty screen
+    if (options.difficultyCode) {
+        game.difficulty = 'custom';
+        game.customDifficulty = context.Difficulty.decode(options.difficultyCode);
+    }
+
+    if (options.start !== false) {
+        game.startGame();
+    }
+
+    return game;
+}
+
+// Play a replay file back through the simulation until it ends
+function runReplay(data, options = {}) {
+    const context = options.context || createContext();
+    const game = createHeadlessGame({ ...options, context: context, start: false });
+
+    game.startReplay(data);
+    while (game.state === context.GameState.PLAYING) {
+        game.step(game.fixedDelta);
+    }
+
+    return game;
+}
+
+// Read a level pack manifest and the level files it lists from disk
+function loadLevelPack(context, file) {
+    const readJSON = (name) => JSON.parse(fs.readFileSync(name, 'utf8'));
+    const dir = path.dirname(file);
+
+    return context.Levels.resolvePack(readJSON(file), name => readJSON(path.join(dir, name)));
+}
+
+function report(game) {
+    console.log(JSON.stringify({
+        seed: game.seed,
+        difficulty: game.difficulty,
+        ticks: game.tick,
+        state: game.state,
+        level: game.level,
+        score: game.score,
+        lives: game.player.lives,
+        ...(game.player2 ? { players: game.getPlayers().map(p => ({ score: p.score, lives: p.lives, deaths: p.deaths })) } : {})
+    }, null, 2));
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.replay) {
+        report(runReplay(JSON.parse(fs.readFileSync(args.replay, 'utf8'))));
+        return;
+    }
+
+    const context = createContext();
+    const levelPack = args.levels ? loadLevelPack(context, args.levels) : Promise.resolve(null);
+
+    levelPack
+        .then(pack => runScripted(context, args, pack))
+        .catch(err => {
+            console.error(err.message);
+            process.exitCode = 1;
+        });
+}
+
+// Simple scripted run: keep firing and turning, then report the outcome.
+// With --gamepad the same script is played through a fake gamepad instead of keys.
+function runScripted(context, args, levelPack) {
+    const seconds = Number(args.seconds || 60);
+    const GameState = context.GameState;
+    const pad = args.gamepad ? new context.FakeGamepadSource() : null;
+
+    const game = createHeadlessGame({
+        context: context,
+        seed: args.seed,
+        difficulty: args.difficulty,
+        difficultyCode: args['difficulty-code'],
+        config: {
+            ...(levelPack ? { levelPack: levelPack } : {}),
+            enableSecondPlayer: args.players === '2',
+            gameMode: args.mode === 'versus' ? 'versus' : 'coop',
+            allies: { count: Number(args.allies || 0) }
+        },
+        backends: pad ? { gamepads: pad } : {}
+    });
+
+    if (pad) {
+        pad.connect(0);
+        pad.setAxis(0, context.GamepadAxis.LEFT_X, -1);
+        pad.setAxis(0, context.GamepadAxis.LEFT_Y, -0.6);
+    } else {
+        game.player.input.left = true;
+    }
+    if (game.player2) {
+        game.player2.input.right = true;
+    }
+    const totalTicks = Math.round(seconds / game.fixedDelta);
+
+    for (let tick = 0; tick < totalTicks; tick++) {
+        if (game.state === GameState.LEVEL_COMPLETE) {
+            game.nextLevel();
+        }
+        if (game.state !== GameState.PLAYING) break;
+
+        if (pad) {
+            // Pull the trigger every half second
+            pad.setButton(0, context.GamepadButton.RT, tick % 30 === 0);
+            game.pollGamepads();
+        } else if (tick % 30 === 0) {
+            game.player.input.shoot = true;
+        }
+        if (game.player2 && tick % 30 === 15) {
+            game.player2.input.shoot = true;
+        }
+        game.step(game.fixedDelta);
+    }
+
+    if (args.record) {
+        fs.writeFileSync(args.record, JSON.stringify(game.recorder.getRecording()));
+    }
+
+    report(game);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createContext: createContext,
+    createHeadlessGame: createHeadlessGame,
+    runReplay: runReplay,
+    loadLevelPack: loadLevelPack
+};
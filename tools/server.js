@@ -0,0 +1,616 @@
+// Battlezone - Online Game Server (Node.js, no dependencies)
+//
+// Serves the game's files over HTTP and runs online rooms over WebSocket on
+// the same port. Each room steps its own headless copy of the game (see
+// headless.js) - the server is the authority on everything, clients only send
+// their controls and draw the snapshots they get back (see src/network.js).
+//
+//   node tools/server.js                 (port 8080)
+//   node tools/server.js --port 9000 --host 127.0.0.1
+//
+// Then open http://<this machine>:8080/ in two browsers, CREATE ROOM in one
+// and JOIN ROOM with the code in the other.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createContext, createHeadlessGame } = require('./headless');
+const { acceptUpgrade, CloseCode } = require('./websocket');
+
+const ROOT = path.join(__dirname, '..');
+
+const TICK_MS = 1000 / 60;
+const MAX_QUEUED_INPUTS = 10;     // Beyond this a client is behind; fold the extras together
+const REJOIN_GRACE_MS = 30000;    // How long a dropped player's slot is kept for them
+const LEVEL_ADVANCE_MS = 5000;    // Next level starts on its own after this
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// One game and the (up to two) people in it
+class Room {
+    constructor(code, settings) {
+        this.code = code;
+        this.settings = settings;
+        this.clients = []; // { slot, token, ws, connected, inputs, lastSeq, graceTimer }
+
+        // Every room gets its own sandbox, so seeded randomness isn't shared
+        this.context = createContext();
+        this.net = this.context.NetProtocol;
+        this.game = null;
+        this.pendingEvents = [];
+        this.frame = 0;
+        this.advanceTimer = null;
+    }
+
+    isRunning() {
+        return this.game !== null;
+    }
+
+    isFull() {
+        return this.clients.length >= this.net.MAX_PLAYERS;
+    }
+
+    addClient(ws) {
+        const client = {
+            slot: this.clients.length,
+            token: crypto.randomBytes(12).toString('hex'),
+            ws: ws,
+            connected: true,
+            inputs: [],
+            lastSeq: 0,
+            graceTimer: null
+        };
+        this.clients.push(client);
+        return client;
+    }
+
+    findByToken(token) {
+        return this.clients.find(c => c.token === token) || null;
+    }
+
+    // Take a dropped slot back
+    reattach(client, ws) {
+        clearTimeout(client.graceTimer);
+        client.graceTimer = null;
+        client.ws = ws;
+        client.connected = true;
+        client.inputs = [];
+    }
+
+    // The connection went away; keep the slot a while in case they come back
+    disconnect(client, onExpired) {
+        client.connected = false;
+        client.ws = null;
+        this.releaseInputs(client);
+
+        client.graceTimer = setTimeout(() => {
+            this.removeClient(client);
+            onExpired();
+        }, REJOIN_GRACE_MS);
+    }
+
+    removeClient(client) {
+        clearTimeout(client.graceTimer);
+        this.clients = this.clients.filter(c => c !== client);
+
+        if (!this.isRunning()) {
+            // Still in the lobby - whoever is left becomes player 1
+            this.clients.forEach((c, i) => { c.slot = i; });
+            return;
+        }
+
+        // Mid-game the abandoned tank is out for good
+        const player = this.getPlayer(client);
+        if (player) {
+            this.releaseInputs(client);
+            player.alive = false;
+            player.lives = 0;
+            player.respawnTimer = 0;
+        }
+    }
+
+    getPlayer(client) {
+        return this.game ? this.game.getPlayers()[client.slot] || null : null;
+    }
+
+    releaseInputs(client) {
+        const player = this.getPlayer(client);
+        if (player) {
+            this.net.applyInput(player.input, {});
+        }
+    }
+
+    start() {
+        const settings = this.settings;
+        const context = this.context;
+        const game = createHeadlessGame({
+            context: context,
+            start: false,
+            config: {
+                use3DGameplay: settings.use3DGameplay !== false,
+                useBallistics: !!settings.useBallistics,
+                enableSecondPlayer: this.clients.length > 1,
+                gameMode: settings.gameMode,
+                versus: settings.versus,
+                allies: settings.allies
+            }
+        });
+
+        if (settings.levelPack) {
+            game.setLevelPack(settings.levelPack);
+        }
+        game.difficulty = settings.difficulty;
+        if (settings.difficulty === 'custom') {
+            game.customDifficulty = context.Difficulty.normalize(settings.customDifficulty);
+        }
+
+        // Pack every event for the clients; levels also send the new battlefield
+        for (const type of Object.values(context.GameEvent)) {
+            game.events.on(type, (payload) => {
+                const event = this.net.packEvent(type, payload);
+                if (event) this.pendingEvents.push(event);
+            });
+        }
+        game.events.on(context.GameEvent.LEVEL_STARTED, () => this.broadcastLevel());
+        game.events.on(context.GameEvent.LEVEL_COMPLETE, () => {
+            clearTimeout(this.advanceTimer);
+            this.advanceTimer = setTimeout(() => this.nextLevel(), LEVEL_ADVANCE_MS);
+        });
+
+        this.game = game;
+        this.restart();
+    }
+
+    // New run in the same room (first start, or after game over)
+    restart() {
+        const game = this.game;
+        this.pendingEvents = [];
+        game.startGame(this.settings.seed ?? null);
+        game.recorder.stop(); // Nobody downloads server replays
+
+        // A player who left before the restart stays out
+        game.getPlayers().forEach((player, slot) => {
+            if (!this.clients.some(c => c.slot === slot)) {
+                player.alive = false;
+                player.lives = 0;
+            }
+        });
+
+        this.broadcastLevel();
+    }
+
+    nextLevel() {
+        clearTimeout(this.advanceTimer);
+        if (this.game && this.game.state === this.context.GameState.LEVEL_COMPLETE) {
+            this.game.nextLevel();
+        }
+    }
+
+    handleMessage(client, message) {
+        const GameState = this.context.GameState;
+
+        switch (message.type) {
+            case 'input':
+                if (typeof message.seq === 'number') {
+                    // A flood is dropped oldest first rather than held in memory
+                    if (client.inputs.length >= MAX_QUEUED_INPUTS * 6) client.inputs.shift();
+                    client.inputs.push({ seq: message.seq, input: this.net.sanitizeInput(message.input) });
+                }
+                break;
+            case 'start':
+                if (this.isVersus() && this.clients.length < 2) {
+                    break; // The lobby tells them to wait for an opponent
+                }
+                if (!this.isRunning()) {
+                    this.start();
+                } else if (this.game.state === GameState.GAME_OVER) {
+                    this.restart();
+                }
+                break;
+            case 'next':
+                this.nextLevel();
+                break;
+        }
+    }
+
+    // One 60 Hz server tick
+    update() {
+        const game = this.game;
+        if (!game) return;
+
+        const playing = game.state === this.context.GameState.PLAYING;
+
+        for (const client of this.clients) {
+            const player = this.getPlayer(client);
+            if (!player) continue;
+
+            // One input per tick; a client that fell behind has the backlog folded in
+            const count = client.inputs.length > MAX_QUEUED_INPUTS ? client.inputs.length - MAX_QUEUED_INPUTS + 1 : 1;
+            for (const { seq, input } of client.inputs.splice(0, count)) {
+                if (playing) {
+                    this.net.applyInput(player.input, input);
+                }
+                client.lastSeq = seq;
+            }
+        }
+
+        if (playing) {
+            game.step(game.fixedDelta);
+        }
+
+        // The recording backends would otherwise remember every call forever
+        game.renderer.calls.length = 0;
+        game.audio.calls.length = 0;
+        game.ui.calls.length = 0;
+
+        this.frame++;
+        if (this.frame % this.net.SNAPSHOT_INTERVAL === 0) {
+            this.broadcastSnapshot();
+        }
+    }
+
+    // Stringified once; only the ack differs per client
+    broadcastSnapshot() {
+        const snapshot = this.net.buildSnapshot(this.game);
+        snapshot.events = this.pendingEvents;
+        this.pendingEvents = [];
+
+        const body = JSON.stringify(snapshot).slice(1);
+        for (const client of this.clients) {
+            if (client.connected) {
+                client.ws.send(`{"ack":${client.lastSeq},${body}`);
+            }
+        }
+    }
+
+    broadcastLevel() {
+        for (const client of this.clients) {
+            if (client.connected) {
+                this.sendLevel(client);
+            }
+        }
+    }
+
+    isVersus() {
+        return this.settings.gameMode === 'versus';
+    }
+
+    sendLevel(client) {
+        const game = this.game;
+        send(client.ws, {
+            type: 'level',
+            level: game.level,
+            name: game.levelDef ? game.levelDef.name : null,
+            terrain: game.terrain.serialize(),
+            config: {
+                use3DGameplay: game.config.use3DGameplay,
+                useBallistics: game.config.useBallistics,
+                gameMode: game.config.gameMode,
+                versus: game.versusRules
+            },
+            players: game.getPlayers().length
+        });
+    }
+
+    broadcastLobby() {
+        const lobby = {
+            type: 'lobby',
+            room: this.code,
+            players: this.clients.map(c => ({ slot: c.slot, connected: c.connected })),
+            running: this.isRunning(),
+            versus: this.isVersus()
+        };
+        for (const client of this.clients) {
+            if (client.connected) {
+                send(client.ws, { ...lobby, slot: client.slot });
+            }
+        }
+    }
+
+    close() {
+        clearTimeout(this.advanceTimer);
+        for (const client of this.clients) {
+            clearTimeout(client.graceTimer);
+        }
+    }
+}
+
+function send(ws, message) {
+    ws.send(JSON.stringify(message));
+}
+
+class GameServer {
+    constructor() {
+        this.rooms = new Map();
+        this.loop = null;
+        this.lastTime = 0;
+        this.accumulator = 0;
+    }
+
+    createRoomCode(net) {
+        let code;
+        do {
+            code = Array.from(crypto.randomBytes(net.ROOM_CODE_LENGTH),
+                byte => net.ROOM_CODE_CHARS[byte % net.ROOM_CODE_CHARS.length]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    // A new WebSocket: the first message must be 'create' or 'join'
+    accept(ws) {
+        let room = null;
+        let client = null;
+
+        ws.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                ws.close(CloseCode.UNSUPPORTED_DATA, 'Bad JSON');
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            if (client) {
+                // Replaced by a rejoin on another connection
+                if (client.ws !== ws) return;
+
+                if (message.type === 'leave') {
+                    this.leave(room, client);
+                    room = null;
+                    client = null;
+                    ws.close();
+                } else {
+                    try {
+                        room.handleMessage(client, message);
+                    } catch (err) {
+                        // e.g. a level pack the game rejects
+                        console.error(`Room ${room.code}:`, err);
+                        this.closeRoom(room, `Could not start the game: ${err.message}`);
+                        return;
+                    }
+                    if (message.type === 'start') room.broadcastLobby();
+                }
+                return;
+            }
+
+            try {
+                ({ room, client } = this.enter(ws, message));
+            } catch (err) {
+                send(ws, { type: 'error', message: err.message });
+                ws.close();
+            }
+        });
+
+        ws.on('close', () => {
+            // A rejoin may have moved the client to another connection already
+            if (!client || client.ws !== ws) return;
+            room.disconnect(client, () => this.afterLeave(room));
+            room.broadcastLobby();
+        });
+    }
+
+    enter(ws, message) {
+        if (message.version !== NET_VERSION) {
+            throw new Error('Server runs a different version - reload the page');
+        }
+
+        let room;
+        let client;
+
+        if (message.type === 'create') {
+            room = new Room('', this.readSettings(message.settings));
+            room.code = this.createRoomCode(room.net);
+            this.rooms.set(room.code, room);
+            client = room.addClient(ws);
+            console.log(`Room ${room.code} created`);
+        } else if (message.type === 'join') {
+            room = this.rooms.get(String(message.room || '').toUpperCase());
+            if (!room) throw new Error('No room with that code');
+
+            client = message.token ? room.findByToken(message.token) : null;
+            if (client) {
+                room.reattach(client, ws);
+            } else if (room.isRunning()) {
+                throw new Error('That game has already started');
+            } else if (room.isFull()) {
+                throw new Error('That room is full');
+            } else {
+                client = room.addClient(ws);
+            }
+        } else {
+            throw new Error('Expected create or join');
+        }
+
+        this.ensureLoop();
+        send(ws, { type: 'joined', room: room.code, slot: client.slot, token: client.token });
+        room.broadcastLobby();
+        if (room.isRunning()) {
+            room.sendLevel(client);
+        }
+        return { room: room, client: client };
+    }
+
+    // Settings come from the creating browser: keep the known ones
+    readSettings(settings = {}) {
+        const difficulty = ['easy', 'medium', 'hard', 'custom'].includes(settings.difficulty) ?
+            settings.difficulty : 'medium';
+
+        return {
+            difficulty: difficulty === 'custom' && !settings.customDifficulty ? 'medium' : difficulty,
+            customDifficulty: settings.customDifficulty || null,
+            seed: typeof settings.seed === 'string' || typeof settings.seed === 'number' ? settings.seed : null,
+            use3DGameplay: settings.use3DGameplay !== false,
+            useBallistics: !!settings.useBallistics,
+            levelPack: settings.levelPack && typeof settings.levelPack === 'object' ? settings.levelPack : null,
+            gameMode: settings.gameMode === 'versus' ? 'versus' : 'coop',
+            versus: settings.versus && typeof settings.versus === 'object' ? settings.versus : {}, // The game checks the numbers
+            allies: settings.allies && typeof settings.allies === 'object' ? settings.allies : {}
+        };
+    }
+
+    leave(room, client) {
+        room.removeClient(client);
+        room.broadcastLobby();
+        this.afterLeave(room);
+    }
+
+    // Empty rooms are closed
+    afterLeave(room) {
+        if (room.clients.length > 0 || !this.rooms.has(room.code)) return;
+
+        room.close();
+        this.rooms.delete(room.code);
+        console.log(`Room ${room.code} closed`);
+
+        if (this.rooms.size === 0) {
+            clearInterval(this.loop);
+            this.loop = null;
+        }
+    }
+
+    // Fixed 60 Hz ticks for every room, caught up from a coarse timer
+    ensureLoop() {
+        if (this.loop) return;
+
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.loop = setInterval(() => {
+            const now = performance.now();
+            this.accumulator = Math.min(this.accumulator + now - this.lastTime, TICK_MS * 8);
+            this.lastTime = now;
+
+            while (this.accumulator >= TICK_MS) {
+                for (const room of this.rooms.values()) {
+                    try {
+                        room.update();
+                    } catch (err) {
+                        console.error(`Room ${room.code} crashed:`, err);
+                        this.closeRoom(room, 'The game crashed on the server');
+                    }
+                }
+                this.accumulator -= TICK_MS;
+            }
+        }, 4);
+    }
+
+    closeRoom(room, reason) {
+        for (const client of room.clients) {
+            if (client.connected) {
+                send(client.ws, { type: 'error', message: reason });
+                client.ws.close(CloseCode.GOING_AWAY, reason);
+            }
+        }
+        room.clients = [];
+        this.afterLeave(room);
+    }
+}
+
+// Static files from the game folder
+function serveFile(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+
+    // Nothing outside the game folder, and no dotfiles (.git)
+    const file = path.normalize(path.join(ROOT, pathname));
+    if (!file.startsWith(ROOT + path.sep) || file.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+// Protocol version, read once from the scripts the rooms will run
+const NET_VERSION = createContext().NetProtocol.VERSION;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function startServer(options = {}) {
+    const gameServer = new GameServer();
+    const server = http.createServer(serveFile);
+
+    server.on('upgrade', (req, socket) => {
+        const ws = acceptUpgrade(req, socket);
+        if (ws) gameServer.accept(ws);
+    });
+
+    server.listen(options.port, options.host);
+    return { server: server, gameServer: gameServer };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port || 8080);
+    const host = args.host || '0.0.0.0';
+
+    const { server } = startServer({ port: port, host: host });
+    server.on('listening', () => {
+        console.log(`Battlezone server on port ${port}`);
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            for (const address of addresses) {
+                if (address.family === 'IPv4') {
+                    console.log(`  http://${address.address}:${port}/`);
+                }
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    startServer: startServer,
+    GameServer: GameServer,
+    Room: Room
+};
@@ -0,0 +1,259 @@
+// Battlezone - Minimal WebSocket server side (RFC 6455, text frames only)
+//
+// Just enough of the protocol for the relay server, with no dependencies:
+// the HTTP upgrade handshake, masked client frames, fragmentation, ping/pong
+// and close. Binary frames are refused.
+//
+//   const { acceptUpgrade } = require('./websocket');
+//   server.on('upgrade', (req, socket) => {
+//       const ws = acceptUpgrade(req, socket);
+//       if (ws) ws.on('message', text => ws.send(text));
+//   });
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const PING_INTERVAL_MS = 10000;
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+const CloseCode = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED_DATA: 1003,
+    TOO_BIG: 1009
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Pieces of a fragmented text message
+        this.open = true;
+        this.awaitingPong = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('close', () => this.onSocketClose());
+        socket.on('error', () => socket.destroy());
+
+        // A peer that stops answering pings is treated as gone
+        this.pingTimer = setInterval(() => {
+            if (this.awaitingPong) {
+                this.terminate();
+                return;
+            }
+            this.awaitingPong = true;
+            this.sendFrame(Opcode.PING, Buffer.alloc(0));
+        }, PING_INTERVAL_MS);
+    }
+
+    send(text) {
+        if (!this.open) return;
+        this.sendFrame(Opcode.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = CloseCode.NORMAL, reason = '') {
+        if (!this.open) return;
+
+        const reasonBytes = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this.sendFrame(Opcode.CLOSE, payload);
+        this.open = false;
+        this.socket.end();
+    }
+
+    terminate() {
+        this.open = false;
+        this.socket.destroy();
+    }
+
+    // Server frames are never masked
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN + opcode
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (this.open && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Pull one complete frame off the buffer, or null if more bytes are needed
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const big = buffer.readBigUInt64BE(2);
+            if (big > BigInt(MAX_MESSAGE_BYTES)) {
+                this.close(CloseCode.TOO_BIG, 'Message too big');
+                return null;
+            }
+            length = Number(big);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(CloseCode.TOO_BIG, 'Message too big');
+            return null;
+        }
+
+        // Clients must mask everything they send
+        if (!masked) {
+            this.close(CloseCode.PROTOCOL_ERROR, 'Unmasked frame');
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin: fin, opcode: opcode, payload: payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+                if (this.fragments) {
+                    this.close(CloseCode.PROTOCOL_ERROR, 'Expected continuation');
+                    return;
+                }
+                if (fin) {
+                    this.emit('message', payload.toString('utf8'));
+                } else {
+                    this.fragments = [payload];
+                }
+                return;
+
+            case Opcode.CONTINUATION: {
+                if (!this.fragments) {
+                    this.close(CloseCode.PROTOCOL_ERROR, 'Unexpected continuation');
+                    return;
+                }
+                this.fragments.push(payload);
+
+                const total = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (total > MAX_MESSAGE_BYTES) {
+                    this.close(CloseCode.TOO_BIG, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = null;
+                    this.emit('message', text);
+                }
+                return;
+            }
+
+            case Opcode.PING:
+                this.sendFrame(Opcode.PONG, payload);
+                return;
+
+            case Opcode.PONG:
+                this.awaitingPong = false;
+                return;
+
+            case Opcode.CLOSE:
+                // Echo the close, then hang up
+                if (this.open) {
+                    this.sendFrame(Opcode.CLOSE, payload.subarray(0, 2));
+                    this.open = false;
+                    this.socket.end();
+                }
+                return;
+
+            default:
+                this.close(CloseCode.UNSUPPORTED_DATA, 'Text frames only');
+        }
+    }
+
+    onSocketClose() {
+        clearInterval(this.pingTimer);
+        const wasOpen = this.open;
+        this.open = false;
+        this.emit('close', wasOpen);
+    }
+}
+
+// Answer an HTTP upgrade request. Returns the connection, or null if the
+// request wasn't a valid WebSocket handshake (the socket is closed then).
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = {
+    acceptUpgrade: acceptUpgrade,
+    WebSocketConnection: WebSocketConnection,
+    CloseCode: CloseCode
+};